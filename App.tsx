@@ -5,6 +5,12 @@ import ClientCard from './components/ClientCard';
 import ClientFormModal from './components/ClientFormModal';
 
 import GBPPostCreator from './components/GBPPostCreator';
+import GBPPostCalendar from './components/GBPPostCalendar';
+import GBPPostHistory from './components/GBPPostHistory';
+import GBPBatchGenerator from './components/GBPBatchGenerator';
+import GBPTemplateManager from './components/GBPTemplateManager';
+import GBPTopicHistory from './components/GBPTopicHistory';
+import GBPAnalyticsDashboard from './components/GBPAnalyticsDashboard';
 import ErrorBoundary from './components/ErrorBoundary';
 import DebugPanel from './components/DebugPanel';
 import { logger, setupGlobalErrorHandling } from './utils/logger';
@@ -17,6 +23,8 @@ const App: React.FC = () => {
   const [editingClient, setEditingClient] = useState<Client | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [postsRefreshKey, setPostsRefreshKey] = useState(0);
+  const [ghlOAuthNotice, setGhlOAuthNotice] = useState<{ success: boolean, message: string } | null>(null);
 
 
   // Setup global error handling
@@ -29,6 +37,9 @@ const App: React.FC = () => {
     };
   }, []);
 
+  // Tells the calendar to reload after posts are created or change status
+  const handlePostsChanged = useCallback(() => setPostsRefreshKey(key => key + 1), []);
+
   const loadClients = useCallback(() => {
     logger.debug('Loading clients...');
     setIsLoading(true);
@@ -55,6 +66,21 @@ const App: React.FC = () => {
     loadClients();
   }, [loadClients]);
 
+  // Pick up the result of a GoHighLevel OAuth redirect and clean it out of the URL
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const status = params.get('ghl_oauth');
+    if (!status) return;
+
+    if (status === 'connected') {
+      setGhlOAuthNotice({ success: true, message: `GoHighLevel location ${params.get('locationId') || ''} connected successfully.` });
+    } else {
+      setGhlOAuthNotice({ success: false, message: params.get('message') || 'GoHighLevel connection failed.' });
+    }
+    logger.debug('GoHighLevel OAuth result', { status });
+    window.history.replaceState({}, '', window.location.pathname);
+  }, []);
+
   const handleSaveClient = (client: Client) => {
     logger.debug('Client saved', { clientId: client.id, clientName: client.name });
     loadClients();
@@ -109,6 +135,15 @@ const App: React.FC = () => {
         <p className="text-slate-400 mt-2">AI-Powered Google Business Profile Post Generator v2.1 - GoHighLevel Ready</p>
       </header>
 
+      {ghlOAuthNotice && (
+        <div className={`mb-6 px-4 py-3 rounded-lg border flex justify-between items-center ${
+          ghlOAuthNotice.success ? 'bg-green-800 border-green-600 text-green-200' : 'bg-red-800 border-red-600 text-red-200'
+        }`}>
+          <p>{ghlOAuthNotice.message}</p>
+          <button onClick={() => setGhlOAuthNotice(null)} className="ml-4 text-sm underline">Dismiss</button>
+        </div>
+      )}
+
       <main className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         <div className="bg-slate-800 p-6 rounded-lg shadow-lg">
           <div className="flex justify-between items-center mb-4">
@@ -168,11 +203,45 @@ const App: React.FC = () => {
         <div className="bg-slate-800 p-6 rounded-lg shadow-lg">
           <GBPPostCreator 
             client={selectedClient} 
-            onPostCreated={() => {
-              // Optionally refresh data or show success message
-            }}
+            onPostCreated={handlePostsChanged}
           />
         </div>
+
+        {selectedClient && (
+          <div className="lg:col-span-2 bg-slate-800 p-6 rounded-lg shadow-lg">
+            <GBPBatchGenerator client={selectedClient} onPostsCreated={handlePostsChanged} />
+          </div>
+        )}
+
+        {selectedClient && (
+          <div className="lg:col-span-2 bg-slate-800 p-6 rounded-lg shadow-lg">
+            <GBPTemplateManager client={selectedClient} onPostsChanged={handlePostsChanged} />
+          </div>
+        )}
+
+        {selectedClient && (
+          <div className="lg:col-span-2 bg-slate-800 p-6 rounded-lg shadow-lg">
+            <GBPPostCalendar client={selectedClient} refreshKey={postsRefreshKey} />
+          </div>
+        )}
+
+        {selectedClient && (
+          <div className="lg:col-span-2 bg-slate-800 p-6 rounded-lg shadow-lg">
+            <GBPPostHistory client={selectedClient} refreshKey={postsRefreshKey} onPostsChanged={handlePostsChanged} />
+          </div>
+        )}
+
+        {selectedClient && (
+          <div className="lg:col-span-2 bg-slate-800 p-6 rounded-lg shadow-lg">
+            <GBPTopicHistory client={selectedClient} refreshKey={postsRefreshKey} />
+          </div>
+        )}
+
+        {selectedClient && (
+          <div className="lg:col-span-2 bg-slate-800 p-6 rounded-lg shadow-lg">
+            <GBPAnalyticsDashboard client={selectedClient} refreshKey={postsRefreshKey} />
+          </div>
+        )}
       </main>
 
       {isModalOpen && (
@@ -0,0 +1,277 @@
+// ===== GBP Post Analytics =====
+// Published posts keep their GoHighLevel post ID. A background job fetches each recently
+// published post from GoHighLevel and stores a snapshot of its status and engagement in
+// gbp_post_metrics, building a time series per post. GoHighLevel only returns Google insights
+// for some accounts, so any metric it doesn't report is stored as NULL rather than 0. Only the
+// latest snapshot of a post keeps the raw GoHighLevel response, for debugging what was extracted.
+//
+// Configure with GBP_ANALYTICS_SYNC_INTERVAL_MS and GBP_ANALYTICS_LOOKBACK_DAYS.
+
+import { getGHLAccessToken, getSocialPost, resolvePostLocation } from './ghl-integration.js';
+import { isValidTimeZone } from './gbp-recurrence.js';
+
+const SYNC_INTERVAL_MS = parseInt(process.env.GBP_ANALYTICS_SYNC_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = parseInt(process.env.GBP_ANALYTICS_LOOKBACK_DAYS, 10) || 90;
+const SYNC_BATCH_SIZE = 50;
+
+// Where each metric may appear in a GoHighLevel post, first match wins
+const METRIC_KEYS = {
+  views: ['views', 'impressions', 'viewCount', 'localPostViewsSearch'],
+  clicks: ['clicks', 'clickCount', 'linkClicks'],
+  ctaActions: ['ctaClicks', 'callToActionClicks', 'actions', 'localPostActions']
+};
+
+function toCount(value) {
+  if (typeof value !== 'number' && !(typeof value === 'string' && value.trim() !== '')) return null;
+  const count = Number(value);
+  return Number.isFinite(count) && count >= 0 ? Math.round(count) : null;
+}
+
+// Pull { status, views, clicks, ctaActions } out of a GoHighLevel post
+function extractPostMetrics(remotePost) {
+  const sources = [
+    remotePost?.analytics,
+    remotePost?.insights,
+    remotePost?.metrics,
+    remotePost?.statistics,
+    remotePost
+  ].filter(source => source && typeof source === 'object');
+
+  const pick = (keys) => {
+    for (const source of sources) {
+      for (const key of keys) {
+        const count = toCount(source[key]);
+        if (count !== null) return count;
+      }
+    }
+    return null;
+  };
+
+  return {
+    status: remotePost?.status || null,
+    views: pick(METRIC_KEYS.views),
+    clicks: pick(METRIC_KEYS.clicks),
+    ctaActions: pick(METRIC_KEYS.ctaActions)
+  };
+}
+
+// Fetch and store one snapshot per post; posts tried longest ago go first
+// Returns { synced, failed }
+async function syncGBPPostMetrics(pool, axios, clientId = null) {
+  const postsResult = await pool.query(
+    `SELECT * FROM gbp_posts
+     WHERE ghl_post_id IS NOT NULL
+       AND status = 'published'
+       AND published_at >= NOW() - ($1 * INTERVAL '1 day')
+       AND ($2::text IS NULL OR client_id = $2)
+     ORDER BY metrics_attempted_at ASC NULLS FIRST
+     LIMIT $3`,
+    [LOOKBACK_DAYS, clientId, SYNC_BATCH_SIZE]
+  );
+
+  let synced = 0;
+  let failed = 0;
+  // One token per client and location for the whole pass
+  const tokens = new Map();
+
+  for (const post of postsResult.rows) {
+    // Stamped before trying, so a post that keeps failing goes to the back of the queue instead of
+    // taking a place in every batch
+    await pool.query('UPDATE gbp_posts SET metrics_attempted_at = NOW() WHERE id = $1', [post.id]);
+    try {
+      const locationId = await resolvePostLocation(pool, post);
+      if (!locationId) throw new Error('No active GoHighLevel sub-account found for this client');
+
+      const tokenKey = `${post.client_id}:${locationId}`;
+      if (!tokens.has(tokenKey)) {
+        tokens.set(tokenKey, await getGHLAccessToken(post.client_id, pool, axios, locationId));
+      }
+
+      const remotePost = await getSocialPost(locationId, post.ghl_post_id, tokens.get(tokenKey), axios);
+      const metrics = extractPostMetrics(remotePost);
+
+      // Older snapshots only need their figures; keeping every raw response would grow the table without bound
+      await pool.query('UPDATE gbp_post_metrics SET raw = NULL WHERE post_id = $1 AND raw IS NOT NULL', [post.id]);
+      await pool.query(
+        `INSERT INTO gbp_post_metrics (post_id, client_id, remote_status, views, clicks, cta_actions, raw)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [post.id, post.client_id, metrics.status, metrics.views, metrics.clicks, metrics.ctaActions, JSON.stringify(remotePost)]
+      );
+      await pool.query('UPDATE gbp_posts SET metrics_synced_at = NOW() WHERE id = $1', [post.id]);
+      synced++;
+    } catch (error) {
+      failed++;
+      console.warn(`⚠️ Could not sync metrics for GBP post ${post.id}:`, error.response?.data?.message || error.message);
+    }
+  }
+
+  if (postsResult.rows.length > 0) {
+    console.log(`📈 Synced metrics for ${synced} GBP post(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+  }
+  return { synced, failed };
+}
+
+// Start syncing metrics in the background; returns a handle with stop()
+function startGBPAnalyticsSync(pool, axios) {
+  let running = false;
+
+  const tick = async () => {
+    // Skip this interval if the previous sync is still running
+    if (running) return;
+    running = true;
+    try {
+      await syncGBPPostMetrics(pool, axios);
+    } catch (error) {
+      console.error('❌ GBP analytics sync failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, SYNC_INTERVAL_MS);
+  tick();
+
+  console.log(`📈 GBP analytics sync started (every ${Math.round(SYNC_INTERVAL_MS / 60000)} min, last ${LOOKBACK_DAYS} days of posts)`);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
+
+// Average views and engagement (clicks + CTA actions) per group, best first
+function rankGroups(posts, groupKey) {
+  const groups = new Map();
+  for (const post of posts) {
+    const key = groupKey(post);
+    if (key === null || key === undefined || key === '') continue;
+    const group = groups.get(key) || { key, posts: 0, views: 0, engagement: 0, withViews: 0, withEngagement: 0 };
+    group.posts++;
+    if (post.views !== null) {
+      group.views += post.views;
+      group.withViews++;
+    }
+    if (post.clicks !== null || post.cta_actions !== null) {
+      group.engagement += (post.clicks || 0) + (post.cta_actions || 0);
+      group.withEngagement++;
+    }
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      key: group.key,
+      posts: group.posts,
+      avgViews: group.withViews > 0 ? Math.round(group.views / group.withViews) : null,
+      avgEngagement: group.withEngagement > 0 ? Math.round((group.engagement / group.withEngagement) * 10) / 10 : null
+    }))
+    .sort((a, b) => (b.avgEngagement ?? -1) - (a.avgEngagement ?? -1) || (b.avgViews ?? -1) - (a.avgViews ?? -1));
+}
+
+// API Endpoint: Per-client analytics from each post's latest snapshot
+// ?days= limits it to posts published in that many days (default 90)
+// ?timeZone= is the IANA zone days of the week are counted in (default UTC)
+function getGBPAnalyticsEndpoint(app, pool) {
+  app.get('/api/gbp/analytics/:clientId', async (req, res) => {
+    try {
+      const { clientId } = req.params;
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || LOOKBACK_DAYS, 1), 365);
+      const timeZone = req.query.timeZone || 'UTC';
+      if (!isValidTimeZone(timeZone)) {
+        return res.status(400).json({ error: 'A valid IANA time zone is required (e.g. America/New_York)' });
+      }
+      const weekday = new Intl.DateTimeFormat('en-US', { weekday: 'long', timeZone });
+
+      const result = await pool.query(
+        `SELECT p.id, p.topic, p.post_type, p.content, p.published_at, p.metrics_synced_at,
+                m.remote_status, m.views, m.clicks, m.cta_actions, m.captured_at
+         FROM gbp_posts p
+         LEFT JOIN LATERAL (
+           SELECT * FROM gbp_post_metrics WHERE post_id = p.id ORDER BY captured_at DESC LIMIT 1
+         ) m ON true
+         WHERE p.client_id = $1
+           AND p.ghl_post_id IS NOT NULL
+           AND p.published_at >= NOW() - ($2 * INTERVAL '1 day')
+         ORDER BY p.published_at DESC`,
+        [clientId, days]
+      );
+      const posts = result.rows;
+      const tracked = posts.filter(post => post.captured_at);
+      const sum = (key) => tracked.some(post => post[key] !== null)
+        ? tracked.reduce((total, post) => total + (post[key] || 0), 0)
+        : null;
+
+      res.json({
+        success: true,
+        days,
+        timeZone,
+        totals: {
+          published: posts.length,
+          tracked: tracked.length,
+          views: sum('views'),
+          clicks: sum('clicks'),
+          ctaActions: sum('cta_actions')
+        },
+        topTopics: rankGroups(tracked, post => post.topic).slice(0, 10),
+        postTypes: rankGroups(tracked, post => post.post_type || 'update'),
+        weekdays: rankGroups(tracked, post => weekday.format(new Date(post.published_at))),
+        posts
+      });
+    } catch (error) {
+      console.error('❌ Error fetching GBP analytics:', error);
+      res.status(500).json({
+        error: 'Failed to fetch analytics',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Time series of snapshots for one post
+function getGBPPostMetricsEndpoint(app, pool) {
+  app.get('/api/gbp/posts/:postId/metrics', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT id, remote_status, views, clicks, cta_actions, captured_at
+         FROM gbp_post_metrics WHERE post_id = $1 ORDER BY captured_at`,
+        [req.params.postId]
+      );
+      res.json({ success: true, snapshots: result.rows });
+    } catch (error) {
+      console.error('❌ Error fetching GBP post metrics:', error);
+      res.status(500).json({
+        error: 'Failed to fetch post metrics',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Sync one client's posts now instead of waiting for the background job
+function syncGBPAnalyticsEndpoint(app, pool, axios) {
+  app.post('/api/gbp/analytics/:clientId/sync', async (req, res) => {
+    try {
+      const { synced, failed } = await syncGBPPostMetrics(pool, axios, req.params.clientId);
+      res.json({
+        success: true,
+        synced,
+        failed,
+        message: `📈 Updated metrics for ${synced} post(s)${failed > 0 ? ` (${failed} could not be fetched)` : ''}`
+      });
+    } catch (error) {
+      console.error('❌ Error syncing GBP analytics:', error);
+      res.status(500).json({
+        error: 'Failed to sync analytics',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  extractPostMetrics,
+  syncGBPPostMetrics,
+  startGBPAnalyticsSync,
+  getGBPAnalyticsEndpoint,
+  getGBPPostMetricsEndpoint,
+  syncGBPAnalyticsEndpoint
+};
@@ -0,0 +1,342 @@
+// ===== GBP Post Review & Approval Workflow =====
+// Generated posts start as drafts. They can be edited, optionally sent to a client
+// approver, and are only pushed to GoHighLevel once someone explicitly approves them.
+
+import { publishGBPPostToGHL } from './ghl-integration.js';
+import { recordPublishFailure } from './gbp-scheduler.js';
+import { refreshPostLint } from './gbp-content-lint.js';
+import { parseVersion, sendVersionConflict, recordPostChange } from './gbp-post-edits.js';
+
+// Allowed status transitions for each workflow action
+const EDITABLE_STATUSES = ['draft', 'pending_approval', 'rejected'];
+const SUBMITTABLE_STATUSES = ['draft', 'rejected'];
+const APPROVABLE_STATUSES = ['draft', 'pending_approval', 'approved'];
+const REJECTABLE_STATUSES = ['pending_approval'];
+
+// Load a post and check it is in one of the expected statuses
+// Sends the error response itself and returns null when the action is not allowed
+async function loadPostForAction(dbClient, postId, allowedStatuses, action, res) {
+  const result = await dbClient.query('SELECT * FROM gbp_posts WHERE id = $1', [postId]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'GBP post not found' });
+    return null;
+  }
+
+  const post = result.rows[0];
+  if (!allowedStatuses.includes(post.status)) {
+    res.status(409).json({
+      error: `Cannot ${action} a post with status "${post.status}"`,
+      details: `Allowed statuses: ${allowedStatuses.join(', ')}`
+    });
+    return null;
+  }
+
+  return post;
+}
+
+// 409 response for an action whose guarded update found the post changed since it was loaded
+async function sendActionConflict(dbClient, postId, action, res) {
+  const current = await dbClient.query('SELECT * FROM gbp_posts WHERE id = $1', [postId]);
+  if (current.rows.length === 0) {
+    return res.status(404).json({ error: 'GBP post not found' });
+  }
+  return res.status(409).json({
+    error: `Post was changed while it was being ${action}`,
+    details: `It is now "${current.rows[0].status}"; reload it and try again`,
+    post: current.rows[0]
+  });
+}
+
+// Approve a loaded post and publish it now, or hand it to the scheduler if it is future-dated
+// Publishing problems are recorded on the post rather than thrown; a failed immediate publish
+// is queued for the scheduler to retry
+// Returns { conflict: true, post } when the post changed since it was loaded (e.g. a second approval)
+async function approveGBPPost(dbClient, post, approvedBy, axios) {
+  const isFutureDated = post.scheduled_at && new Date(post.scheduled_at).getTime() > Date.now();
+
+  // An immediate approval claims the post as 'publishing' like the scheduler does, so a second
+  // approval arriving while GoHighLevel is being called is refused instead of posting it again
+  const approved = await dbClient.query(
+    `UPDATE gbp_posts
+     SET status = $1, approved_by = $2, approved_at = NOW(),
+         locked_at = CASE WHEN $1 = 'publishing' THEN NOW() ELSE NULL END,
+         attempts = 0, last_error = NULL, next_attempt_at = NULL, version = version + 1
+     WHERE id = $3 AND status = ANY($4) AND version = $5
+     RETURNING *`,
+    [isFutureDated ? 'scheduled' : 'publishing', approvedBy, post.id, APPROVABLE_STATUSES, post.version]
+  );
+  if (approved.rows.length === 0) {
+    const current = await dbClient.query('SELECT * FROM gbp_posts WHERE id = $1', [post.id]);
+    return { conflict: true, posted: false, post: current.rows[0] || null };
+  }
+  const approvedPost = approved.rows[0];
+
+  console.log(`✅ GBP post ${post.id} approved by ${approvedBy}`);
+
+  if (isFutureDated) {
+    return {
+      posted: false,
+      post: approvedPost,
+      message: `📅 Approved and scheduled for ${new Date(post.scheduled_at).toLocaleString()}`
+    };
+  }
+
+  const clientResult = await dbClient.query('SELECT * FROM clients WHERE id = $1', [post.client_id]);
+  const businessInfo = clientResult.rows[0] || {};
+
+  let posted = false;
+  let message;
+  try {
+    const outcome = await publishGBPPostToGHL(dbClient, approvedPost, businessInfo, axios);
+    posted = outcome.posted;
+    if (outcome.posted) {
+      message = '🎉 Approved and posted to GoHighLevel successfully';
+    } else if (outcome.unconfirmed) {
+      message = `⚠️ Approved, but it is unclear whether it was published: ${outcome.reason}`;
+      await recordPublishFailure(dbClient, approvedPost, outcome.reason, { retry: false });
+    } else {
+      message = `✅ Approved, but not published yet (will retry): ${outcome.reason}`;
+      await recordPublishFailure(dbClient, approvedPost, outcome.reason);
+    }
+  } catch (ghlError) {
+    const reason = ghlError.response?.data?.message || ghlError.message;
+    console.log('⚠️ Approved post could not be published:', reason);
+    message = `✅ Approved, but publishing failed (will retry): ${reason}`;
+    await recordPublishFailure(dbClient, approvedPost, reason);
+  }
+
+  const refreshed = await dbClient.query('SELECT * FROM gbp_posts WHERE id = $1', [post.id]);
+  return { posted, post: refreshed.rows[0], message };
+}
+
+// API Endpoint: Edit a draft's content
+// Body: { version, content, editedBy }; versioned and recorded in the history like any other edit
+function updateGBPPostContentEndpoint(app, pool) {
+  app.put('/api/gbp/posts/:postId/content', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { content, editedBy } = req.body;
+      const version = parseVersion(req.body.version);
+
+      if (!content || !content.trim()) {
+        return res.status(400).json({ error: 'Content is required' });
+      }
+      if (!version) {
+        return res.status(400).json({ error: 'The version being edited is required' });
+      }
+
+      const client = await pool.connect();
+      try {
+        const post = await loadPostForAction(client, postId, EDITABLE_STATUSES, 'edit', res);
+        if (!post) return;
+        if (post.version !== version) {
+          return sendVersionConflict(res, post);
+        }
+
+        // Any edit sends the post back to draft so it has to be approved again
+        const result = await client.query(
+          `UPDATE gbp_posts
+           SET content = $1, status = 'draft', last_edited_by = $2, last_edited_at = NOW(), version = version + 1
+           WHERE id = $3 AND status = ANY($4) AND version = $5
+           RETURNING *`,
+          [content.trim(), editedBy || null, postId, EDITABLE_STATUSES, version]
+        );
+        if (result.rows.length === 0) {
+          const current = await client.query('SELECT * FROM gbp_posts WHERE id = $1', [postId]);
+          if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'GBP post not found' });
+          }
+          return sendVersionConflict(res, current.rows[0]);
+        }
+        const updated = result.rows[0];
+
+        const changes = {};
+        if (updated.content !== post.content) changes.content = { from: post.content, to: updated.content };
+        if (updated.status !== post.status) changes.status = { from: post.status, to: updated.status };
+        await recordPostChange(client, updated, {
+          action: 'update',
+          changes,
+          version: updated.version,
+          changedBy: editedBy,
+          propagated: false
+        });
+
+        console.log(`✏️ GBP post ${postId} edited by ${editedBy || 'unknown'}`);
+        const lint = await refreshPostLint(client, updated);
+
+        res.json({
+          success: true,
+          post: { ...updated, lint_findings: lint },
+          lint,
+          message: '✏️ Draft updated'
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error updating GBP post content:', error);
+      res.status(500).json({
+        error: 'Failed to update GBP post',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Send a draft to a client approver
+function submitGBPPostForApprovalEndpoint(app, pool) {
+  app.post('/api/gbp/posts/:postId/submit', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { submittedBy, approver } = req.body;
+
+      if (!submittedBy) {
+        return res.status(400).json({ error: 'submittedBy is required' });
+      }
+
+      const client = await pool.connect();
+      try {
+        const post = await loadPostForAction(client, postId, SUBMITTABLE_STATUSES, 'submit', res);
+        if (!post) return;
+
+        const result = await client.query(
+          `UPDATE gbp_posts
+           SET status = 'pending_approval', submitted_by = $1, submitted_at = NOW(), approver_contact = $2,
+               rejected_by = NULL, rejected_at = NULL, rejection_reason = NULL, version = version + 1
+           WHERE id = $3 AND status = ANY($4) AND version = $5
+           RETURNING *`,
+          [submittedBy, approver || null, postId, SUBMITTABLE_STATUSES, post.version]
+        );
+        if (result.rows.length === 0) {
+          return sendActionConflict(client, postId, 'submitted', res);
+        }
+
+        console.log(`📨 GBP post ${postId} submitted for approval by ${submittedBy}${approver ? ` to ${approver}` : ''}`);
+
+        res.json({
+          success: true,
+          post: result.rows[0],
+          message: approver ? `📨 Sent to ${approver} for approval` : '📨 Submitted for approval'
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error submitting GBP post for approval:', error);
+      res.status(500).json({
+        error: 'Failed to submit GBP post for approval',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Approve a post and publish (or queue) it
+function approveGBPPostEndpoint(app, pool, axios) {
+  app.post('/api/gbp/posts/:postId/approve', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { approvedBy } = req.body;
+
+      if (!approvedBy) {
+        return res.status(400).json({ error: 'approvedBy is required' });
+      }
+
+      const client = await pool.connect();
+      try {
+        const post = await loadPostForAction(client, postId, APPROVABLE_STATUSES, 'approve', res);
+        if (!post) return;
+
+        // Lint errors block publishing; warnings are only shown in the preview
+        const lint = await refreshPostLint(client, post);
+        if (!lint.passed) {
+          return res.status(422).json({
+            error: 'CONTENT_LINT_FAILED',
+            message: `Fix ${lint.errors} content problem(s) before approving`,
+            lint
+          });
+        }
+
+        const outcome = await approveGBPPost(client, post, approvedBy, axios);
+        if (outcome.conflict) {
+          return res.status(409).json({
+            error: 'Post was changed while it was being approved',
+            details: `It is now "${outcome.post?.status}"; reload it before approving again`,
+            post: outcome.post
+          });
+        }
+        res.json({
+          success: true,
+          ...outcome
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error approving GBP post:', error);
+      res.status(500).json({
+        error: 'Failed to approve GBP post',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Reject a post that is awaiting approval
+function rejectGBPPostEndpoint(app, pool) {
+  app.post('/api/gbp/posts/:postId/reject', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { rejectedBy, reason } = req.body;
+
+      if (!rejectedBy) {
+        return res.status(400).json({ error: 'rejectedBy is required' });
+      }
+
+      const client = await pool.connect();
+      try {
+        const post = await loadPostForAction(client, postId, REJECTABLE_STATUSES, 'reject', res);
+        if (!post) return;
+
+        const result = await client.query(
+          `UPDATE gbp_posts
+           SET status = 'rejected', rejected_by = $1, rejected_at = NOW(), rejection_reason = $2,
+               version = version + 1
+           WHERE id = $3 AND status = ANY($4) AND version = $5
+           RETURNING *`,
+          [rejectedBy, reason || null, postId, REJECTABLE_STATUSES, post.version]
+        );
+        if (result.rows.length === 0) {
+          return sendActionConflict(client, postId, 'rejected', res);
+        }
+
+        console.log(`🚫 GBP post ${postId} rejected by ${rejectedBy}`);
+
+        res.json({
+          success: true,
+          post: result.rows[0],
+          message: '🚫 Post rejected'
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error rejecting GBP post:', error);
+      res.status(500).json({
+        error: 'Failed to reject GBP post',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  EDITABLE_STATUSES,
+  APPROVABLE_STATUSES,
+  loadPostForAction,
+  approveGBPPost,
+  updateGBPPostContentEndpoint,
+  submitGBPPostForApprovalEndpoint,
+  approveGBPPostEndpoint,
+  rejectGBPPostEndpoint
+};
@@ -0,0 +1,345 @@
+// ===== Batch GBP Post Generation =====
+// Plans a month (or any range) of posts at a fixed cadence, asks the text providers for one distinct
+// topic per slot, then generates each post as a scheduled draft. Generation takes one model call per
+// post, so the request returns a batch ID straight away and the work runs in the background;
+// the UI polls the batch row for progress.
+
+import { generateGBPContent } from './ghl-integration.js';
+import { parsePostTypeFields } from './gbp-post-types.js';
+import { parseCallToAction } from './gbp-cta.js';
+import { getRecentTopics, recordUsedTopic } from './gbp-topic-history.js';
+import { refreshPostLint } from './gbp-content-lint.js';
+import { recordGenerations } from './gbp-generations.js';
+import { isValidTimeZone, zonedTimeToUtc } from './gbp-recurrence.js';
+
+const MAX_BATCH_POSTS = 40;
+const MAX_BATCH_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Batches asked to stop; the running loop checks this between posts
+const cancelledBatches = new Set();
+
+// Spread N posts per week over evenly spaced weekdays (3/week → Mon, Wed, Fri)
+function getCadenceWeekdays(postsPerWeek) {
+  const days = new Set();
+  for (let i = 0; i < postsPerWeek; i++) {
+    days.add((1 + Math.floor((i * 7) / postsPerWeek)) % 7);
+  }
+  return days;
+}
+
+// A YYYY-MM-DD string as a UTC day, or null if it isn't a real calendar date (e.g. 2026-13-01)
+function parseCalendarDate(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(text))) return null;
+  const [year, month, day] = text.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+// Publish times for every slot between two dates (inclusive)
+// postTime is "HH:MM" wall-clock time in timeZone, so slots keep their local time across daylight-saving changes
+function planBatchSlots(startDate, endDate, postsPerWeek, postTime, timeZone = 'UTC') {
+  const [hours, minutes] = String(postTime || '10:00').split(':').map(Number);
+  const weekdays = getCadenceWeekdays(postsPerWeek);
+  const slots = [];
+
+  const last = parseCalendarDate(endDate).getTime();
+  for (let day = parseCalendarDate(startDate).getTime(); day <= last; day += DAY_MS) {
+    const date = new Date(day);
+    if (!weekdays.has(date.getUTCDay())) continue;
+    slots.push(zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours || 0, minutes || 0, timeZone));
+  }
+
+  return slots;
+}
+
+// Pull the JSON array of topics out of a model response (which may wrap it in prose or a code fence)
+function parseTopicList(text) {
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end <= start) return [];
+  const parsed = JSON.parse(text.slice(start, end + 1));
+  return Array.isArray(parsed) ? parsed.map(t => String(t).trim()).filter(Boolean) : [];
+}
+
+// One model call for all topics, so they come out distinct from each other
+// Returns { topics, generation } (generation is null if every provider failed)
+async function requestBatchTopics(count, businessInfo, recentTopics, textGenerator) {
+  const avoid = recentTopics.length > 0
+    ? `\nAVOID topics already covered recently:\n${recentTopics.map(t => `- ${t}`).join('\n')}\n`
+    : '';
+
+  const prompt = `Suggest ${count} distinct topics for Google Business Profile posts for ${businessInfo.name}, a ${businessInfo.industry} business.
+
+BUSINESS CONTEXT:
+- Unique value: ${businessInfo.uniqueValueProp || 'Not specified'}
+- Content strategy: ${businessInfo.contentStrategy || 'Not specified'}
+${avoid}
+Mix seasonal tips, common customer questions, services and local community angles. Each topic should be a short phrase, and no two topics should cover the same idea.
+
+Respond with a JSON array of ${count} strings and nothing else.`;
+
+  let generation = null;
+  try {
+    generation = { purpose: 'batch_topics', ...(await textGenerator.generate(prompt)) };
+    return { topics: parseTopicList(generation.text), generation };
+  } catch (error) {
+    console.warn('⚠️ Could not generate batch topics:', error.message);
+    return { topics: [], generation };
+  }
+}
+
+// Up to count distinct topics; asks once more for any that are missing, avoiding the ones already picked.
+// May return fewer than count — the batch then creates fewer posts rather than filler ones
+// Returns { topics, generationLog }
+async function generateBatchTopics(count, businessInfo, recentTopics, textGenerator) {
+  const first = await requestBatchTopics(count, businessInfo, recentTopics, textGenerator);
+  const topics = [...new Set(first.topics)];
+  const generationLog = [first.generation].filter(Boolean);
+  if (topics.length < count) {
+    const more = await requestBatchTopics(count - topics.length, businessInfo, [...recentTopics, ...topics], textGenerator);
+    if (more.generation) generationLog.push(more.generation);
+    for (const topic of more.topics) {
+      if (!topics.includes(topic)) topics.push(topic);
+    }
+  }
+  return { topics: topics.slice(0, count), generationLog };
+}
+
+// Generate every slot's post, recording progress on the batch row as it goes
+async function runGBPBatch(pool, textGenerator, batch, businessInfo, postDetails, plannedSlots) {
+  try {
+    const recentTopics = await getRecentTopics(pool, batch.client_id);
+    // The topic calls are shared by the whole batch; they are recorded against its first post
+    const topicResult = await generateBatchTopics(plannedSlots.length, businessInfo, recentTopics, textGenerator);
+    const { topics } = topicResult;
+    let topicLog = topicResult.generationLog;
+    if (topics.length === 0) {
+      throw new Error('Could not come up with any topics for this batch');
+    }
+
+    // Fewer topics than slots: fill the earliest slots only
+    const slots = plannedSlots.slice(0, topics.length);
+    if (slots.length < plannedSlots.length) {
+      console.warn(`⚠️ Batch ${batch.id}: only ${topics.length} of ${plannedSlots.length} topics generated, creating fewer posts`);
+      await pool.query(
+        'UPDATE gbp_batches SET total = $1, last_error = $2 WHERE id = $3',
+        [slots.length, `Only ${topics.length} distinct topics could be generated, so ${plannedSlots.length - topics.length} slots were left empty`, batch.id]
+      );
+    }
+
+    for (let i = 0; i < slots.length; i++) {
+      if (cancelledBatches.has(batch.id)) {
+        console.log(`🛑 Batch ${batch.id} cancelled after ${i} of ${slots.length} posts`);
+        await pool.query(`UPDATE gbp_batches SET status = 'cancelled', finished_at = NOW() WHERE id = $1`, [batch.id]);
+        return;
+      }
+
+      await pool.query('UPDATE gbp_batches SET current_topic = $1 WHERE id = $2', [topics[i], batch.id]);
+      try {
+        const { content, generation, generationLog } = await generateGBPContent(topics[i], businessInfo, textGenerator, postDetails);
+        const inserted = await pool.query(
+          `INSERT INTO gbp_posts (client_id, batch_id, topic, content, status, scheduled_at,
+                                  post_type, title, start_at, end_at, coupon_code, redeem_url, terms,
+                                  cta_type, cta_text, more_info_url, ai_provider, ai_model)
+           VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+           RETURNING id`,
+          [
+            batch.client_id,
+            batch.id,
+            topics[i],
+            content,
+            slots[i],
+            postDetails.post_type,
+            postDetails.title,
+            postDetails.start_at,
+            postDetails.end_at,
+            postDetails.coupon_code,
+            postDetails.redeem_url,
+            postDetails.terms,
+            postDetails.cta_type,
+            postDetails.cta_text,
+            postDetails.more_info_url,
+            generation.provider,
+            generation.model
+          ]
+        );
+        await recordUsedTopic(pool, batch.client_id, topics[i], inserted.rows[0].id);
+        await recordGenerations(pool, { postId: inserted.rows[0].id, clientId: batch.client_id }, [...topicLog, ...generationLog]);
+        topicLog = [];
+        await refreshPostLint(pool, { id: inserted.rows[0].id, client_id: batch.client_id, content });
+        await pool.query('UPDATE gbp_batches SET completed = completed + 1 WHERE id = $1', [batch.id]);
+        console.log(`✅ Batch ${batch.id}: post ${i + 1}/${slots.length} drafted for ${slots[i].toISOString()}`);
+      } catch (postError) {
+        console.error(`❌ Batch ${batch.id}: post ${i + 1}/${slots.length} failed:`, postError.message);
+        await pool.query(
+          'UPDATE gbp_batches SET failed = failed + 1, last_error = $1 WHERE id = $2',
+          [postError.message, batch.id]
+        );
+      }
+    }
+
+    await pool.query(
+      `UPDATE gbp_batches SET status = 'completed', current_topic = NULL, finished_at = NOW() WHERE id = $1`,
+      [batch.id]
+    );
+    console.log(`🎉 Batch ${batch.id} finished`);
+  } catch (error) {
+    console.error(`❌ Batch ${batch.id} failed:`, error.message);
+    await pool.query(
+      `UPDATE gbp_batches SET status = 'failed', last_error = $1, finished_at = NOW() WHERE id = $2`,
+      [error.message, batch.id]
+    ).catch(() => {});
+  } finally {
+    cancelledBatches.delete(batch.id);
+  }
+}
+
+// API Endpoint: Start generating a batch of scheduled drafts
+function createGBPBatchEndpoint(app, pool, textGenerator) {
+  app.post('/api/gbp/batches', async (req, res) => {
+    try {
+      const { clientId, startDate, endDate, postsPerWeek, postTime, timeZone = 'UTC' } = req.body;
+
+      if (!clientId || !startDate || !endDate || !postsPerWeek) {
+        return res.status(400).json({ error: 'Client ID, startDate, endDate and postsPerWeek are required' });
+      }
+      const start = parseCalendarDate(startDate);
+      const end = parseCalendarDate(endDate);
+      if (!start || !end) {
+        return res.status(400).json({ error: 'startDate and endDate must be valid YYYY-MM-DD dates' });
+      }
+      if (!isValidTimeZone(timeZone)) {
+        return res.status(400).json({ error: 'A valid IANA time zone is required (e.g. America/New_York)' });
+      }
+      const cadence = Number(postsPerWeek);
+      if (!Number.isInteger(cadence) || cadence < 1 || cadence > 7) {
+        return res.status(400).json({ error: 'postsPerWeek must be between 1 and 7' });
+      }
+      if (postTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(postTime)) {
+        return res.status(400).json({ error: 'postTime must be HH:MM' });
+      }
+
+      const rangeDays = (end - start) / DAY_MS + 1;
+      if (rangeDays < 1 || rangeDays > MAX_BATCH_DAYS) {
+        return res.status(400).json({ error: `The date range must cover 1 to ${MAX_BATCH_DAYS} days` });
+      }
+
+      // Slots in the past can never be published, so drop them
+      const slots = planBatchSlots(startDate, endDate, cadence, postTime, timeZone)
+        .filter(slot => slot.getTime() > Date.now());
+      if (slots.length === 0) {
+        return res.status(400).json({ error: 'No future publishing slots in that date range' });
+      }
+      if (slots.length > MAX_BATCH_POSTS) {
+        return res.status(400).json({ error: `That would create ${slots.length} posts; the limit is ${MAX_BATCH_POSTS} per batch` });
+      }
+
+      // Events and offers have their own dates, so batches are always plain updates
+      const postType = parsePostTypeFields({ postType: 'update' });
+
+      const clientResult = await pool.query('SELECT * FROM clients WHERE id = $1', [clientId]);
+      if (clientResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+      const businessInfo = clientResult.rows[0];
+
+      const callToAction = parseCallToAction(req.body, businessInfo, postType.fields.post_type);
+      if (callToAction.error) {
+        return res.status(400).json({ error: callToAction.error });
+      }
+
+      const batchResult = await pool.query(
+        `INSERT INTO gbp_batches (client_id, start_date, end_date, posts_per_week, total)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [clientId, startDate, endDate, cadence, slots.length]
+      );
+      const batch = batchResult.rows[0];
+
+      console.log(`📆 Batch ${batch.id}: generating ${slots.length} posts for ${businessInfo.name} (${startDate} → ${endDate}, ${cadence}/week)`);
+
+      // Not awaited: the browser polls GET /api/gbp/batches/:batchId for progress
+      runGBPBatch(pool, textGenerator, batch, businessInfo, { ...postType.fields, ...callToAction.fields }, slots);
+
+      res.status(202).json({
+        success: true,
+        batch,
+        message: `⏳ Generating ${slots.length} scheduled drafts`
+      });
+    } catch (error) {
+      console.error('❌ Error starting GBP batch:', error);
+      res.status(500).json({
+        error: 'Failed to start batch generation',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Batch progress and the drafts generated so far
+function getGBPBatchEndpoint(app, pool) {
+  app.get('/api/gbp/batches/:batchId', async (req, res) => {
+    try {
+      const { batchId } = req.params;
+
+      const batchResult = await pool.query('SELECT * FROM gbp_batches WHERE id = $1', [batchId]);
+      if (batchResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+
+      const posts = await pool.query(
+        'SELECT * FROM gbp_posts WHERE batch_id = $1 ORDER BY scheduled_at',
+        [batchId]
+      );
+
+      res.json({
+        success: true,
+        batch: batchResult.rows[0],
+        posts: posts.rows
+      });
+    } catch (error) {
+      console.error('❌ Error fetching GBP batch:', error);
+      res.status(500).json({
+        error: 'Failed to fetch batch',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Stop a running batch after the post currently being generated
+function cancelGBPBatchEndpoint(app, pool) {
+  app.post('/api/gbp/batches/:batchId/cancel', async (req, res) => {
+    try {
+      const batchId = Number(req.params.batchId);
+
+      const batchResult = await pool.query('SELECT status FROM gbp_batches WHERE id = $1', [batchId]);
+      if (batchResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+      if (batchResult.rows[0].status !== 'running') {
+        return res.status(409).json({ error: `Batch is already ${batchResult.rows[0].status}` });
+      }
+
+      cancelledBatches.add(batchId);
+      res.json({
+        success: true,
+        message: '🛑 Batch will stop after the current post'
+      });
+    } catch (error) {
+      console.error('❌ Error cancelling GBP batch:', error);
+      res.status(500).json({
+        error: 'Failed to cancel batch',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  planBatchSlots,
+  createGBPBatchEndpoint,
+  getGBPBatchEndpoint,
+  cancelGBPBatchEndpoint
+};
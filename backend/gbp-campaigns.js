@@ -0,0 +1,348 @@
+// ===== Multi-Location GBP Campaigns =====
+// Franchise clients connect one GoHighLevel sub-account per location. A campaign takes one
+// topic and produces a localized draft for every active location; each draft is a regular
+// gbp_posts row (campaign_id + location_id) with its own status and ghl_post_id, so review,
+// scheduling and publishing work per location exactly as they do for single posts.
+
+import { getGHLAccessToken, getLocation, generateGBPContent, generateGBPImage } from './ghl-integration.js';
+import { persistGBPImage, removeStoredImage } from './image-storage.js';
+import { APPROVABLE_STATUSES, approveGBPPost } from './gbp-approval.js';
+import { parsePostTypeFields } from './gbp-post-types.js';
+import { parseCallToAction } from './gbp-cta.js';
+import { passesTopicCheck, recordUsedTopic } from './gbp-topic-history.js';
+import { refreshPostLint } from './gbp-content-lint.js';
+import { recordGenerations } from './gbp-generations.js';
+
+// City and address come from GoHighLevel the first time a location is used and are cached on
+// the sub-account; the service area is entered by hand (see updateGHLLocationDetailsEndpoint)
+async function resolveLocationContext(dbClient, subAccount, axios) {
+  if (!subAccount.location_city && !subAccount.location_address) {
+    try {
+      const accessToken = await getGHLAccessToken(subAccount.client_id, dbClient, axios, subAccount.location_id);
+      const location = await getLocation(subAccount.location_id, accessToken, axios);
+      const city = [location?.city, location?.state].filter(Boolean).join(', ') || null;
+      const address = [location?.address, location?.city, location?.state, location?.postalCode].filter(Boolean).join(', ') || null;
+
+      await dbClient.query(
+        'UPDATE ghl_sub_accounts SET location_city = $1, location_address = $2 WHERE id = $3',
+        [city, address, subAccount.id]
+      );
+      subAccount = { ...subAccount, location_city: city, location_address: address };
+    } catch (error) {
+      console.warn(`⚠️ Could not load details for location ${subAccount.location_id}:`, error.response?.data?.message || error.message);
+    }
+  }
+
+  return {
+    location: subAccount.location_city || subAccount.sub_account_name || null,
+    address: subAccount.location_address || null,
+    serviceArea: subAccount.service_area || null
+  };
+}
+
+// Roll the child posts' statuses up into a campaign-level status
+function summarizeCampaign(campaign, posts) {
+  const counts = posts.reduce((acc, post) => {
+    acc[post.status] = (acc[post.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  const total = posts.length;
+  let status = 'draft';
+  if (total > 0 && counts.published === total) {
+    status = 'published';
+  } else if (counts.published || counts.failed) {
+    status = counts.failed ? 'partially_failed' : 'partially_published';
+  } else if (counts.scheduled || counts.publishing) {
+    status = 'scheduled';
+  } else if (counts.approved) {
+    status = 'approved';
+  } else if (counts.pending_approval) {
+    status = 'pending_approval';
+  }
+
+  return { ...campaign, status, total, counts, posts };
+}
+
+async function loadCampaignPosts(dbClient, campaignId) {
+  const result = await dbClient.query(
+    `SELECT p.*, s.sub_account_name, s.location_city
+     FROM gbp_posts p
+     LEFT JOIN ghl_sub_accounts s ON s.client_id = p.client_id AND s.location_id = p.location_id
+     WHERE p.campaign_id = $1
+     ORDER BY s.sub_account_name NULLS LAST, p.id`,
+    [campaignId]
+  );
+  return result.rows;
+}
+
+// API Endpoint: Generate a localized draft for every active location of a client
+function createGBPCampaignEndpoint(app, pool, ai, openai, axios, imageStorage, textGenerator) {
+  app.post('/api/gbp/campaigns', async (req, res) => {
+    try {
+      const { clientId, topic, scheduledAt: requestedScheduledAt, generateImage, locationIds, allowDuplicate } = req.body;
+
+      if (!clientId || !topic) {
+        return res.status(400).json({ error: 'Client ID and topic are required' });
+      }
+
+      const postType = parsePostTypeFields(req.body);
+      if (postType.error) {
+        return res.status(400).json({ error: postType.error });
+      }
+
+      const scheduleDate = requestedScheduledAt ? new Date(requestedScheduledAt) : null;
+      if (scheduleDate && isNaN(scheduleDate.getTime())) {
+        return res.status(400).json({ error: 'scheduledAt must be a valid date' });
+      }
+      const isFutureDated = !!scheduleDate && scheduleDate.getTime() > Date.now();
+
+      const clientResult = await pool.query('SELECT * FROM clients WHERE id = $1', [clientId]);
+      if (clientResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+      const businessInfo = clientResult.rows[0];
+
+      const callToAction = parseCallToAction(req.body, businessInfo, postType.fields.post_type);
+      if (callToAction.error) {
+        return res.status(400).json({ error: callToAction.error });
+      }
+      const postDetails = { ...postType.fields, ...callToAction.fields };
+
+      const subResult = await pool.query(
+        `SELECT * FROM ghl_sub_accounts
+         WHERE client_id = $1 AND is_active = true AND ($2::text[] IS NULL OR location_id = ANY($2))
+         ORDER BY sub_account_name NULLS LAST, created_at`,
+        [clientId, Array.isArray(locationIds) && locationIds.length > 0 ? locationIds : null]
+      );
+      if (subResult.rows.length === 0) {
+        return res.status(400).json({ error: 'No active GoHighLevel locations found for this client' });
+      }
+
+      if (!(await passesTopicCheck(pool, clientId, topic, ai, allowDuplicate, res))) {
+        return;
+      }
+
+      console.log(`🏬 Creating GBP campaign for ${businessInfo.name} across ${subResult.rows.length} location(s): "${topic}"`);
+
+      const campaignResult = await pool.query(
+        `INSERT INTO gbp_campaigns (client_id, topic, scheduled_at)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [clientId, topic, isFutureDated ? scheduleDate : null]
+      );
+      const campaign = campaignResult.rows[0];
+
+      // One image is shared by every location
+      let storedImage = null;
+      if (generateImage) {
+        const generated = await generateGBPImage(topic, businessInfo, openai);
+        if (generated?.url && imageStorage) {
+          try {
+            storedImage = await persistGBPImage(generated.url, clientId, imageStorage, axios);
+          } catch (imageError) {
+            console.error('❌ Error storing GBP campaign image, continuing without it:', imageError.message);
+          }
+        }
+      }
+
+      // Locations are generated one at a time to stay within provider rate limits
+      const failures = [];
+      const lengthReports = [];
+      for (const subAccount of subResult.rows) {
+        try {
+          const locationContext = await resolveLocationContext(pool, subAccount, axios);
+          const { content, lengthReport, generation, generationLog } = await generateGBPContent(topic, { ...businessInfo, ...locationContext }, textGenerator, postDetails);
+          lengthReports.push({ locationId: subAccount.location_id, ...lengthReport });
+
+          const inserted = await pool.query(
+            `INSERT INTO gbp_posts (client_id, campaign_id, location_id, content, status, scheduled_at, image_url, image_storage_key,
+                                    post_type, title, start_at, end_at, coupon_code, redeem_url, terms,
+                                    cta_type, cta_text, more_info_url, topic, ai_provider, ai_model)
+             VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+             RETURNING id`,
+            [
+              clientId,
+              campaign.id,
+              subAccount.location_id,
+              content,
+              isFutureDated ? scheduleDate : null,
+              storedImage?.url || null,
+              storedImage?.key || null,
+              postType.fields.post_type,
+              postType.fields.title,
+              postType.fields.start_at,
+              postType.fields.end_at,
+              postType.fields.coupon_code,
+              postType.fields.redeem_url,
+              postType.fields.terms,
+              callToAction.fields.cta_type,
+              callToAction.fields.cta_text,
+              callToAction.fields.more_info_url,
+              topic,
+              generation.provider,
+              generation.model
+            ]
+          );
+          await recordGenerations(pool, { postId: inserted.rows[0].id, clientId }, generationLog);
+          console.log(`✅ Campaign ${campaign.id}: draft created for location ${subAccount.location_id}`);
+        } catch (locationError) {
+          console.error(`❌ Campaign ${campaign.id}: failed for location ${subAccount.location_id}:`, locationError.message);
+          failures.push({
+            locationId: subAccount.location_id,
+            name: subAccount.sub_account_name,
+            error: locationError.message
+          });
+        }
+      }
+
+      // Nothing to review: don't leave an empty campaign (or its unused image) behind
+      if (failures.length === subResult.rows.length) {
+        await pool.query('DELETE FROM gbp_campaigns WHERE id = $1', [campaign.id]);
+        await removeStoredImage(pool, imageStorage, storedImage?.key);
+        return res.status(502).json({
+          error: 'Failed to generate a draft for any location',
+          details: failures.map(f => `${f.name || f.locationId}: ${f.error}`).join('; '),
+          failures
+        });
+      }
+
+      const posts = [];
+      for (const post of await loadCampaignPosts(pool, campaign.id)) {
+        posts.push({ ...post, lint_findings: await refreshPostLint(pool, post) });
+      }
+      // The campaign is one topic, however many locations it went out to
+      if (posts.length > 0) {
+        await recordUsedTopic(pool, clientId, topic, posts[0].id);
+      }
+
+      res.json({
+        success: posts.length > 0,
+        campaign: summarizeCampaign(campaign, posts),
+        failures,
+        lengthReports,
+        message: failures.length === 0
+          ? `✅ ${posts.length} location drafts generated — review and approve them to publish`
+          : `⚠️ ${posts.length} of ${subResult.rows.length} location drafts generated`
+      });
+    } catch (error) {
+      console.error('❌ Error creating GBP campaign:', error);
+      res.status(500).json({
+        error: 'Failed to create GBP campaign',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: List a client's campaigns with their per-location posts
+function getGBPCampaignsEndpoint(app, pool) {
+  app.get('/api/gbp/campaigns/:clientId', async (req, res) => {
+    try {
+      const { clientId } = req.params;
+
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          'SELECT * FROM gbp_campaigns WHERE client_id = $1 ORDER BY created_at DESC',
+          [clientId]
+        );
+
+        const campaigns = [];
+        for (const campaign of result.rows) {
+          campaigns.push(summarizeCampaign(campaign, await loadCampaignPosts(client, campaign.id)));
+        }
+
+        res.json({
+          success: true,
+          campaigns
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error fetching GBP campaigns:', error);
+      res.status(500).json({
+        error: 'Failed to fetch GBP campaigns',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Approve every reviewable location post in a campaign
+function approveGBPCampaignEndpoint(app, pool, axios) {
+  app.post('/api/gbp/campaigns/:campaignId/approve', async (req, res) => {
+    try {
+      const { campaignId } = req.params;
+      const { approvedBy } = req.body;
+
+      if (!approvedBy) {
+        return res.status(400).json({ error: 'approvedBy is required' });
+      }
+
+      const client = await pool.connect();
+      try {
+        const campaignResult = await client.query('SELECT * FROM gbp_campaigns WHERE id = $1', [campaignId]);
+        if (campaignResult.rows.length === 0) {
+          return res.status(404).json({ error: 'GBP campaign not found' });
+        }
+
+        // Each location is approved independently, so one failing location doesn't block the rest
+        const results = [];
+        for (const post of await loadCampaignPosts(client, campaignId)) {
+          if (!APPROVABLE_STATUSES.includes(post.status)) continue;
+          try {
+            const lint = await refreshPostLint(client, post);
+            if (!lint.passed) {
+              results.push({ postId: post.id, locationId: post.location_id, approved: false, posted: false, message: `Not approved: ${lint.errors} content lint error(s)` });
+              continue;
+            }
+            const outcome = await approveGBPPost(client, post, approvedBy, axios);
+            if (outcome.conflict) {
+              results.push({ postId: post.id, locationId: post.location_id, approved: false, posted: false, message: 'Not approved: the post was changed or approved by someone else meanwhile' });
+              continue;
+            }
+            results.push({ postId: post.id, locationId: post.location_id, approved: true, posted: outcome.posted, message: outcome.message });
+          } catch (postError) {
+            console.error(`❌ Error approving campaign post ${post.id}:`, postError.message);
+            results.push({ postId: post.id, locationId: post.location_id, approved: false, posted: false, message: postError.message });
+          }
+        }
+
+        const campaign = summarizeCampaign(campaignResult.rows[0], await loadCampaignPosts(client, campaignId));
+        // Lint failures, conflicts and errors are reported separately rather than counted as approved
+        const approvedCount = results.filter(r => r.approved).length;
+        const postedCount = results.filter(r => r.posted).length;
+        const skippedCount = results.length - approvedCount;
+
+        console.log(`✅ Campaign ${campaignId} approved by ${approvedBy}: ${approvedCount} of ${results.length} post(s), ${postedCount} published`);
+
+        res.json({
+          success: true,
+          campaign,
+          results,
+          message: results.length === 0
+            ? 'No location posts were waiting for approval'
+            : `${skippedCount > 0 ? '⚠️' : '✅'} Approved ${approvedCount} location post(s), ${postedCount} published now` +
+              (skippedCount > 0 ? `; ${skippedCount} not approved (lint errors, conflicting changes or failures)` : '')
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error approving GBP campaign:', error);
+      res.status(500).json({
+        error: 'Failed to approve GBP campaign',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  resolveLocationContext,
+  createGBPCampaignEndpoint,
+  getGBPCampaignsEndpoint,
+  approveGBPCampaignEndpoint
+};
@@ -0,0 +1,166 @@
+// ===== GBP Content Lint =====
+// Brand-safety and Google Business Profile policy checks for post text. Google rejects posts
+// with phone numbers in the body or shouty capitalisation, so those are errors and block
+// publishing; style problems (AI clichés, unverifiable claims, too many emoji) are warnings
+// shown next to the preview. Every generated or edited post stores its latest findings in
+// gbp_posts.lint_findings.
+
+import { GBP_MAX_LENGTH } from './gbp-length.js';
+import { toPhraseList, getEmojiLimit, checkStyleRules } from './gbp-style-rules.js';
+
+// Phrases that make a post read as machine-written
+const AI_CLICHES = [
+  'cutting-edge', 'state-of-the-art', 'comprehensive', 'seamless', 'seamlessly', 'elevate your',
+  'unlock the', 'delve', 'look no further', 'game-changer', 'game changer', 'in today\'s fast-paced',
+  'whether you\'re', 'we\'ve got you covered', 'top-notch', 'one-stop shop', 'testament to',
+  'navigate the', 'embark on', 'leverage', 'robust', 'tailored to your needs'
+];
+
+// Claims Google treats as misleading unless they can be backed up
+const UNVERIFIABLE_CLAIMS = [
+  'guaranteed', 'guarantee', '#1', 'number one', 'best in', 'lowest price', 'cheapest',
+  '100%', 'risk-free', 'risk free', 'never fails'
+];
+
+// Written like a phone number: grouped with separators or brackets, or in +international form
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b|\+\d{10,14}\b/g;
+// A bare run of 10-11 digits might be a phone number, but is as likely a licence, order or SKU number
+const DIGIT_RUN_PATTERN = /(?<![+\d])\d{10,11}\b/g;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9-]+\.(?:com|net|org|co|io|us|biz|info)(?:\/[^\s]*)?\b/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive occurrences of any of the phrases
+function findPhrases(content, phrases) {
+  const found = [];
+  for (const phrase of phrases) {
+    const trimmed = String(phrase || '').trim();
+    if (!trimmed) continue;
+    // \b only works next to word characters, so phrases like "#1" are matched as-is
+    const prefix = /^\w/.test(trimmed) ? '\\b' : '';
+    const suffix = /\w$/.test(trimmed) ? '\\b' : '';
+    const match = content.match(new RegExp(`${prefix}${escapeRegExp(trimmed)}${suffix}`, 'i'));
+    if (match) found.push(match[0]);
+  }
+  return found;
+}
+
+// Lint post text against the policy checks and the client's own rules
+// `clientSettings` is the clients row (or anything with its bannedPhrases and styleRules)
+// Returns { passed, errors, warnings, findings: [{ rule, severity, message, matches }] }
+function lintGBPContent(content, clientSettings = {}) {
+  const text = String(content || '');
+  const findings = [];
+  const add = (rule, severity, message, matches = []) => findings.push({ rule, severity, message, matches });
+
+  if (!text.trim()) {
+    add('empty', 'error', 'The post has no text');
+  }
+  if (text.length > GBP_MAX_LENGTH) {
+    add('too_long', 'error', `Google Business Profile posts are limited to ${GBP_MAX_LENGTH} characters (this one is ${text.length})`);
+  }
+
+  const phones = text.match(PHONE_PATTERN);
+  if (phones) {
+    add('phone_number', 'error', 'Google rejects posts with phone numbers in the text — use the Call button instead', phones);
+  }
+  const digitRuns = text.match(DIGIT_RUN_PATTERN);
+  if (digitRuns) {
+    add('possible_phone_number', 'warning', 'If this is a phone number, Google will reject the post — use the Call button instead', digitRuns);
+  }
+
+  const urls = text.match(URL_PATTERN);
+  if (urls) {
+    add('url_in_body', 'warning', 'Links in the post text are not clickable — put the landing page on the button instead', urls);
+  }
+
+  const banned = findPhrases(text, toPhraseList(clientSettings.bannedPhrases));
+  if (banned.length > 0) {
+    add('banned_phrase', 'error', 'Contains phrases this client does not allow', banned);
+  }
+
+  // Shouting: mostly capital letters overall, or several all-caps words
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  const capitals = text.replace(/[^A-Z]/g, '');
+  const capsWords = text.match(/\b[A-Z]{4,}\b/g) || [];
+  if (letters.length >= 20 && capitals.length / letters.length > 0.5) {
+    add('all_caps', 'error', 'Most of the post is in capital letters, which Google rejects');
+  } else if (capsWords.length >= 3) {
+    add('all_caps', 'warning', 'Several words are in all caps', capsWords);
+  }
+
+  const emojiLimit = getEmojiLimit(clientSettings.styleRules);
+  const emoji = text.match(EMOJI_PATTERN) || [];
+  if (emoji.length > emojiLimit) {
+    add('emoji_limit', 'warning', `Uses ${emoji.length} emoji (limit ${emojiLimit})`, emoji);
+  }
+
+  const cliches = findPhrases(text, AI_CLICHES);
+  if (cliches.length > 0) {
+    add('ai_cliche', 'warning', 'Sounds AI-written', cliches);
+  }
+
+  const claims = findPhrases(text, UNVERIFIABLE_CLAIMS);
+  if (claims.length > 0) {
+    add('unverifiable_claim', 'warning', 'Makes claims Google may treat as misleading unless they can be backed up', claims);
+  }
+
+  findings.push(...checkStyleRules(text, clientSettings.styleRules));
+
+  const errors = findings.filter(f => f.severity === 'error').length;
+  return {
+    passed: errors === 0,
+    errors,
+    warnings: findings.length - errors,
+    findings
+  };
+}
+
+// Lint a post against its client's settings and store the findings on the post
+async function refreshPostLint(db, post) {
+  const clientResult = await db.query('SELECT "bannedPhrases", "styleRules" FROM clients WHERE id = $1', [post.client_id]);
+  const lint = lintGBPContent(post.content, clientResult.rows[0]);
+
+  await db.query('UPDATE gbp_posts SET lint_findings = $1 WHERE id = $2', [JSON.stringify(lint), post.id]);
+  if (!lint.passed) {
+    console.log(`🚫 GBP post ${post.id} has ${lint.errors} lint error(s): ${lint.findings.filter(f => f.severity === 'error').map(f => f.rule).join(', ')}`);
+  }
+  return lint;
+}
+
+// API Endpoint: Lint draft text as it is being edited
+function lintGBPContentEndpoint(app, pool) {
+  app.post('/api/gbp/lint', async (req, res) => {
+    try {
+      const { clientId, content } = req.body;
+
+      if (!clientId) {
+        return res.status(400).json({ error: 'Client ID is required' });
+      }
+
+      const clientResult = await pool.query('SELECT "bannedPhrases", "styleRules" FROM clients WHERE id = $1', [clientId]);
+      if (clientResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+
+      res.json({
+        success: true,
+        lint: lintGBPContent(content, clientResult.rows[0])
+      });
+    } catch (error) {
+      console.error('❌ Error linting GBP content:', error);
+      res.status(500).json({
+        error: 'Failed to lint content',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  AI_CLICHES,
+  lintGBPContent,
+  refreshPostLint,
+  lintGBPContentEndpoint
+};
@@ -0,0 +1,139 @@
+// ===== GBP Call-to-Action Buttons =====
+// Each update or event post can carry one Google Business Profile action button.
+// The chosen button is stored as cta_type (GBP action type) and cta_text (its label),
+// and the landing page, tagged with UTM parameters, as more_info_url.
+
+// GBP action types and the labels shown on the button
+const CTA_TYPES = {
+  BOOK: 'Book',
+  ORDER: 'Order',
+  SHOP: 'Shop',
+  LEARN_MORE: 'Learn More',
+  SIGN_UP: 'Sign Up',
+  CALL: 'Call'
+};
+const DEFAULT_CTA_TYPE = 'LEARN_MORE';
+
+// Tag GBP traffic so it shows up separately in analytics
+const UTM_SOURCE = 'google';
+const UTM_MEDIUM = 'gbp';
+
+// Add UTM parameters to a landing page URL, keeping any the URL already has
+function addUtmParams(url, { campaign, content } = {}) {
+  const tagged = new URL(url);
+  const defaults = {
+    utm_source: UTM_SOURCE,
+    utm_medium: UTM_MEDIUM,
+    utm_campaign: campaign,
+    utm_content: content
+  };
+  for (const [key, value] of Object.entries(defaults)) {
+    if (value && !tagged.searchParams.has(key)) {
+      tagged.searchParams.set(key, value);
+    }
+  }
+  return tagged.toString();
+}
+
+// Validate the call-to-action part of a create request
+// Returns { error } or { fields } with keys matching the gbp_posts columns
+function parseCallToAction(body, businessInfo, postType = 'update') {
+  // Offers link to their redeem URL instead of a button
+  if (postType === 'offer') {
+    return { fields: { cta_type: null, cta_text: null, more_info_url: null } };
+  }
+
+  const ctaType = body.ctaType || DEFAULT_CTA_TYPE;
+  if (!CTA_TYPES[ctaType]) {
+    return { error: `ctaType must be one of: ${Object.keys(CTA_TYPES).join(', ')}` };
+  }
+
+  // Call buttons dial the phone number on the Business Profile, so they have no URL
+  if (ctaType === 'CALL') {
+    return { fields: { cta_type: ctaType, cta_text: CTA_TYPES[ctaType], more_info_url: null } };
+  }
+
+  const landingPage = (body.moreInfoUrl || businessInfo.websiteUrl || '').trim();
+  if (!landingPage) {
+    return { error: `A landing page URL is required for the "${CTA_TYPES[ctaType]}" button` };
+  }
+  if (!/^https?:\/\//i.test(landingPage)) {
+    return { error: 'Landing page URL must start with http:// or https://' };
+  }
+
+  let moreInfoUrl = landingPage;
+  if (body.utm !== false) {
+    try {
+      moreInfoUrl = addUtmParams(landingPage, {
+        campaign: (body.utmCampaign || '').trim() || `gbp_${postType}`,
+        content: ctaType.toLowerCase()
+      });
+    } catch (urlError) {
+      return { error: `Invalid landing page URL: ${landingPage}` };
+    }
+  }
+
+  return { fields: { cta_type: ctaType, cta_text: CTA_TYPES[ctaType], more_info_url: moreInfoUrl } };
+}
+
+// Call-to-action for GoHighLevel's Social Planner (undefined when the post has none)
+function toGHLCallToAction(post) {
+  if (!post.cta_type) return undefined;
+  return {
+    actionType: post.cta_type,
+    text: post.cta_text,
+    ...(post.more_info_url && { url: post.more_info_url })
+  };
+}
+
+// API Endpoint: Landing pages a client's posts can link to (the website plus crawled sitemap pages)
+function getGBPLandingPagesEndpoint(app, pool) {
+  app.get('/api/gbp/landing-pages/:clientId', async (req, res) => {
+    try {
+      const { clientId } = req.params;
+
+      const client = await pool.connect();
+      try {
+        const clientResult = await client.query('SELECT "websiteUrl" FROM clients WHERE id = $1', [clientId]);
+        if (clientResult.rows.length === 0) {
+          return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const result = await client.query(
+          `SELECT url, title, category FROM sitemap_urls
+           WHERE client_id = $1
+           ORDER BY category NULLS LAST, title NULLS LAST, url`,
+          [clientId]
+        );
+
+        const websiteUrl = clientResult.rows[0].websiteUrl;
+        const pages = result.rows.filter(page => page.url !== websiteUrl);
+        if (websiteUrl) {
+          pages.unshift({ url: websiteUrl, title: 'Homepage', category: null });
+        }
+
+        res.json({
+          success: true,
+          pages
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error fetching landing pages:', error);
+      res.status(500).json({
+        error: 'Failed to fetch landing pages',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  CTA_TYPES,
+  DEFAULT_CTA_TYPE,
+  addUtmParams,
+  parseCallToAction,
+  toGHLCallToAction,
+  getGBPLandingPagesEndpoint
+};
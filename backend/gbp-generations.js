@@ -0,0 +1,123 @@
+// ===== GBP Generation Log =====
+// Every model call made while writing a post (the first draft plus any style or length rewrites)
+// is stored in gbp_generations with its prompt, provider, model, latency, token counts and
+// estimated cost, so a post's text can be traced back for debugging and usage billed per client.
+
+// Store the calls from generateGBPContent's generationLog against the post (and variant) they produced
+async function recordGenerations(db, { postId, clientId, variantId = null }, generationLog = []) {
+  for (const entry of generationLog) {
+    await db.query(
+      `INSERT INTO gbp_generations (post_id, variant_id, client_id, purpose, provider, model, prompt, response,
+                                    latency_ms, input_tokens, output_tokens, estimated_cost, fallback, fallback_reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+      [
+        postId,
+        variantId,
+        clientId,
+        entry.purpose,
+        entry.provider,
+        entry.model,
+        entry.prompt,
+        entry.text,
+        entry.latencyMs,
+        entry.inputTokens,
+        entry.outputTokens,
+        entry.estimatedCost,
+        entry.fallback,
+        entry.fallbackReason
+      ]
+    );
+  }
+}
+
+// Token and cost totals over a set of generation rows
+function summarizeGenerations(rows) {
+  return rows.reduce((totals, row) => ({
+    calls: totals.calls + 1,
+    inputTokens: totals.inputTokens + (row.input_tokens || 0),
+    outputTokens: totals.outputTokens + (row.output_tokens || 0),
+    estimatedCost: totals.estimatedCost + Number(row.estimated_cost || 0),
+    latencyMs: totals.latencyMs + (row.latency_ms || 0),
+    fallbacks: totals.fallbacks + (row.fallback ? 1 : 0)
+  }), { calls: 0, inputTokens: 0, outputTokens: 0, estimatedCost: 0, latencyMs: 0, fallbacks: 0 });
+}
+
+// API Endpoint: Every generation behind one post, oldest first
+function getGBPGenerationsEndpoint(app, pool) {
+  app.get('/api/gbp/posts/:postId/generations', async (req, res) => {
+    try {
+      const { postId } = req.params;
+
+      const postResult = await pool.query('SELECT id FROM gbp_posts WHERE id = $1', [postId]);
+      if (postResult.rows.length === 0) {
+        return res.status(404).json({ error: 'GBP post not found' });
+      }
+
+      const result = await pool.query(
+        `SELECT * FROM gbp_generations WHERE post_id = $1 ORDER BY created_at, id`,
+        [postId]
+      );
+
+      res.json({
+        success: true,
+        generations: result.rows,
+        totals: summarizeGenerations(result.rows)
+      });
+    } catch (error) {
+      console.error('❌ Error fetching GBP generations:', error);
+      res.status(500).json({
+        error: 'Failed to fetch generation history',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: A client's generation usage per provider and model, for billing
+// Optional ?from= and ?to= (ISO dates) limit the period
+function getGBPGenerationUsageEndpoint(app, pool) {
+  app.get('/api/gbp/generation-usage/:clientId', async (req, res) => {
+    try {
+      const { clientId } = req.params;
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+      }
+
+      const result = await pool.query(
+        `SELECT provider, model,
+                COUNT(*)::int AS calls,
+                COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+                COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+                COALESCE(SUM(estimated_cost), 0)::float AS estimated_cost,
+                COUNT(*) FILTER (WHERE fallback)::int AS fallbacks
+         FROM gbp_generations
+         WHERE client_id = $1
+           AND ($2::timestamptz IS NULL OR created_at >= $2)
+           AND ($3::timestamptz IS NULL OR created_at < $3)
+         GROUP BY provider, model
+         ORDER BY estimated_cost DESC`,
+        [clientId, from, to]
+      );
+
+      res.json({
+        success: true,
+        usage: result.rows,
+        totalEstimatedCost: result.rows.reduce((sum, row) => sum + row.estimated_cost, 0)
+      });
+    } catch (error) {
+      console.error('❌ Error fetching GBP generation usage:', error);
+      res.status(500).json({
+        error: 'Failed to fetch generation usage',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  recordGenerations,
+  getGBPGenerationsEndpoint,
+  getGBPGenerationUsageEndpoint
+};
@@ -0,0 +1,140 @@
+// ===== GBP Post Length Enforcement =====
+// Google Business Profile accepts up to 1500 characters, but only the first few lines show
+// before "More", so each post type has its own target range. Posts outside the range are sent
+// back to the model to be rewritten; if that still doesn't fit, whole sentences are dropped
+// from the middle so the closing call-to-action survives.
+//
+// Override the defaults with GBP_LENGTH_LIMITS, e.g. {"update":{"max":600},"offer":{"min":100}}
+
+const GBP_MAX_LENGTH = 1500;
+const MAX_REWRITE_ATTEMPTS = 2;
+
+const DEFAULT_LENGTH_LIMITS = {
+  update: { min: 200, max: 400 },
+  event: { min: 150, max: 600 },
+  offer: { min: 150, max: 600 }
+};
+
+function loadLengthLimits() {
+  const limits = JSON.parse(JSON.stringify(DEFAULT_LENGTH_LIMITS));
+  if (!process.env.GBP_LENGTH_LIMITS) return limits;
+
+  try {
+    const overrides = JSON.parse(process.env.GBP_LENGTH_LIMITS);
+    for (const [postType, range] of Object.entries(overrides)) {
+      if (!limits[postType]) continue;
+      const min = Number(range.min ?? limits[postType].min);
+      const max = Math.min(Number(range.max ?? limits[postType].max), GBP_MAX_LENGTH);
+      if (!(min >= 0 && max > min)) {
+        console.warn(`⚠️ Ignoring GBP_LENGTH_LIMITS for "${postType}": min must be below max`);
+        continue;
+      }
+      limits[postType] = { min, max };
+    }
+  } catch (error) {
+    console.warn('⚠️ GBP_LENGTH_LIMITS is not valid JSON, using the default length limits:', error.message);
+  }
+  return limits;
+}
+
+const LENGTH_LIMITS = loadLengthLimits();
+
+function getLengthLimits(postType = 'update') {
+  return LENGTH_LIMITS[postType] || LENGTH_LIMITS.update;
+}
+
+function splitSentences(text) {
+  return text.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g)?.map(s => s.trim()).filter(Boolean) || [text];
+}
+
+// Shorten to at most `max` characters without cutting a sentence in half.
+// The last sentence is normally the call-to-action, so middle sentences go first.
+function trimToSentences(text, max) {
+  if (text.length <= max) return text;
+
+  const sentences = splitSentences(text);
+  if (sentences.length > 1) {
+    const closing = sentences[sentences.length - 1];
+    const body = sentences.slice(0, -1);
+    while (body.length > 0) {
+      const candidate = [...body, closing].join(' ');
+      if (candidate.length <= max) return candidate;
+      body.pop();
+    }
+    if (closing.length <= max) return closing;
+
+    // Fall back to the leading sentences that fit
+    const kept = [];
+    for (const sentence of sentences) {
+      if ([...kept, sentence].join(' ').length > max) break;
+      kept.push(sentence);
+    }
+    if (kept.length > 0) return kept.join(' ');
+  }
+
+  // A single overlong sentence: cut at the last word boundary and close it properly
+  const cut = text.substring(0, max - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > max / 2 ? cut.substring(0, lastSpace) : cut).replace(/[\s,;:–-]+$/, '')}.`;
+}
+
+function checkLength(content, limits) {
+  const length = content.length;
+  return {
+    length,
+    min: limits.min,
+    max: limits.max,
+    withinLimits: length >= limits.min && length <= limits.max
+  };
+}
+
+// Bring content within the limits for its post type
+// `rewrite(content, instruction)` asks the model for a new version and returns its text
+// Returns { content, lengthReport }
+async function enforceLength(content, limits, rewrite) {
+  const originalLength = content.length;
+  let current = content;
+  let rewrites = 0;
+
+  while (!checkLength(current, limits).withinLimits && rewrites < MAX_REWRITE_ATTEMPTS) {
+    rewrites++;
+    const direction = current.length > limits.max ? 'shorten' : 'expand';
+    const instruction = `${direction === 'shorten' ? 'Shorten' : 'Expand'} this post to between ${limits.min} and ${limits.max} characters (it is currently ${current.length}).`;
+    console.log(`📏 Post is ${current.length} chars (limits ${limits.min}-${limits.max}), asking for a rewrite (${rewrites}/${MAX_REWRITE_ATTEMPTS})`);
+
+    try {
+      const rewritten = await rewrite(current, instruction);
+      if (rewritten) current = rewritten;
+    } catch (error) {
+      console.warn('⚠️ Length rewrite failed:', error.message);
+      break;
+    }
+  }
+
+  // Last resort: only overlong posts can be fixed without the model
+  let trimmed = false;
+  if (current.length > limits.max) {
+    console.warn(`⚠️ Still ${current.length} chars after ${rewrites} rewrite(s), trimming to whole sentences`);
+    current = trimToSentences(current, limits.max);
+    trimmed = true;
+  }
+
+  return {
+    content: current,
+    lengthReport: {
+      ...checkLength(current, limits),
+      originalLength,
+      rewrites,
+      trimmed
+    }
+  };
+}
+
+export {
+  GBP_MAX_LENGTH,
+  DEFAULT_LENGTH_LIMITS,
+  getLengthLimits,
+  trimToSentences,
+  checkLength,
+  enforceLength
+};
@@ -0,0 +1,571 @@
+// ===== GBP Post Editing, Unpublishing & Deleting =====
+// Posts can be edited (content, call-to-action button, image, schedule), unpublished or deleted
+// at any point in their life. Local posts are simply updated; posts already sent to GoHighLevel
+// are changed there first, and nothing is changed locally if GoHighLevel refuses. Edits and
+// deletes lock the row from the version check to the local write, so the two never drift apart.
+//
+// Every post carries a version that each change increments. Edits must send the version they
+// were made against and are refused with 409 VERSION_CONFLICT if someone changed the post since.
+// Each change is recorded in gbp_post_changes, which outlives the post itself.
+
+import {
+  getGHLAccessToken,
+  resolvePostLocation,
+  updateSocialPost,
+  deleteSocialPost,
+  toGHLSocialPost
+} from './ghl-integration.js';
+import { parseCallToAction } from './gbp-cta.js';
+import { lintGBPContent, refreshPostLint } from './gbp-content-lint.js';
+import { persistGBPImage, removeStoredImage } from './image-storage.js';
+
+// Statuses of local posts that can be changed; 'publishing' is mid-flight in the scheduler
+const LOCAL_EDITABLE_STATUSES = ['draft', 'pending_approval', 'approved', 'rejected', 'scheduled', 'failed'];
+
+// Statuses of posts already in GoHighLevel that GoHighLevel still lets us change
+const REMOTE_EDITABLE_STATUSES = ['scheduled', 'published', 'failed'];
+
+// Statuses that have passed approval and go back to the scheduler queue when only the date moves
+const APPROVED_STATUSES = ['approved', 'scheduled', 'failed'];
+
+// Columns an edit may touch, as recorded in the change history
+const EDITABLE_COLUMNS = ['content', 'cta_type', 'cta_text', 'more_info_url', 'image_url', 'scheduled_at'];
+
+// Columns kept in the history when a post is deleted, so it can be identified later
+const DELETED_SNAPSHOT_COLUMNS = ['content', 'status', 'topic', 'post_type', 'scheduled_at', 'published_at', 'ghl_post_id', 'image_url'];
+
+// Parse the version an edit was made against; null when missing or invalid
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// 409 response for an edit made against an old version, with the current post so the UI can reload it
+function sendVersionConflict(res, post) {
+  return res.status(409).json({
+    error: 'VERSION_CONFLICT',
+    message: `This post was changed by someone else (now version ${post.version}). Reload it and try again.`,
+    post
+  });
+}
+
+// Compare two column values, treating dates by their instant
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+// { column: { from, to } } for every editable column the update actually changes
+function diffColumns(post, updates) {
+  const changes = {};
+  for (const column of EDITABLE_COLUMNS) {
+    if (!(column in updates) || sameValue(post[column], updates[column])) continue;
+    changes[column] = { from: post[column] ?? null, to: updates[column] ?? null };
+  }
+  return changes;
+}
+
+async function recordPostChange(db, post, { action, changes, version, changedBy, propagated }) {
+  await db.query(
+    `INSERT INTO gbp_post_changes (post_id, client_id, action, changes, version, changed_by, propagated)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [post.id, post.client_id, action, JSON.stringify(changes), version, changedBy || null, propagated]
+  );
+}
+
+// Run fn(client) in one transaction on a pooled client, rolling back if it throws
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Location, account and token for a post already sent to GoHighLevel
+async function resolveRemotePost(db, post, axios) {
+  const locationId = await resolvePostLocation(db, post);
+  if (!locationId) throw new Error('No active GoHighLevel sub-account found for this client');
+  const accessToken = await getGHLAccessToken(post.client_id, db, axios, locationId);
+  return { locationId, accessToken };
+}
+
+// Validate an edit request against the post
+// Returns { error, status } or { updates } with keys matching the gbp_posts columns
+async function parsePostEdits(body, post, businessInfo, imageStorage, axios) {
+  const updates = {};
+
+  if (body.content !== undefined) {
+    const content = typeof body.content === 'string' ? body.content.trim() : '';
+    if (!content) return { error: 'Content cannot be empty' };
+    updates.content = content;
+  }
+
+  if (body.callToAction !== undefined) {
+    const cta = parseCallToAction(body.callToAction || {}, businessInfo, post.post_type || 'update');
+    if (cta.error) return { error: cta.error };
+    Object.assign(updates, cta.fields);
+  }
+
+  if (body.scheduledAt !== undefined) {
+    if (post.ghl_post_id && post.status !== 'scheduled') {
+      return { error: 'Only posts still waiting in GoHighLevel can be rescheduled', status: 409 };
+    }
+    const scheduleDate = body.scheduledAt ? new Date(body.scheduledAt) : null;
+    if (scheduleDate && isNaN(scheduleDate.getTime())) {
+      return { error: 'scheduledAt must be a valid date' };
+    }
+    if (scheduleDate && scheduleDate.getTime() <= Date.now()) {
+      return { error: 'scheduledAt must be in the future' };
+    }
+    if (!scheduleDate && post.ghl_post_id) {
+      return { error: 'A post scheduled in GoHighLevel needs a scheduledAt' };
+    }
+    updates.scheduled_at = scheduleDate;
+  }
+
+  // New images are stored like generated ones; an empty imageUrl removes the image
+  if (body.imageUrl !== undefined && (body.imageUrl || null) !== post.image_url) {
+    if (!body.imageUrl) {
+      updates.image_url = null;
+      updates.image_storage_key = null;
+    } else if (!/^https?:\/\//i.test(body.imageUrl)) {
+      return { error: 'imageUrl must start with http:// or https://' };
+    } else if (imageStorage) {
+      try {
+        const stored = await persistGBPImage(body.imageUrl, post.client_id, imageStorage, axios);
+        updates.image_url = stored.url;
+        updates.image_storage_key = stored.key;
+      } catch (imageError) {
+        return { error: `Could not download image: ${imageError.message}` };
+      }
+    } else {
+      updates.image_url = body.imageUrl;
+      updates.image_storage_key = null;
+    }
+  }
+
+  return { updates };
+}
+
+// API Endpoint: Edit a post's content, call-to-action, image or schedule
+// Body: { version, editedBy, content?, callToAction?: { ctaType, moreInfoUrl, utm, utmCampaign }, imageUrl?, scheduledAt? }
+function updateGBPPostEndpoint(app, pool, axios, imageStorage) {
+  app.put('/api/gbp/posts/:postId', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { editedBy } = req.body;
+      const version = parseVersion(req.body.version);
+      if (!version) {
+        return res.status(400).json({ error: 'The version being edited is required' });
+      }
+
+      // The row stays locked while GoHighLevel is called, so nobody can change it in between and
+      // the local write always matches what GoHighLevel now has
+      await withTransaction(pool, async (client) => {
+        const existing = await client.query('SELECT * FROM gbp_posts WHERE id = $1 FOR UPDATE', [postId]);
+        if (existing.rows.length === 0) {
+          return res.status(404).json({ error: 'GBP post not found' });
+        }
+        const post = existing.rows[0];
+        if (post.version !== version) {
+          return sendVersionConflict(res, post);
+        }
+
+        const isRemote = !!post.ghl_post_id;
+        const allowedStatuses = isRemote ? REMOTE_EDITABLE_STATUSES : LOCAL_EDITABLE_STATUSES;
+        if (!allowedStatuses.includes(post.status)) {
+          return res.status(409).json({
+            error: `Cannot edit a post with status "${post.status}"`,
+            details: `Allowed statuses: ${allowedStatuses.join(', ')}`
+          });
+        }
+
+        const clientResult = await client.query('SELECT * FROM clients WHERE id = $1', [post.client_id]);
+        const businessInfo = clientResult.rows[0] || {};
+
+        const parsed = await parsePostEdits(req.body, post, businessInfo, imageStorage, axios);
+        if (parsed.error) {
+          return res.status(parsed.status || 400).json({ error: parsed.error });
+        }
+        const { updates } = parsed;
+        const changes = diffColumns(post, updates);
+        if (Object.keys(changes).length === 0) {
+          return res.status(400).json({ error: 'Nothing to change' });
+        }
+
+        const edited = { ...post, ...updates };
+
+        // Content going to GoHighLevel must pass lint, exactly as on approval
+        if (isRemote && changes.content) {
+          const lint = lintGBPContent(edited.content, businessInfo);
+          if (!lint.passed) {
+            await removeStoredImage(client, imageStorage, updates.image_storage_key);
+            return res.status(422).json({
+              error: 'CONTENT_LINT_FAILED',
+              message: `Fix ${lint.errors} content problem(s) before updating a post in GoHighLevel`,
+              lint
+            });
+          }
+        }
+
+        if (isRemote) {
+          try {
+            const { locationId, accessToken } = await resolveRemotePost(client, post, axios);
+            const scheduledAt = post.status === 'scheduled' && edited.scheduled_at
+              ? new Date(edited.scheduled_at).toISOString()
+              : null;
+            await updateSocialPost(
+              locationId,
+              post.ghl_post_id,
+              toGHLSocialPost(edited, post.ghl_account_id, businessInfo, scheduledAt),
+              accessToken,
+              axios
+            );
+          } catch (ghlError) {
+            await removeStoredImage(client, imageStorage, updates.image_storage_key);
+            return res.status(502).json({
+              error: 'GoHighLevel rejected the edit; the post was not changed',
+              details: ghlError.response?.data?.message || ghlError.message
+            });
+          }
+        }
+
+        // Local edits to anything but the date send the post back to draft for re-approval;
+        // moving only the date re-queues approved posts like the calendar does, and clearing it leaves
+        // them approved, since the scheduler only picks up scheduled posts that have a date
+        const onlyRescheduled = Object.keys(changes).every(column => column === 'scheduled_at');
+        const status = isRemote
+          ? post.status
+          : onlyRescheduled
+            ? (APPROVED_STATUSES.includes(post.status) ? (edited.scheduled_at ? 'scheduled' : 'approved') : post.status)
+            : 'draft';
+
+        const result = await client.query(
+          `UPDATE gbp_posts
+           SET content = $1, cta_type = $2, cta_text = $3, more_info_url = $4, image_url = $5,
+               image_storage_key = $6, scheduled_at = $7, status = $8,
+               attempts = CASE WHEN $9 THEN 0 ELSE attempts END,
+               last_error = CASE WHEN $9 THEN NULL ELSE last_error END,
+               next_attempt_at = CASE WHEN $9 THEN NULL ELSE next_attempt_at END,
+               last_edited_by = $10, last_edited_at = NOW(), version = version + 1
+           WHERE id = $11 AND version = $12
+           RETURNING *`,
+          [
+            edited.content,
+            edited.cta_type,
+            edited.cta_text,
+            edited.more_info_url,
+            edited.image_url,
+            edited.image_storage_key,
+            edited.scheduled_at,
+            status,
+            // Re-queued posts get a fresh retry budget
+            status === 'scheduled' && !isRemote,
+            editedBy || null,
+            postId,
+            version
+          ]
+        );
+
+        // Cannot happen while the row is locked, but never report an edit that wasn't saved
+        if (result.rows.length === 0) {
+          await removeStoredImage(client, imageStorage, updates.image_storage_key);
+          const current = await client.query('SELECT * FROM gbp_posts WHERE id = $1', [postId]);
+          if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'GBP post not found' });
+          }
+          return sendVersionConflict(res, current.rows[0]);
+        }
+        const updated = result.rows[0];
+
+        await recordPostChange(client, updated, {
+          action: 'update',
+          changes,
+          version: updated.version,
+          changedBy: editedBy,
+          propagated: isRemote
+        });
+
+        if (updates.image_url !== undefined && post.image_storage_key !== updated.image_storage_key) {
+          await removeStoredImage(client, imageStorage, post.image_storage_key);
+        }
+
+        const lint = changes.content ? await refreshPostLint(client, updated) : updated.lint_findings;
+        console.log(`✏️ GBP post ${postId} edited by ${editedBy || 'unknown'} (${Object.keys(changes).join(', ')})${isRemote ? ' and updated in GoHighLevel' : ''}`);
+
+        res.json({
+          success: true,
+          post: { ...updated, lint_findings: lint },
+          changes,
+          lint,
+          message: isRemote
+            ? '✏️ Post updated here and in GoHighLevel'
+            : status === 'draft' && post.status !== 'draft'
+              ? '✏️ Post updated and moved back to draft for re-approval'
+              : status === 'approved' && post.status !== 'approved'
+                ? '✏️ Schedule removed; the post stays approved until it is given a date or approved again to publish now'
+                : '✏️ Post updated'
+        });
+      });
+    } catch (error) {
+      console.error('❌ Error updating GBP post:', error);
+      res.status(500).json({
+        error: 'Failed to update GBP post',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Take a post down from GoHighLevel but keep it here as a draft
+// Body: { version, unpublishedBy }
+function unpublishGBPPostEndpoint(app, pool, axios) {
+  app.post('/api/gbp/posts/:postId/unpublish', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { unpublishedBy } = req.body;
+      const version = parseVersion(req.body.version);
+      if (!version) {
+        return res.status(400).json({ error: 'The version being unpublished is required' });
+      }
+
+      const client = await pool.connect();
+      try {
+        const existing = await client.query('SELECT * FROM gbp_posts WHERE id = $1', [postId]);
+        if (existing.rows.length === 0) {
+          return res.status(404).json({ error: 'GBP post not found' });
+        }
+        const post = existing.rows[0];
+        if (post.version !== version) {
+          return sendVersionConflict(res, post);
+        }
+        if (!post.ghl_post_id) {
+          return res.status(409).json({ error: 'This post has not been sent to GoHighLevel' });
+        }
+
+        try {
+          const { locationId, accessToken } = await resolveRemotePost(client, post, axios);
+          await deleteSocialPost(locationId, post.ghl_post_id, accessToken, axios);
+        } catch (ghlError) {
+          return res.status(502).json({
+            error: 'GoHighLevel could not remove the post; it is still live',
+            details: ghlError.response?.data?.message || ghlError.message
+          });
+        }
+
+        // GoHighLevel no longer has the post, so this update is not conditional on the version
+        const result = await client.query(
+          `UPDATE gbp_posts
+           SET status = 'draft', ghl_post_id = NULL, ghl_account_id = NULL, published_at = NULL,
+               scheduled_at = NULL, attempts = 0, last_error = NULL, next_attempt_at = NULL,
+               external_status = NULL, external_error = NULL, external_checked_at = NULL, reconciled_from = NULL,
+               approved_by = NULL, approved_at = NULL,
+               last_edited_by = $1, last_edited_at = NOW(), version = version + 1
+           WHERE id = $2
+           RETURNING *`,
+          [unpublishedBy || null, postId]
+        );
+        const updated = result.rows[0];
+
+        await recordPostChange(client, updated, {
+          action: 'unpublish',
+          changes: {
+            status: { from: post.status, to: 'draft' },
+            ghl_post_id: { from: post.ghl_post_id, to: null }
+          },
+          version: updated.version,
+          changedBy: unpublishedBy,
+          propagated: true
+        });
+
+        console.log(`📤 GBP post ${postId} unpublished from GoHighLevel by ${unpublishedBy || 'unknown'}`);
+
+        res.json({
+          success: true,
+          post: updated,
+          message: '📤 Removed from GoHighLevel and kept here as a draft'
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error unpublishing GBP post:', error);
+      res.status(500).json({
+        error: 'Failed to unpublish GBP post',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Delete a post here and, if it was sent there, from GoHighLevel
+// Query: ?version=&deletedBy=
+function deleteGBPPostEndpoint(app, pool, axios, imageStorage) {
+  app.delete('/api/gbp/posts/:postId', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { deletedBy } = req.query;
+      const version = parseVersion(req.query.version);
+      if (!version) {
+        return res.status(400).json({ error: 'The version being deleted is required' });
+      }
+
+      // Locked until the local delete, so the row can't change after GoHighLevel has dropped the post
+      await withTransaction(pool, async (client) => {
+        const existing = await client.query('SELECT * FROM gbp_posts WHERE id = $1 FOR UPDATE', [postId]);
+        if (existing.rows.length === 0) {
+          return res.status(404).json({ error: 'GBP post not found' });
+        }
+        const post = existing.rows[0];
+        if (post.version !== version) {
+          return sendVersionConflict(res, post);
+        }
+        if (post.status === 'publishing') {
+          return res.status(409).json({ error: 'This post is being published right now; try again in a minute' });
+        }
+
+        if (post.ghl_post_id) {
+          try {
+            const { locationId, accessToken } = await resolveRemotePost(client, post, axios);
+            await deleteSocialPost(locationId, post.ghl_post_id, accessToken, axios);
+          } catch (ghlError) {
+            return res.status(502).json({
+              error: 'GoHighLevel could not delete the post; nothing was deleted',
+              details: ghlError.response?.data?.message || ghlError.message
+            });
+          }
+        }
+
+        const result = await client.query(
+          'DELETE FROM gbp_posts WHERE id = $1 AND version = $2 RETURNING id',
+          [postId, version]
+        );
+        if (result.rows.length === 0) {
+          const current = await client.query('SELECT * FROM gbp_posts WHERE id = $1', [postId]);
+          if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'GBP post not found' });
+          }
+          return sendVersionConflict(res, current.rows[0]);
+        }
+
+        const snapshot = Object.fromEntries(
+          DELETED_SNAPSHOT_COLUMNS.map(column => [column, { from: post[column] ?? null, to: null }])
+        );
+        await recordPostChange(client, post, {
+          action: 'delete',
+          changes: snapshot,
+          version: post.version,
+          changedBy: deletedBy,
+          propagated: !!post.ghl_post_id
+        });
+        await removeStoredImage(client, imageStorage, post.image_storage_key);
+
+        console.log(`🗑️ GBP post ${postId} deleted by ${deletedBy || 'unknown'}${post.ghl_post_id ? ' (and from GoHighLevel)' : ''}`);
+
+        res.json({
+          success: true,
+          postId: post.id,
+          message: post.ghl_post_id ? '🗑️ Post deleted here and from GoHighLevel' : '🗑️ Post deleted'
+        });
+      });
+    } catch (error) {
+      console.error('❌ Error deleting GBP post:', error);
+      res.status(500).json({
+        error: 'Failed to delete GBP post',
+        details: error.message
+      });
+    }
+  });
+}
+
+// Columns copied when a post is duplicated; the copy starts as an unscheduled draft
+const DUPLICATED_COLUMNS = [
+  'client_id', 'content', 'image_url', 'image_storage_key', 'more_info_url', 'cta_type', 'cta_text',
+  'post_type', 'title', 'start_at', 'end_at', 'coupon_code', 'redeem_url', 'terms',
+  'topic', 'location_id', 'ai_provider', 'ai_model'
+];
+
+// API Endpoint: Copy a past post into a new draft
+function duplicateGBPPostEndpoint(app, pool) {
+  app.post('/api/gbp/posts/:postId/duplicate', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { duplicatedBy } = req.body;
+
+      const client = await pool.connect();
+      try {
+        const existing = await client.query('SELECT * FROM gbp_posts WHERE id = $1', [postId]);
+        if (existing.rows.length === 0) {
+          return res.status(404).json({ error: 'GBP post not found' });
+        }
+        const post = existing.rows[0];
+
+        const placeholders = DUPLICATED_COLUMNS.map((_, i) => `$${i + 1}`).join(', ');
+        const result = await client.query(
+          `INSERT INTO gbp_posts (${DUPLICATED_COLUMNS.join(', ')}, status, duplicated_from_id, last_edited_by, last_edited_at)
+           VALUES (${placeholders}, 'draft', $${DUPLICATED_COLUMNS.length + 1}, $${DUPLICATED_COLUMNS.length + 2}, NOW())
+           RETURNING *`,
+          [...DUPLICATED_COLUMNS.map(column => post[column] ?? null), post.id, duplicatedBy || null]
+        );
+        const duplicate = result.rows[0];
+        const lint = await refreshPostLint(client, duplicate);
+
+        console.log(`📄 GBP post ${postId} duplicated as draft ${duplicate.id}`);
+
+        res.json({
+          success: true,
+          post: { ...duplicate, lint_findings: lint },
+          message: '📄 Copied into a new draft'
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error duplicating GBP post:', error);
+      res.status(500).json({
+        error: 'Failed to duplicate GBP post',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Change history of one post, newest first (also works for deleted posts)
+function getGBPPostChangesEndpoint(app, pool) {
+  app.get('/api/gbp/posts/:postId/changes', async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM gbp_post_changes WHERE post_id = $1 ORDER BY created_at DESC, id DESC',
+        [req.params.postId]
+      );
+      res.json({ success: true, changes: result.rows });
+    } catch (error) {
+      console.error('❌ Error fetching GBP post changes:', error);
+      res.status(500).json({
+        error: 'Failed to fetch post history',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  parseVersion,
+  sendVersionConflict,
+  recordPostChange,
+  updateGBPPostEndpoint,
+  unpublishGBPPostEndpoint,
+  deleteGBPPostEndpoint,
+  duplicateGBPPostEndpoint,
+  getGBPPostChangesEndpoint
+};
@@ -0,0 +1,100 @@
+// ===== GBP Post Types =====
+// Google Business Profile supports three kinds of local post:
+//   update - plain "what's new" post (the default)
+//   event  - needs a title and a start/end date
+//   offer  - needs a title and a start/end date, optionally a coupon code, redeem URL and terms
+// The structured fields live in gbp_posts columns and are sent to GoHighLevel as gmbPostDetails.
+
+const POST_TYPES = ['update', 'event', 'offer'];
+
+// Validate the type-specific fields of a create request
+// Returns { error } or { fields } with keys matching the gbp_posts columns
+function parsePostTypeFields(body) {
+  const postType = body.postType || 'update';
+  if (!POST_TYPES.includes(postType)) {
+    return { error: `postType must be one of: ${POST_TYPES.join(', ')}` };
+  }
+
+  if (postType === 'update') {
+    return { fields: { post_type: 'update', title: null, start_at: null, end_at: null, coupon_code: null, redeem_url: null, terms: null } };
+  }
+
+  const title = (body.title || '').trim();
+  if (!title) {
+    return { error: `A title is required for ${postType} posts` };
+  }
+  if (title.length > 58) {
+    return { error: 'Title must be 58 characters or fewer' };
+  }
+
+  const startAt = body.startAt ? new Date(body.startAt) : null;
+  const endAt = body.endAt ? new Date(body.endAt) : null;
+  if (!startAt || !endAt || isNaN(startAt.getTime()) || isNaN(endAt.getTime())) {
+    return { error: `Valid start and end dates are required for ${postType} posts` };
+  }
+  if (endAt.getTime() < startAt.getTime()) {
+    return { error: 'End date must be after the start date' };
+  }
+
+  const redeemUrl = postType === 'offer' ? (body.redeemUrl || '').trim() || null : null;
+  if (redeemUrl && !/^https?:\/\//i.test(redeemUrl)) {
+    return { error: 'Redeem URL must start with http:// or https://' };
+  }
+
+  return {
+    fields: {
+      post_type: postType,
+      title,
+      start_at: startAt,
+      end_at: endAt,
+      coupon_code: postType === 'offer' ? (body.couponCode || '').trim() || null : null,
+      redeem_url: redeemUrl,
+      terms: postType === 'offer' ? (body.terms || '').trim() || null : null
+    }
+  };
+}
+
+// Extra prompt instructions for events and offers (empty for updates)
+function describePostTypeForPrompt(post) {
+  if (!post || !post.post_type || post.post_type === 'update') return '';
+
+  const formatDate = (value) => new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+
+  if (post.post_type === 'event') {
+    return `
+POST TYPE: Event
+- Event title (shown separately, don't repeat it word for word): ${post.title}
+- Runs from ${formatDate(post.start_at)} to ${formatDate(post.end_at)}
+- Tell people what happens at the event and why they should come`;
+  }
+
+  return `
+POST TYPE: Offer
+- Offer title (shown separately, don't repeat it word for word): ${post.title}
+- Valid from ${formatDate(post.start_at)} to ${formatDate(post.end_at)}
+${post.coupon_code ? `- Coupon code: ${post.coupon_code} (mention it once)\n` : ''}- Make the value of the offer clear; terms and conditions are shown separately, don't restate them`;
+}
+
+// Structured fields for GoHighLevel's Social Planner (undefined for plain updates)
+function toGHLPostDetails(post) {
+  if (!post.post_type || post.post_type === 'update') return undefined;
+
+  return {
+    gmbEventType: post.post_type === 'event' ? 'EVENT' : 'OFFER',
+    title: post.title,
+    startDate: new Date(post.start_at).toISOString(),
+    endDate: new Date(post.end_at).toISOString(),
+    ...(post.post_type === 'offer' && {
+      couponCode: post.coupon_code || undefined,
+      redeemOnlineUrl: post.redeem_url || undefined,
+      termsConditions: post.terms || undefined
+    })
+  };
+}
+
+export {
+  POST_TYPES,
+  parsePostTypeFields,
+  describePostTypeForPrompt,
+  toGHLPostDetails
+};
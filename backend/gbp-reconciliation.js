@@ -0,0 +1,273 @@
+// ===== GBP Post Status Reconciliation =====
+// A post is marked published as soon as GoHighLevel accepts it, but GoHighLevel can still fail
+// to deliver it, Google can decline it, and anyone can delete it from the Social Planner later.
+// This job re-reads posts that have a ghl_post_id, stores what GoHighLevel reports in
+// external_status / external_error, and corrects the local status when the two disagree.
+// Corrected posts keep their previous status in reconciled_from so the UI can point them out.
+//
+// Configure with GBP_RECONCILE_INTERVAL_MS and GBP_RECONCILE_LOOKBACK_DAYS.
+
+import { getGHLAccessToken, getSocialPost, resolvePostLocation } from './ghl-integration.js';
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.GBP_RECONCILE_INTERVAL_MS, 10) || 30 * 60 * 1000;
+const LOOKBACK_DAYS = parseInt(process.env.GBP_RECONCILE_LOOKBACK_DAYS, 10) || 30;
+const RECONCILE_BATCH_SIZE = 50;
+
+// Local statuses that claim the post reached GoHighLevel
+const RECONCILABLE_STATUSES = ['scheduled', 'published', 'failed'];
+
+// GoHighLevel Social Planner statuses, grouped by the local status they mean
+const EXTERNAL_STATUS_MAP = {
+  published: 'published',
+  posted: 'published',
+  success: 'published',
+  scheduled: 'scheduled',
+  in_progress: 'scheduled',
+  processing: 'scheduled',
+  pending: 'scheduled',
+  in_review: 'scheduled',
+  failed: 'failed',
+  error: 'failed',
+  rejected: 'failed',
+  declined: 'failed',
+  deleted: 'failed'
+};
+
+// Error reason reported for a post, checking per-account results too
+function extractExternalError(remotePost) {
+  const direct = remotePost?.error || remotePost?.errorMessage || remotePost?.failureReason || remotePost?.reason;
+  if (direct) return typeof direct === 'string' ? direct : direct.message || JSON.stringify(direct);
+
+  const results = Array.isArray(remotePost?.results) ? remotePost.results : [];
+  const failed = results.find(result => result?.error || result?.errorMessage);
+  if (failed) {
+    const error = failed.error || failed.errorMessage;
+    return typeof error === 'string' ? error : error.message || JSON.stringify(error);
+  }
+  return null;
+}
+
+// What GoHighLevel says about a post: { externalStatus, localStatus, error }
+// A missing post (404) is reported as deleted
+async function fetchExternalStatus(db, post, axios) {
+  const locationId = await resolvePostLocation(db, post);
+  if (!locationId) throw new Error('No active GoHighLevel sub-account found for this client');
+
+  const accessToken = await getGHLAccessToken(post.client_id, db, axios, locationId);
+  try {
+    const remotePost = await getSocialPost(locationId, post.ghl_post_id, accessToken, axios);
+    const externalStatus = String(remotePost?.status || 'unknown').toLowerCase();
+    return {
+      externalStatus,
+      localStatus: EXTERNAL_STATUS_MAP[externalStatus] || null,
+      error: extractExternalError(remotePost) || (externalStatus === 'deleted' ? 'Post was deleted in GoHighLevel' : null)
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return { externalStatus: 'deleted', localStatus: 'failed', error: 'Post no longer exists in GoHighLevel' };
+    }
+    throw error;
+  }
+}
+
+// Re-read one post and store the result
+// Returns { postId, previousStatus, status, externalStatus, error, changed, stale }
+async function reconcileGBPPost(db, post, axios) {
+  const external = await fetchExternalStatus(db, post, axios);
+  // Unknown external statuses are recorded but never change the local status
+  const status = external.localStatus || post.status;
+  const changed = status !== post.status;
+
+  // Only if nobody edited, republished or rescheduled the post while GoHighLevel was being asked;
+  // otherwise the answer is about a post that no longer matches the row
+  const updated = await db.query(
+    `UPDATE gbp_posts
+     SET external_status = $1, external_error = $2, external_checked_at = NOW(),
+         status = $3,
+         last_error = CASE WHEN $3 = 'failed' THEN COALESCE($2, last_error) ELSE last_error END,
+         published_at = CASE WHEN $3 = 'published' THEN COALESCE(published_at, NOW()) ELSE published_at END,
+         reconciled_from = CASE WHEN $4 THEN $5 ELSE reconciled_from END,
+         version = CASE WHEN $4 THEN version + 1 ELSE version END
+     WHERE id = $6 AND version = $7 AND ghl_post_id IS NOT DISTINCT FROM $8`,
+    [external.externalStatus, external.error, status, changed, post.status, post.id, post.version, post.ghl_post_id]
+  );
+
+  if (updated.rowCount === 0) {
+    console.log(`🔎 GBP post ${post.id} changed while its GoHighLevel status was being checked, skipped`);
+    return {
+      postId: post.id,
+      previousStatus: post.status,
+      status: post.status,
+      externalStatus: external.externalStatus,
+      error: external.error,
+      changed: false,
+      stale: true
+    };
+  }
+
+  if (changed) {
+    console.log(`🔎 GBP post ${post.id} was ${post.status} locally but GoHighLevel says ${external.externalStatus}${external.error ? ` (${external.error})` : ''}`);
+  }
+
+  return {
+    postId: post.id,
+    previousStatus: post.status,
+    status,
+    externalStatus: external.externalStatus,
+    error: external.error,
+    changed,
+    stale: false
+  };
+}
+
+// Reconcile recently published posts, least recently checked first
+// Returns { checked, changed, failed, results }
+async function reconcileGBPPostStatuses(pool, axios, clientId = null) {
+  const postsResult = await pool.query(
+    `SELECT * FROM gbp_posts
+     WHERE ghl_post_id IS NOT NULL
+       AND status = ANY($1)
+       AND COALESCE(published_at, scheduled_at, created_at) >= NOW() - ($2 * INTERVAL '1 day')
+       AND ($3::text IS NULL OR client_id = $3)
+     ORDER BY external_checked_at ASC NULLS FIRST
+     LIMIT $4`,
+    [RECONCILABLE_STATUSES, LOOKBACK_DAYS, clientId, RECONCILE_BATCH_SIZE]
+  );
+
+  const results = [];
+  let failed = 0;
+  for (const post of postsResult.rows) {
+    try {
+      results.push(await reconcileGBPPost(pool, post, axios));
+    } catch (error) {
+      failed++;
+      console.warn(`⚠️ Could not check GoHighLevel status for GBP post ${post.id}:`, error.response?.data?.message || error.message);
+      // Counts as checked, so a post that keeps failing goes to the back of the queue
+      await pool.query('UPDATE gbp_posts SET external_checked_at = NOW() WHERE id = $1', [post.id]).catch(() => {});
+    }
+  }
+
+  const changed = results.filter(result => result.changed).length;
+  if (postsResult.rows.length > 0) {
+    console.log(`🔎 Checked ${results.length} GBP post status(es) against GoHighLevel: ${changed} corrected${failed > 0 ? `, ${failed} failed` : ''}`);
+  }
+  return { checked: results.length, changed, failed, results };
+}
+
+// Start reconciling in the background; returns a handle with stop()
+function startGBPStatusReconciliation(pool, axios) {
+  let running = false;
+
+  const tick = async () => {
+    // Skip this interval if the previous pass is still running
+    if (running) return;
+    running = true;
+    try {
+      await reconcileGBPPostStatuses(pool, axios);
+    } catch (error) {
+      console.error('❌ GBP status reconciliation failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, RECONCILE_INTERVAL_MS);
+  tick();
+
+  console.log(`🔎 GBP status reconciliation started (every ${Math.round(RECONCILE_INTERVAL_MS / 60000)} min, last ${LOOKBACK_DAYS} days of posts)`);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
+
+// API Endpoint: Re-read one post's status from GoHighLevel now
+function refreshGBPPostStatusEndpoint(app, pool, axios) {
+  app.post('/api/gbp/posts/:postId/refresh-status', async (req, res) => {
+    try {
+      const postResult = await pool.query('SELECT * FROM gbp_posts WHERE id = $1', [req.params.postId]);
+      if (postResult.rows.length === 0) {
+        return res.status(404).json({ error: 'GBP post not found' });
+      }
+      const post = postResult.rows[0];
+      if (!post.ghl_post_id) {
+        return res.status(400).json({ error: 'This post has not been sent to GoHighLevel yet' });
+      }
+
+      const result = await reconcileGBPPost(pool, post, axios);
+      const updated = await pool.query('SELECT * FROM gbp_posts WHERE id = $1', [post.id]);
+
+      res.json({
+        success: true,
+        post: updated.rows[0],
+        result,
+        message: result.stale
+          ? '⚠️ The post changed while GoHighLevel was being checked — refresh again to check the latest version'
+          : result.changed
+          ? `🔎 Status corrected: ${result.previousStatus} → ${result.status} (GoHighLevel: ${result.externalStatus})`
+          : `✅ Status matches GoHighLevel (${result.externalStatus})`
+      });
+    } catch (error) {
+      console.error('❌ Error refreshing GBP post status:', error);
+      res.status(500).json({
+        error: 'Failed to refresh post status',
+        details: error.response?.data?.message || error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Re-read every recent post of a client from GoHighLevel now
+function refreshGBPClientStatusesEndpoint(app, pool, axios) {
+  app.post('/api/gbp/status/:clientId/refresh', async (req, res) => {
+    try {
+      const { checked, changed, failed, results } = await reconcileGBPPostStatuses(pool, axios, req.params.clientId);
+      res.json({
+        success: true,
+        checked,
+        changed,
+        failed,
+        results,
+        message: `🔎 Checked ${checked} post(s) against GoHighLevel: ${changed} corrected${failed > 0 ? `, ${failed} could not be checked` : ''}`
+      });
+    } catch (error) {
+      console.error('❌ Error refreshing GBP post statuses:', error);
+      res.status(500).json({
+        error: 'Failed to refresh post statuses',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Acknowledge a corrected status so the UI stops flagging it
+function dismissGBPStatusMismatchEndpoint(app, pool) {
+  app.delete('/api/gbp/posts/:postId/status-mismatch', async (req, res) => {
+    try {
+      const result = await pool.query(
+        'UPDATE gbp_posts SET reconciled_from = NULL WHERE id = $1 RETURNING *',
+        [req.params.postId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'GBP post not found' });
+      }
+      res.json({ success: true, post: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error dismissing GBP status mismatch:', error);
+      res.status(500).json({
+        error: 'Failed to dismiss status mismatch',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  EXTERNAL_STATUS_MAP,
+  reconcileGBPPost,
+  reconcileGBPPostStatuses,
+  startGBPStatusReconciliation,
+  refreshGBPPostStatusEndpoint,
+  refreshGBPClientStatusesEndpoint,
+  dismissGBPStatusMismatchEndpoint
+};
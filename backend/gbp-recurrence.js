@@ -0,0 +1,228 @@
+// ===== Recurrence Rules =====
+// The subset of iCalendar RRULE that post templates need:
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY (with ordinals like 1MO or -1FR for
+//   monthly/yearly rules), BYMONTHDAY (negative counts from the month's end), BYMONTH, COUNT, UNTIL
+// e.g. "FREQ=WEEKLY;BYDAY=TU" (every Tuesday) or "FREQ=MONTHLY;BYMONTHDAY=1" (first of the month).
+//
+// Occurrences happen at the local time of the rule's start in an IANA time zone, so a 9:00 post
+// stays at 9:00 across daylight-saving changes. Calendar days are handled as UTC midnights.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Longest span occurrences are searched over, so a rule that never matches can't loop forever
+const MAX_SEARCH_DAYS = 366 * 10;
+
+function parseIntegerList(value, min, max, allowNegative = false) {
+  const numbers = value.split(',').map(part => Number(part.trim()));
+  const valid = numbers.every(n => Number.isInteger(n) && n !== 0 &&
+    (n > 0 ? n >= min && n <= max : allowNegative && n >= -max));
+  return valid ? numbers : null;
+}
+
+// Parse an RRULE string (with or without the "RRULE:" prefix)
+// Returns { error } or { rule: { freq, interval, byDay, byMonthDay, byMonth, count, until } }
+function parseRecurrenceRule(text) {
+  const source = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!source) return { error: 'A recurrence rule is required' };
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], count: null, until: null };
+
+  for (const part of source.split(';').filter(Boolean)) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) return { error: `FREQ must be one of ${FREQUENCIES.join(', ')}` };
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) return { error: 'INTERVAL must be a positive whole number' };
+        break;
+      case 'BYDAY':
+        for (const day of value.split(',')) {
+          const match = day.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) return { error: `Invalid BYDAY value "${day}"` };
+          const ordinal = match[1] ? Number(match[1]) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) return { error: `Invalid BYDAY ordinal "${day}"` };
+          rule.byDay.push({ weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal });
+        }
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList(value, 1, 31, true);
+        if (!rule.byMonthDay) return { error: 'BYMONTHDAY must be days between 1 and 31 (or -1 to -31)' };
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList(value, 1, 12);
+        if (!rule.byMonth) return { error: 'BYMONTH must be months between 1 and 12' };
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) return { error: 'COUNT must be a positive whole number' };
+        break;
+      case 'UNTIL': {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        rule.until = match
+          ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3], +(match[4] || 23), +(match[5] || 59), +(match[6] || 59)))
+          : new Date(rawValue.trim());
+        if (isNaN(rule.until.getTime())) return { error: 'UNTIL must be a date like 20261231' };
+        break;
+      }
+      case 'WKST':
+        if (value !== 'MO') return { error: 'Only WKST=MO is supported' };
+        break;
+      default:
+        return { error: `${key} is not supported in recurrence rules` };
+    }
+  }
+
+  if (!rule.freq) return { error: 'FREQ is required' };
+  if (rule.count && rule.until) return { error: 'Use either COUNT or UNTIL, not both' };
+  if (rule.byDay.some(day => day.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    return { error: 'BYDAY ordinals like 1MO only work with FREQ=MONTHLY or FREQ=YEARLY' };
+  }
+  return { rule };
+}
+
+// Minutes a time zone is ahead of UTC at an instant
+function getZoneOffsetMinutes(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(instant).map(part => [part.type, part.value])
+  );
+  const asUTC = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return Math.round((asUTC - instant.getTime()) / 60000);
+}
+
+// Whether a string is a time zone this server knows
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The instant a local wall-clock time happens in a time zone
+function zonedTimeToUtc(year, month, day, hours, minutes, timeZone) {
+  const wallClock = Date.UTC(year, month, day, hours, minutes);
+  let instant = wallClock - getZoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  // Check again at the result, in case a daylight-saving change lies between the two
+  instant = wallClock - getZoneOffsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
+// Local calendar date and time of an instant in a time zone
+function toZonedParts(instant, timeZone) {
+  const local = new Date(instant.getTime() + getZoneOffsetMinutes(instant, timeZone) * 60000);
+  return {
+    day: Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()),
+    hours: local.getUTCHours(),
+    minutes: local.getUTCMinutes()
+  };
+}
+
+function daysInMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+// Whether a calendar day is the nth (or nth-from-last) of its weekday in its month
+function matchesWeekdayOrdinal(date, ordinal) {
+  if (ordinal === null) return true;
+  const dayOfMonth = date.getUTCDate();
+  return ordinal > 0
+    ? Math.ceil(dayOfMonth / 7) === ordinal
+    : Math.ceil((daysInMonth(date) - dayOfMonth + 1) / 7) === -ordinal;
+}
+
+// Whether a day falls on the rule's days within a month
+function matchesMonthDays(rule, date, start) {
+  if (rule.byMonthDay.length > 0) {
+    const total = daysInMonth(date);
+    const dayOfMonth = date.getUTCDate();
+    if (!rule.byMonthDay.some(n => (n > 0 ? n : total + n + 1) === dayOfMonth)) return false;
+  }
+  if (rule.byDay.length > 0) {
+    return rule.byDay.some(({ weekday, ordinal }) => date.getUTCDay() === weekday && matchesWeekdayOrdinal(date, ordinal));
+  }
+  return rule.byMonthDay.length > 0 || date.getUTCDate() === start.getUTCDate();
+}
+
+// Monday-based week index, for weekly intervals
+const weekIndex = (day) => Math.floor((day / DAY_MS + 3) / 7);
+
+// Whether the rule selects a calendar day (both as UTC midnights)
+function matchesDay(rule, day, startDay) {
+  const date = new Date(day);
+  const start = new Date(startDay);
+  if (rule.byMonth.length > 0 && !rule.byMonth.includes(date.getUTCMonth() + 1)) return false;
+
+  const monthsApart = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+
+  switch (rule.freq) {
+    case 'DAILY':
+      if (((day - startDay) / DAY_MS) % rule.interval !== 0) return false;
+      return (rule.byMonthDay.length === 0 || matchesMonthDays({ ...rule, byDay: [] }, date, start)) &&
+        (rule.byDay.length === 0 || rule.byDay.some(({ weekday }) => date.getUTCDay() === weekday));
+    case 'WEEKLY': {
+      if ((weekIndex(day) - weekIndex(startDay)) % rule.interval !== 0) return false;
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [start.getUTCDay()];
+      return weekdays.includes(date.getUTCDay());
+    }
+    case 'MONTHLY':
+      return monthsApart % rule.interval === 0 && matchesMonthDays(rule, date, start);
+    case 'YEARLY':
+      if ((date.getUTCFullYear() - start.getUTCFullYear()) % rule.interval !== 0) return false;
+      if (rule.byMonth.length === 0 && date.getUTCMonth() !== start.getUTCMonth()) return false;
+      return matchesMonthDays(rule, date, start);
+    default:
+      return false;
+  }
+}
+
+// Occurrences of a rule starting at `startsAt` (its local time of day in `timeZone` is kept)
+// Returns the instants after `after` and up to `before`, at most `limit` of them
+// COUNT is counted from the start, so earlier occurrences still use up the count
+function getOccurrences(rule, startsAt, timeZone, { after = null, before = null, limit = 50 } = {}) {
+  const start = toZonedParts(new Date(startsAt), timeZone);
+  const lastDay = start.day + MAX_SEARCH_DAYS * DAY_MS;
+  const occurrences = [];
+  let counted = 0;
+
+  for (let day = start.day; day <= lastDay; day += DAY_MS) {
+    if (before && day > before.getTime() + DAY_MS) break;
+    if (!matchesDay(rule, day, start.day)) continue;
+
+    const date = new Date(day);
+    const occurrence = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), start.hours, start.minutes, timeZone);
+    if (occurrence < new Date(startsAt)) continue;
+    if (rule.until && occurrence > rule.until) break;
+    if (before && occurrence > before) break;
+
+    counted++;
+    if (rule.count && counted > rule.count) break;
+    if (after && occurrence <= after) continue;
+
+    occurrences.push(occurrence);
+    if (occurrences.length >= limit) break;
+  }
+
+  return occurrences;
+}
+
+export {
+  WEEKDAY_CODES,
+  parseRecurrenceRule,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  getOccurrences
+};
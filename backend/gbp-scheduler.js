@@ -0,0 +1,159 @@
+// ===== GBP Post Scheduler =====
+// Publishes future-dated gbp_posts rows through GoHighLevel once scheduled_at passes.
+// All scheduling state lives in the database, so pending posts survive server restarts.
+
+import { publishGBPPostToGHL } from './ghl-integration.js';
+
+// Scheduler configuration
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.GBP_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+const MAX_PUBLISH_ATTEMPTS = parseInt(process.env.GBP_SCHEDULER_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+const STALE_LOCK_MINUTES = 15;
+const BATCH_SIZE = 10;
+
+// Fail posts stuck in 'publishing' (e.g. the server restarted mid-publish) rather than re-queueing them:
+// GoHighLevel may already have published them, so someone has to check before they go out again
+async function releaseStaleLocks(pool) {
+  const result = await pool.query(
+    `UPDATE gbp_posts
+     SET status = 'failed', locked_at = NULL, next_attempt_at = NULL,
+         last_error = 'Publishing was interrupted; check GoHighLevel before publishing it again',
+         version = version + 1
+     WHERE status = 'publishing' AND locked_at < NOW() - ($1 * INTERVAL '1 minute')
+     RETURNING id`,
+    [STALE_LOCK_MINUTES]
+  );
+
+  if (result.rowCount > 0) {
+    console.error(`❌ ${result.rowCount} GBP post(s) were interrupted while publishing and marked failed: ${result.rows.map(row => row.id).join(', ')}`);
+  }
+}
+
+// Atomically claim due posts so concurrent instances never publish the same row twice
+// Claiming bumps the version, so an edit made from a copy loaded before the claim gets a conflict
+// instead of changing content that is already on its way to GoHighLevel
+async function claimDuePosts(pool) {
+  const result = await pool.query(
+    `UPDATE gbp_posts
+     SET status = 'publishing', locked_at = NOW(), version = version + 1
+     WHERE id IN (
+       SELECT id FROM gbp_posts
+       WHERE status = 'scheduled'
+         AND ghl_post_id IS NULL
+         AND scheduled_at <= NOW()
+         AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+       ORDER BY scheduled_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [BATCH_SIZE]
+  );
+
+  return result.rows;
+}
+
+// Record a failed attempt, re-queueing with exponential backoff until attempts run out
+// Also used for approvals that failed to publish straight away; those have no scheduled_at yet
+// retry: false fails the post straight away (e.g. GoHighLevel may have published it after all)
+async function recordPublishFailure(dbClient, post, errorMessage, { retry = true } = {}) {
+  const attempts = (post.attempts || 0) + 1;
+  const exhausted = !retry || attempts >= MAX_PUBLISH_ATTEMPTS;
+  const nextAttemptAt = exhausted ? null : new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+
+  await dbClient.query(
+    `UPDATE gbp_posts
+     SET status = $1, attempts = $2, last_error = $3, next_attempt_at = $4, locked_at = NULL,
+         scheduled_at = COALESCE(scheduled_at, NOW()), version = version + 1
+     WHERE id = $5`,
+    [exhausted ? 'failed' : 'scheduled', attempts, errorMessage, nextAttemptAt, post.id]
+  );
+
+  if (exhausted) {
+    console.error(`❌ Scheduled GBP post ${post.id} failed after ${attempts} attempt(s): ${errorMessage}`);
+  } else {
+    console.warn(`⚠️ Scheduled GBP post ${post.id} attempt ${attempts} failed, retrying at ${nextAttemptAt.toISOString()}: ${errorMessage}`);
+  }
+}
+
+// Publish a single claimed post
+async function publishScheduledPost(pool, post, axios) {
+  const dbClient = await pool.connect();
+  try {
+    const clientResult = await dbClient.query('SELECT * FROM clients WHERE id = $1', [post.client_id]);
+    if (clientResult.rows.length === 0) {
+      await recordPublishFailure(dbClient, { ...post, attempts: MAX_PUBLISH_ATTEMPTS }, 'Client not found');
+      return;
+    }
+
+    try {
+      const outcome = await publishGBPPostToGHL(dbClient, post, clientResult.rows[0], axios);
+      if (!outcome.posted) {
+        await recordPublishFailure(dbClient, post, outcome.reason || 'GoHighLevel did not accept the post', { retry: !outcome.unconfirmed });
+        return;
+      }
+
+      await dbClient.query(
+        `UPDATE gbp_posts
+         SET attempts = attempts + 1, last_error = NULL, next_attempt_at = NULL, locked_at = NULL
+         WHERE id = $1`,
+        [post.id]
+      );
+      console.log(`🎉 Scheduled GBP post ${post.id} published (GHL post: ${outcome.ghlPostId || 'unknown'})`);
+    } catch (publishError) {
+      const message = publishError.response?.data?.message || publishError.message;
+      await recordPublishFailure(dbClient, post, message);
+    }
+  } finally {
+    dbClient.release();
+  }
+}
+
+// Run one pass over the queue
+async function runSchedulerTick(pool, axios) {
+  await releaseStaleLocks(pool);
+
+  const duePosts = await claimDuePosts(pool);
+  if (duePosts.length === 0) {
+    return 0;
+  }
+
+  console.log(`⏰ Publishing ${duePosts.length} scheduled GBP post(s)`);
+  for (const post of duePosts) {
+    await publishScheduledPost(pool, post, axios);
+  }
+  return duePosts.length;
+}
+
+// Start polling for due posts; returns a handle with stop()
+function startGBPPostScheduler(pool, axios) {
+  let running = false;
+
+  const tick = async () => {
+    // Skip this interval if the previous pass is still publishing
+    if (running) return;
+    running = true;
+    try {
+      await runSchedulerTick(pool, axios);
+    } catch (error) {
+      console.error('❌ GBP post scheduler tick failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  tick();
+
+  console.log(`⏰ GBP post scheduler started (every ${Math.round(SCHEDULER_INTERVAL_MS / 1000)}s, max ${MAX_PUBLISH_ATTEMPTS} attempts)`);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
+
+export {
+  recordPublishFailure,
+  runSchedulerTick,
+  startGBPPostScheduler
+};
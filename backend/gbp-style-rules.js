@@ -0,0 +1,154 @@
+// ===== Per-Client Style Rules =====
+// Structured writing rules stored on clients."styleRules" (forbidden terms live in
+// clients."bannedPhrases"). They are added to the generation prompt, preferred spellings are
+// applied automatically afterwards, and anything still broken is reported by the content lint.
+
+const EMOJI_POLICIES = {
+  none: 0,
+  few: 3,
+  any: Infinity
+};
+const HASHTAG_POLICIES = ['none', 'optional', 'required'];
+
+const DEFAULT_STYLE_RULES = {
+  requiredPhrases: [],
+  preferredSpellings: [],
+  emojiPolicy: 'few',
+  hashtagPolicy: 'optional',
+  hashtags: []
+};
+
+const HASHTAG_PATTERN = /(^|\s)#[\p{L}\p{N}_]+/gu;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word pattern for a term; \b only works next to word characters, so "Dr." or "#1" are matched as-is at those ends
+function termPattern(term, flags) {
+  const prefix = /^\w/.test(term) ? '\\b' : '';
+  const suffix = /\w$/.test(term) ? '\\b' : '';
+  return new RegExp(`${prefix}${escapeRegExp(term)}${suffix}`, flags);
+}
+
+// Phrase lists are entered one per line
+const toPhraseList = (value) => (Array.isArray(value) ? value : String(value || '').split(/\r?\n/))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Clean up rules from the database or a client form, filling in defaults
+function normalizeStyleRules(value) {
+  let raw = value || {};
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      raw = {};
+    }
+  }
+
+  const preferredSpellings = (Array.isArray(raw.preferredSpellings) ? raw.preferredSpellings : [])
+    .map(entry => ({ from: String(entry?.from || '').trim(), to: String(entry?.to || '').trim() }))
+    .filter(entry => entry.from && entry.to && entry.from.toLowerCase() !== entry.to.toLowerCase());
+
+  return {
+    requiredPhrases: toPhraseList(raw.requiredPhrases),
+    preferredSpellings,
+    emojiPolicy: raw.emojiPolicy in EMOJI_POLICIES ? raw.emojiPolicy : DEFAULT_STYLE_RULES.emojiPolicy,
+    hashtagPolicy: HASHTAG_POLICIES.includes(raw.hashtagPolicy) ? raw.hashtagPolicy : DEFAULT_STYLE_RULES.hashtagPolicy,
+    hashtags: toPhraseList(raw.hashtags).map(tag => (tag.startsWith('#') ? tag : `#${tag}`).replace(/\s+/g, ''))
+  };
+}
+
+function getEmojiLimit(rules) {
+  return EMOJI_POLICIES[normalizeStyleRules(rules).emojiPolicy];
+}
+
+// Prompt lines for a client's rules (empty when the client has none beyond the defaults)
+function describeStyleRulesForPrompt(businessInfo) {
+  const rules = normalizeStyleRules(businessInfo.styleRules);
+  const forbidden = toPhraseList(businessInfo.bannedPhrases);
+  const lines = [];
+
+  if (forbidden.length > 0) {
+    lines.push(`- Never use these words or phrases: ${forbidden.map(t => `"${t}"`).join(', ')}`);
+  }
+  if (rules.requiredPhrases.length > 0) {
+    lines.push(`- Include each of these exactly as written: ${rules.requiredPhrases.map(p => `"${p}"`).join(', ')}`);
+  }
+  if (rules.preferredSpellings.length > 0) {
+    lines.push(`- Spelling: ${rules.preferredSpellings.map(s => `write "${s.to}", not "${s.from}"`).join('; ')}`);
+  }
+  if (rules.emojiPolicy === 'none') {
+    lines.push('- Do not use emoji');
+  } else if (rules.emojiPolicy === 'few') {
+    lines.push(`- Use at most ${EMOJI_POLICIES.few} emoji`);
+  }
+  if (rules.hashtagPolicy === 'none') {
+    lines.push('- Do not use hashtags');
+  } else if (rules.hashtagPolicy === 'required') {
+    lines.push(`- End with ${rules.hashtags.length > 0 ? `these hashtags: ${rules.hashtags.join(' ')}` : 'one to three relevant hashtags'}`);
+  }
+
+  return lines.length > 0 ? `\nCLIENT STYLE RULES (must follow):\n${lines.join('\n')}\n` : '';
+}
+
+// Swap in the client's preferred spellings, keeping the capitalisation of the first letter
+function applyPreferredSpellings(content, rules) {
+  let result = content;
+  for (const { from, to } of normalizeStyleRules(rules).preferredSpellings) {
+    result = result.replace(termPattern(from, 'gi'), match => matchCase(match, to));
+  }
+  return result;
+}
+
+// The replacement in the same case as the text it replaces: ALL CAPS, Capitalised, or as written in the rule
+function matchCase(match, to) {
+  const hasLetters = match !== match.toLowerCase();
+  if (hasLetters && match.length > 1 && match === match.toUpperCase()) return to.toUpperCase();
+  if (match[0] !== match[0].toLowerCase()) return to[0].toUpperCase() + to.slice(1);
+  return to;
+}
+
+// Lint findings for the parts of the rules that can't be fixed automatically
+function checkStyleRules(content, rules) {
+  const normalized = normalizeStyleRules(rules);
+  const text = String(content || '');
+  const lower = text.toLowerCase();
+  const findings = [];
+
+  const missing = normalized.requiredPhrases.filter(phrase => !lower.includes(phrase.toLowerCase()));
+  if (missing.length > 0) {
+    findings.push({ rule: 'required_phrase', severity: 'error', message: 'Missing phrases this client requires in every post', matches: missing });
+  }
+
+  const misspelled = normalized.preferredSpellings
+    .filter(({ from }) => termPattern(from, 'i').test(text))
+    .map(({ from, to }) => `${from} → ${to}`);
+  if (misspelled.length > 0) {
+    findings.push({ rule: 'preferred_spelling', severity: 'warning', message: 'Uses spellings this client avoids', matches: misspelled });
+  }
+
+  const hashtags = (text.match(HASHTAG_PATTERN) || []).map(tag => tag.trim());
+  if (normalized.hashtagPolicy === 'none' && hashtags.length > 0) {
+    findings.push({ rule: 'hashtag_policy', severity: 'warning', message: 'This client does not use hashtags', matches: hashtags });
+  } else if (normalized.hashtagPolicy === 'required') {
+    const lowerTags = hashtags.map(tag => tag.toLowerCase());
+    const missingTags = normalized.hashtags.filter(tag => !lowerTags.includes(tag.toLowerCase()));
+    if (hashtags.length === 0 || missingTags.length > 0) {
+      findings.push({ rule: 'hashtag_policy', severity: 'warning', message: 'Missing the hashtags this client requires', matches: missingTags });
+    }
+  }
+
+  return findings;
+}
+
+export {
+  EMOJI_POLICIES,
+  HASHTAG_POLICIES,
+  DEFAULT_STYLE_RULES,
+  toPhraseList,
+  normalizeStyleRules,
+  getEmojiLimit,
+  describeStyleRulesForPrompt,
+  applyPreferredSpellings,
+  checkStyleRules
+};
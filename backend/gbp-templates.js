@@ -0,0 +1,646 @@
+// ===== Recurring GBP Post Templates =====
+// Evergreen posts a client wants repeated on a schedule ("every Tuesday", "first of the month").
+// Each template has an RRULE recurrence (see gbp-recurrence.js) and is materialised into real
+// gbp_posts rows a couple of weeks ahead, so upcoming occurrences show up in the calendar and can
+// be edited like any other post before they go out. With re-wording on, every occurrence is
+// rewritten by the model so Google never sees the exact same text twice.
+//
+// Occurrences are drafts unless the template schedules them automatically, which needs a person
+// to approve the template once; that approval (approved_by / approved_at) is carried onto each
+// scheduled occurrence, and lapses when the template's text or button changes. Re-worded templates
+// always create drafts: the approval covers the template's text, not what the model makes of it.
+//
+// Every change to a template bumps its version. The materialiser only inserts an occurrence while
+// the template is still at the version it read (holding a share lock on the row for the insert),
+// so a pass that overlaps an edit can't leave posts from the old settings behind.
+//
+// Occurrences are unique per (template_id, template_occurrence), so running the materialiser
+// twice never creates the same post twice. Configure with GBP_TEMPLATE_INTERVAL_MS and
+// GBP_TEMPLATE_HORIZON_DAYS.
+
+import { parseCallToAction } from './gbp-cta.js';
+import { lintGBPContent } from './gbp-content-lint.js';
+import { recordGenerations } from './gbp-generations.js';
+import { GBP_MAX_LENGTH, getLengthLimits, enforceLength } from './gbp-length.js';
+import { describeStyleRulesForPrompt, applyPreferredSpellings } from './gbp-style-rules.js';
+import { parseRecurrenceRule, isValidTimeZone, zonedTimeToUtc, getOccurrences } from './gbp-recurrence.js';
+
+const TEMPLATE_INTERVAL_MS = parseInt(process.env.GBP_TEMPLATE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const HORIZON_DAYS = parseInt(process.env.GBP_TEMPLATE_HORIZON_DAYS, 10) || 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most occurrences materialised for one template in one pass (a daily rule over the horizon)
+const MAX_OCCURRENCES_PER_PASS = 31;
+const PREVIEW_OCCURRENCES = 5;
+
+// Materialised posts that nobody has touched yet; these are replaced when their template changes
+const REPLACEABLE_STATUSES = ['draft', 'scheduled'];
+
+// Template fields an approval covers; changing any of them needs a new approval
+const APPROVED_FIELDS = ['content', 'reword', 'cta_type', 'cta_text', 'more_info_url'];
+
+// Templates being materialised right now, so the background job and an edit don't race each other
+const materializingTemplates = new Set();
+
+// Validate a create or update request, falling back to the existing template's values
+// Returns { error } or { fields } with keys matching the gbp_post_templates columns
+function parseTemplateFields(body, businessInfo, existing = null) {
+  const name = body.name !== undefined ? String(body.name).trim() : existing?.name;
+  if (!name) return { error: 'A template name is required' };
+
+  const content = body.content !== undefined ? String(body.content).trim() : existing?.content;
+  if (!content) return { error: 'Template content is required' };
+  if (content.length > GBP_MAX_LENGTH) {
+    return { error: `Template content is limited to ${GBP_MAX_LENGTH} characters (this one is ${content.length})` };
+  }
+
+  const recurrence = body.recurrence !== undefined ? String(body.recurrence).trim().replace(/^RRULE:/i, '') : existing?.recurrence;
+  const parsedRule = parseRecurrenceRule(recurrence);
+  if (parsedRule.error) return { error: parsedRule.error };
+
+  const timeZone = body.timeZone !== undefined ? String(body.timeZone).trim() : existing?.time_zone;
+  if (!timeZone || !isValidTimeZone(timeZone)) return { error: 'A valid IANA time zone is required (e.g. America/New_York)' };
+
+  // The start is a local date and time in the template's time zone; moving a template to another
+  // zone keeps its wall-clock time
+  let startsAt = existing?.starts_at || null;
+  if (body.startDate !== undefined || body.startTime !== undefined || body.timeZone !== undefined) {
+    const startDate = body.startDate ?? (existing && toLocalDate(existing.starts_at, existing.time_zone));
+    const startTime = body.startTime ?? (existing && toLocalTime(existing.starts_at, existing.time_zone)) ?? '10:00';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '')) return { error: 'startDate must be YYYY-MM-DD' };
+    if (!/^\d{2}:\d{2}$/.test(startTime)) return { error: 'startTime must be HH:MM' };
+
+    const [year, month, day] = startDate.split('-').map(Number);
+    const [hours, minutes] = startTime.split(':').map(Number);
+    startsAt = zonedTimeToUtc(year, month - 1, day, hours, minutes, timeZone);
+    if (isNaN(startsAt.getTime())) return { error: 'startDate is not a valid date' };
+  }
+  if (!startsAt) return { error: 'startDate is required' };
+
+  // Keep the existing button unless the request changes it
+  const callToAction = existing && body.ctaType === undefined && body.moreInfoUrl === undefined
+    ? { fields: { cta_type: existing.cta_type, cta_text: existing.cta_text, more_info_url: existing.more_info_url } }
+    : parseCallToAction(body, businessInfo, 'update');
+  if (callToAction.error) return { error: callToAction.error };
+
+  const flag = (value, fallback) => (value === undefined ? fallback : value === true || value === 'true');
+
+  const fields = {
+    name,
+    content,
+    recurrence,
+    starts_at: startsAt,
+    time_zone: timeZone,
+    reword: flag(body.reword, existing ? existing.reword : false),
+    auto_schedule: flag(body.autoSchedule, existing ? existing.auto_schedule : false),
+    is_active: flag(body.isActive, existing ? existing.is_active : true),
+    approved_by: null,
+    approved_at: null,
+    ...callToAction.fields
+  };
+
+  // Scheduling without review needs a person to approve the template; an earlier approval stands
+  // while the text and button it covered stay the same
+  if (fields.auto_schedule) {
+    if (fields.reword) {
+      return { error: 'Re-worded posts need reviewing one by one, so they cannot be scheduled automatically' };
+    }
+    const approvedBy = body.approvedBy ? String(body.approvedBy).trim() : '';
+    const approvalStands = existing?.auto_schedule && existing.approved_by &&
+      APPROVED_FIELDS.every(key => fields[key] === existing[key]);
+    if (approvedBy) {
+      fields.approved_by = approvedBy;
+      fields.approved_at = new Date();
+    } else if (approvalStands) {
+      fields.approved_by = existing.approved_by;
+      fields.approved_at = existing.approved_at;
+    } else {
+      return { error: 'Scheduling posts automatically needs the template to be approved: approvedBy is required' };
+    }
+  }
+
+  return { fields };
+}
+
+// A template ID route parameter as a number, or null if it isn't one
+function parseTemplateId(value) {
+  const templateId = Number(value);
+  return Number.isInteger(templateId) && templateId > 0 ? templateId : null;
+}
+
+// Local calendar date ("YYYY-MM-DD") and time ("HH:MM") of an instant in a time zone
+function toLocalDate(instant, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(instant));
+}
+
+function toLocalTime(instant, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit' }).format(new Date(instant));
+}
+
+// The next few occurrences after now (empty when the rule has run out)
+function getUpcomingOccurrences(template, limit = PREVIEW_OCCURRENCES) {
+  const { rule } = parseRecurrenceRule(template.recurrence);
+  if (!rule) return [];
+  return getOccurrences(rule, template.starts_at, template.time_zone, { after: new Date(), limit });
+}
+
+// Ask the model for a fresh wording of a template's text
+// Returns { content, generationLog }; the caller falls back to the template text if this throws
+async function rewordTemplateContent(template, businessInfo, textGenerator, previousContent = null) {
+  const generationLog = [];
+  const generate = async (purpose, text) => {
+    const result = await textGenerator.generate(text);
+    generationLog.push({ purpose, ...result });
+    return result;
+  };
+
+  const prompt = `Reword this Google Business Profile post for ${businessInfo.name} so it can be posted again without repeating the same text.
+
+REQUIREMENTS:
+- Keep every fact, offer, date and detail exactly as they are; do not invent new ones
+- Keep roughly the same length, tone and closing call-to-action
+- Change the wording and sentence structure noticeably
+- No phone numbers, web addresses or ALL-CAPS words in the text
+- Brand Voice: ${businessInfo.brandVoice || 'Professional and friendly'}
+${describeStyleRulesForPrompt(businessInfo)}${previousContent ? `\nThe last time this post went out it read as below; make this version different from it too:\n${previousContent}\n` : ''}
+POST:
+${template.content}
+
+Respond with the post text only.`;
+
+  const reworded = await generate('reword', prompt);
+
+  // Templates can be longer than a normal update, so the limit follows the template's own length
+  const limits = {
+    min: 0,
+    max: Math.min(GBP_MAX_LENGTH, Math.max(getLengthLimits('update').max, Math.round(template.content.length * 1.2)))
+  };
+  const enforced = await enforceLength(reworded.text, limits, async (current, instruction) => {
+    const result = await generate('length_rewrite', `${instruction}\n\nKeep the facts, the tone and the closing call-to-action. Respond with the post text only.\n\nPOST:\n${current}`);
+    return result.text;
+  });
+
+  return {
+    content: applyPreferredSpellings(enforced.content, businessInfo.styleRules),
+    generationLog
+  };
+}
+
+// Create gbp_posts rows for a template's occurrences within the horizon
+// Returns the number of posts created
+async function materializeGBPTemplate(pool, textGenerator, template) {
+  if (!template.is_active || materializingTemplates.has(template.id)) return 0;
+  materializingTemplates.add(template.id);
+
+  try {
+    const { rule, error } = parseRecurrenceRule(template.recurrence);
+    if (error) throw new Error(`Invalid recurrence rule: ${error}`);
+
+    const now = new Date();
+    const after = template.materialized_until && new Date(template.materialized_until) > now
+      ? new Date(template.materialized_until)
+      : now;
+    const before = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+    const occurrences = getOccurrences(rule, template.starts_at, template.time_zone, {
+      after,
+      before,
+      limit: MAX_OCCURRENCES_PER_PASS
+    });
+    // A capped pass only covers up to its last occurrence; the next pass carries on from there
+    const coveredUntil = occurrences.length === MAX_OCCURRENCES_PER_PASS ? occurrences[occurrences.length - 1] : before;
+
+    if (occurrences.length === 0) {
+      await pool.query(
+        'UPDATE gbp_post_templates SET materialized_until = $1 WHERE id = $2 AND version = $3',
+        [before, template.id, template.version]
+      );
+      return 0;
+    }
+
+    const clientResult = await pool.query('SELECT * FROM clients WHERE id = $1', [template.client_id]);
+    if (clientResult.rows.length === 0) throw new Error('Client not found');
+    const businessInfo = clientResult.rows[0];
+
+    const previous = await pool.query(
+      'SELECT content FROM gbp_posts WHERE template_id = $1 ORDER BY template_occurrence DESC LIMIT 1',
+      [template.id]
+    );
+    let previousContent = previous.rows[0]?.content || null;
+
+    // Occurrences kept from before an edit already have a post; skip them before paying for a rewording
+    const existingResult = await pool.query(
+      'SELECT template_occurrence FROM gbp_posts WHERE template_id = $1 AND template_occurrence > $2',
+      [template.id, after]
+    );
+    const alreadyCreated = new Set(existingResult.rows.map(row => new Date(row.template_occurrence).getTime()));
+
+    let created = 0;
+    let lastError = null;
+    for (const occurrence of occurrences) {
+      if (alreadyCreated.has(occurrence.getTime())) continue;
+
+      let content = template.content;
+      let generationLog = [];
+      if (template.reword) {
+        try {
+          ({ content, generationLog } = await rewordTemplateContent(template, businessInfo, textGenerator, previousContent));
+        } catch (rewordError) {
+          // Better to post the original wording than to skip the occurrence
+          console.warn(`⚠️ Could not reword template ${template.id} for ${occurrence.toISOString()}, using its text as is:`, rewordError.message);
+          lastError = `Re-wording failed: ${rewordError.message}`;
+        }
+      }
+
+      // Occurrences of an approved template skip review, but never with content Google would reject
+      const lint = lintGBPContent(content, businessInfo);
+      const autoScheduled = template.auto_schedule && !!template.approved_by && !template.reword;
+      const status = autoScheduled && lint.passed ? 'scheduled' : 'draft';
+      const generation = generationLog[0] || {};
+
+      // Nothing is inserted once the template has moved on to a newer version
+      const inserted = await pool.query(
+        `INSERT INTO gbp_posts (client_id, template_id, template_occurrence, topic, content, status, scheduled_at,
+                                post_type, cta_type, cta_text, more_info_url, lint_findings, ai_provider, ai_model,
+                                approved_by, approved_at, approved_via_template)
+         SELECT $1::text, t.id, $3::timestamptz, $4::text, $5::text, $6::text, $3::timestamptz, 'update',
+                $7::text, $8::text, $9::text, $10::jsonb, $11::text, $12::text,
+                $13::text, $14::timestamptz, $13::text IS NOT NULL
+         FROM gbp_post_templates t
+         WHERE t.id = $2 AND t.version = $15
+         FOR SHARE
+         ON CONFLICT (template_id, template_occurrence) WHERE template_id IS NOT NULL DO NOTHING
+         RETURNING id`,
+        [
+          template.client_id,
+          template.id,
+          occurrence,
+          template.name,
+          content,
+          status,
+          template.cta_type,
+          template.cta_text,
+          template.more_info_url,
+          JSON.stringify(lint),
+          generation.provider || null,
+          generation.model || null,
+          status === 'scheduled' ? template.approved_by : null,
+          status === 'scheduled' ? template.approved_at : null,
+          template.version
+        ]
+      );
+      if (inserted.rows.length === 0) continue;
+
+      await recordGenerations(pool, { postId: inserted.rows[0].id, clientId: template.client_id }, generationLog);
+      if (autoScheduled && !lint.passed) {
+        lastError = `Occurrence on ${occurrence.toISOString()} was left as a draft: ${lint.findings.filter(f => f.severity === 'error').map(f => f.message).join('; ')}`;
+      }
+      previousContent = content;
+      created++;
+    }
+
+    // An edit in the meantime reset materialized_until for its own settings; leave that alone
+    await pool.query(
+      'UPDATE gbp_post_templates SET materialized_until = $1, last_error = $2 WHERE id = $3 AND version = $4',
+      [coveredUntil, lastError, template.id, template.version]
+    );
+
+    if (created > 0) {
+      console.log(`🔁 Template ${template.id} (${template.name}): ${created} occurrence(s) added up to ${coveredUntil.toISOString()}`);
+    }
+    return created;
+  } finally {
+    materializingTemplates.delete(template.id);
+  }
+}
+
+// Materialise every active template, recording failures on the template
+async function materializeGBPTemplates(pool, textGenerator) {
+  const templatesResult = await pool.query(
+    `SELECT * FROM gbp_post_templates
+     WHERE is_active = true
+       AND (materialized_until IS NULL OR materialized_until < NOW() + ($1 * INTERVAL '1 day'))
+     ORDER BY materialized_until ASC NULLS FIRST`,
+    [HORIZON_DAYS]
+  );
+
+  let created = 0;
+  for (const template of templatesResult.rows) {
+    try {
+      created += await materializeGBPTemplate(pool, textGenerator, template);
+    } catch (error) {
+      console.error(`❌ Could not materialise GBP template ${template.id}:`, error.message);
+      await pool.query('UPDATE gbp_post_templates SET last_error = $1 WHERE id = $2', [error.message, template.id]).catch(() => {});
+    }
+  }
+  return created;
+}
+
+// Remove a template's future occurrences that are still untouched, so they can be re-created
+// Posts someone edited, approved themselves or already sent to GoHighLevel are kept; occurrences
+// scheduled on the strength of the template's own approval are not
+async function removePendingOccurrences(db, templateId) {
+  const result = await db.query(
+    `DELETE FROM gbp_posts
+     WHERE template_id = $1
+       AND status = ANY($2)
+       AND ghl_post_id IS NULL
+       AND last_edited_at IS NULL
+       AND (approved_by IS NULL OR approved_via_template)
+       AND scheduled_at > NOW()
+     RETURNING id`,
+    [templateId, REPLACEABLE_STATUSES]
+  );
+  return result.rowCount;
+}
+
+// Start materialising templates in the background; returns a handle with stop()
+function startGBPTemplateMaterializer(pool, textGenerator) {
+  let running = false;
+
+  const tick = async () => {
+    // Skip this interval if the previous pass is still running
+    if (running) return;
+    running = true;
+    try {
+      await materializeGBPTemplates(pool, textGenerator);
+    } catch (error) {
+      console.error('❌ GBP template materialisation failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, TEMPLATE_INTERVAL_MS);
+  tick();
+
+  console.log(`🔁 GBP template materialiser started (every ${Math.round(TEMPLATE_INTERVAL_MS / 60000)} min, ${HORIZON_DAYS} days ahead)`);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
+
+// Run one template in the background, recording a failure on the template
+function materializeInBackground(pool, textGenerator, template) {
+  materializeGBPTemplate(pool, textGenerator, template).catch(error => {
+    console.error(`❌ Could not materialise GBP template ${template.id}:`, error.message);
+    pool.query('UPDATE gbp_post_templates SET last_error = $1 WHERE id = $2', [error.message, template.id]).catch(() => {});
+  });
+}
+
+const withUpcoming = (template) => ({ ...template, nextOccurrences: getUpcomingOccurrences(template) });
+
+// API Endpoint: A client's templates with their next occurrences
+function getGBPTemplatesEndpoint(app, pool) {
+  app.get('/api/gbp/templates/:clientId', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT t.*,
+                (SELECT COUNT(*) FROM gbp_posts p WHERE p.template_id = t.id)::int AS post_count
+         FROM gbp_post_templates t
+         WHERE t.client_id = $1
+         ORDER BY t.created_at DESC`,
+        [req.params.clientId]
+      );
+
+      res.json({
+        success: true,
+        templates: result.rows.map(withUpcoming)
+      });
+    } catch (error) {
+      console.error('❌ Error fetching GBP templates:', error);
+      res.status(500).json({
+        error: 'Failed to fetch templates',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Next occurrences of a recurrence, for previewing while a template is set up
+function previewGBPTemplateEndpoint(app) {
+  app.post('/api/gbp/templates/preview', (req, res) => {
+    try {
+      const { recurrence, startDate, startTime, timeZone } = req.body;
+
+      const parsedRule = parseRecurrenceRule(recurrence);
+      if (parsedRule.error) {
+        return res.status(400).json({ error: parsedRule.error });
+      }
+      if (!timeZone || !isValidTimeZone(timeZone)) {
+        return res.status(400).json({ error: 'A valid IANA time zone is required (e.g. America/New_York)' });
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{2}:\d{2}$/.test(startTime || '')) {
+        return res.status(400).json({ error: 'startDate (YYYY-MM-DD) and startTime (HH:MM) are required' });
+      }
+
+      const [year, month, day] = startDate.split('-').map(Number);
+      const [hours, minutes] = startTime.split(':').map(Number);
+      const startsAt = zonedTimeToUtc(year, month - 1, day, hours, minutes, timeZone);
+
+      res.json({
+        success: true,
+        occurrences: getOccurrences(parsedRule.rule, startsAt, timeZone, { after: new Date(), limit: PREVIEW_OCCURRENCES })
+      });
+    } catch (error) {
+      console.error('❌ Error previewing GBP template:', error);
+      res.status(500).json({
+        error: 'Failed to preview recurrence',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Create a template and materialise its first occurrences
+function createGBPTemplateEndpoint(app, pool, textGenerator) {
+  app.post('/api/gbp/templates', async (req, res) => {
+    try {
+      const { clientId } = req.body;
+      if (!clientId) {
+        return res.status(400).json({ error: 'Client ID is required' });
+      }
+
+      const clientResult = await pool.query('SELECT * FROM clients WHERE id = $1', [clientId]);
+      if (clientResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+
+      const parsed = parseTemplateFields(req.body, clientResult.rows[0]);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      const fields = parsed.fields;
+
+      const result = await pool.query(
+        `INSERT INTO gbp_post_templates (client_id, name, content, recurrence, starts_at, time_zone, reword, auto_schedule,
+                                         approved_by, approved_at, is_active, cta_type, cta_text, more_info_url, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING *`,
+        [
+          clientId,
+          fields.name,
+          fields.content,
+          fields.recurrence,
+          fields.starts_at,
+          fields.time_zone,
+          fields.reword,
+          fields.auto_schedule,
+          fields.approved_by,
+          fields.approved_at,
+          fields.is_active,
+          fields.cta_type,
+          fields.cta_text,
+          fields.more_info_url,
+          req.body.createdBy || null
+        ]
+      );
+      const template = result.rows[0];
+
+      console.log(`🔁 Template ${template.id} created for ${clientId}: "${template.name}" (${template.recurrence})`);
+
+      // Not awaited: re-wording takes one model call per occurrence
+      materializeInBackground(pool, textGenerator, template);
+
+      res.status(201).json({
+        success: true,
+        template: withUpcoming(template),
+        message: `🔁 Template saved; posts for the next ${HORIZON_DAYS} days are being created`
+      });
+    } catch (error) {
+      console.error('❌ Error creating GBP template:', error);
+      res.status(500).json({
+        error: 'Failed to create template',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Change, pause or resume a template
+// Untouched future occurrences are replaced so they follow the new settings
+function updateGBPTemplateEndpoint(app, pool, textGenerator) {
+  app.put('/api/gbp/templates/:templateId', async (req, res) => {
+    try {
+      const templateId = parseTemplateId(req.params.templateId);
+      if (!templateId) {
+        return res.status(400).json({ error: 'Invalid template ID' });
+      }
+
+      const existingResult = await pool.query('SELECT * FROM gbp_post_templates WHERE id = $1', [templateId]);
+      if (existingResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      const existing = existingResult.rows[0];
+      if (materializingTemplates.has(existing.id)) {
+        return res.status(409).json({ error: 'This template is creating posts right now; try again in a moment' });
+      }
+
+      const clientResult = await pool.query('SELECT * FROM clients WHERE id = $1', [existing.client_id]);
+      const parsed = parseTemplateFields(req.body, clientResult.rows[0] || {}, existing);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      const fields = parsed.fields;
+
+      const result = await pool.query(
+        `UPDATE gbp_post_templates
+         SET name = $1, content = $2, recurrence = $3, starts_at = $4, time_zone = $5, reword = $6,
+             auto_schedule = $7, approved_by = $8, approved_at = $9, is_active = $10,
+             cta_type = $11, cta_text = $12, more_info_url = $13,
+             materialized_until = NULL, last_error = NULL, version = version + 1, updated_at = NOW()
+         WHERE id = $14
+         RETURNING *`,
+        [
+          fields.name,
+          fields.content,
+          fields.recurrence,
+          fields.starts_at,
+          fields.time_zone,
+          fields.reword,
+          fields.auto_schedule,
+          fields.approved_by,
+          fields.approved_at,
+          fields.is_active,
+          fields.cta_type,
+          fields.cta_text,
+          fields.more_info_url,
+          existing.id
+        ]
+      );
+      const template = result.rows[0];
+
+      const removed = await removePendingOccurrences(pool, template.id);
+      console.log(`🔁 Template ${template.id} updated${template.is_active ? '' : ' (paused)'}, ${removed} pending occurrence(s) removed`);
+
+      materializeInBackground(pool, textGenerator, template);
+
+      res.json({
+        success: true,
+        template: withUpcoming(template),
+        removed,
+        message: template.is_active
+          ? `✅ Template updated${removed > 0 ? `; ${removed} upcoming post(s) are being re-created` : ''}`
+          : `⏸️ Template paused; ${removed} upcoming post(s) removed`
+      });
+    } catch (error) {
+      console.error('❌ Error updating GBP template:', error);
+      res.status(500).json({
+        error: 'Failed to update template',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Delete a template and its untouched future occurrences
+// Posts already sent, edited or published stay, detached from the template
+function deleteGBPTemplateEndpoint(app, pool) {
+  app.delete('/api/gbp/templates/:templateId', async (req, res) => {
+    try {
+      const templateId = parseTemplateId(req.params.templateId);
+      if (!templateId) {
+        return res.status(400).json({ error: 'Invalid template ID' });
+      }
+      if (materializingTemplates.has(templateId)) {
+        return res.status(409).json({ error: 'This template is creating posts right now; try again in a moment' });
+      }
+
+      // Bump the version first so a materialiser pass already under way stops adding occurrences
+      const retired = await pool.query(
+        'UPDATE gbp_post_templates SET version = version + 1, is_active = false WHERE id = $1 RETURNING id',
+        [templateId]
+      );
+      if (retired.rows.length === 0) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const removed = await removePendingOccurrences(pool, templateId);
+      await pool.query('DELETE FROM gbp_post_templates WHERE id = $1', [templateId]);
+
+      console.log(`🗑️ Template ${templateId} deleted with ${removed} pending occurrence(s)`);
+      res.json({
+        success: true,
+        removed,
+        message: `🗑️ Template deleted${removed > 0 ? ` along with ${removed} upcoming post(s)` : ''}`
+      });
+    } catch (error) {
+      console.error('❌ Error deleting GBP template:', error);
+      res.status(500).json({
+        error: 'Failed to delete template',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  materializeGBPTemplate,
+  materializeGBPTemplates,
+  startGBPTemplateMaterializer,
+  getGBPTemplatesEndpoint,
+  previewGBPTemplateEndpoint,
+  createGBPTemplateEndpoint,
+  updateGBPTemplateEndpoint,
+  deleteGBPTemplateEndpoint
+};
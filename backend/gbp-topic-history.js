@@ -0,0 +1,236 @@
+// ===== GBP Topic History & De-duplication =====
+// Every generated post records its topic in used_topics. Before generating, a new topic is
+// compared with the client's recent topics and post contents: semantically with Gemini
+// embeddings, or by keyword overlap when embeddings are unavailable. Near-duplicates are
+// reported back so the user can pick something else or explicitly override.
+
+const EMBEDDING_MODEL = 'text-embedding-004';
+const EMBEDDING_THRESHOLD = 0.85;
+const KEYWORD_THRESHOLD = 0.6;
+const RECENT_TOPICS_LIMIT = 50;
+const RECENT_POSTS_LIMIT = 20;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or', 'our', 'the', 'to', 'we', 'what', 'with', 'you', 'your']);
+
+function keywords(text) {
+  return new Set(
+    String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+      // Crude stemming so "leaks" matches "leak"
+      .map(word => word.replace(/(ing|es|s)$/, ''))
+  );
+}
+
+// Overlap relative to the smaller set, so a short topic inside a long post still matches
+function keywordSimilarity(a, b) {
+  const setA = keywords(a);
+  const setB = keywords(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  for (const word of setA) {
+    if (setB.has(word)) shared++;
+  }
+  return shared / Math.min(setA.size, setB.size);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+async function embedTexts(texts, ai) {
+  const response = await ai.models.embedContent({ model: EMBEDDING_MODEL, contents: texts });
+  const vectors = (response.embeddings || []).map(e => e.values);
+  if (vectors.length !== texts.length) {
+    throw new Error(`Expected ${texts.length} embeddings, got ${vectors.length}`);
+  }
+  return vectors;
+}
+
+// Record a generated post's topic
+async function recordUsedTopic(db, clientId, topic, postId = null) {
+  if (!topic || !topic.trim()) return;
+  await db.query(
+    'INSERT INTO used_topics (client_id, topic, post_id) VALUES ($1, $2, $3)',
+    [clientId, topic.trim(), postId]
+  );
+}
+
+// Most recent topics for a client, newest first (used to steer topic generation away from them)
+async function getRecentTopics(db, clientId, limit = 30) {
+  const result = await db.query(
+    `SELECT topic FROM used_topics
+     WHERE client_id = $1
+     GROUP BY topic
+     ORDER BY MAX(created_at) DESC
+     LIMIT $2`,
+    [clientId, limit]
+  );
+  return result.rows.map(r => r.topic);
+}
+
+// Compare a topic with the client's recent topics and post contents
+// Returns { method, duplicates: [{ source, text, postId, similarity, usedAt }] }, most similar first
+async function findSimilarTopics(db, clientId, topic, ai) {
+  const topics = await db.query(
+    `SELECT topic, post_id, created_at FROM used_topics
+     WHERE client_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [clientId, RECENT_TOPICS_LIMIT]
+  );
+  const posts = await db.query(
+    `SELECT id, content, created_at FROM gbp_posts
+     WHERE client_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [clientId, RECENT_POSTS_LIMIT]
+  );
+
+  const candidates = [
+    ...topics.rows.map(r => ({ source: 'topic', text: r.topic, postId: r.post_id, usedAt: r.created_at })),
+    ...posts.rows.map(r => ({ source: 'post', text: r.content, postId: r.id, usedAt: r.created_at }))
+  ];
+  if (candidates.length === 0) {
+    return { method: 'none', duplicates: [] };
+  }
+
+  let method = 'embedding';
+  let scores;
+  try {
+    const [topicVector, ...candidateVectors] = await embedTexts([topic, ...candidates.map(c => c.text)], ai);
+    scores = candidateVectors.map(vector => cosineSimilarity(topicVector, vector));
+  } catch (error) {
+    console.warn('⚠️ Topic embeddings unavailable, falling back to keyword overlap:', error.message);
+    method = 'keyword';
+    scores = candidates.map(c => keywordSimilarity(topic, c.text));
+  }
+
+  const threshold = method === 'embedding' ? EMBEDDING_THRESHOLD : KEYWORD_THRESHOLD;
+  const duplicates = candidates
+    .map((candidate, i) => ({ ...candidate, similarity: Math.round(scores[i] * 100) / 100 }))
+    .filter(candidate => candidate.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, 5);
+
+  return { method, duplicates };
+}
+
+// Run the duplicate check for a create request and send a 409 when it fails
+// Returns true when generation may go ahead
+async function passesTopicCheck(db, clientId, topic, ai, allowDuplicate, res) {
+  if (allowDuplicate) return true;
+
+  const { method, duplicates } = await findSimilarTopics(db, clientId, topic, ai);
+  if (duplicates.length === 0) return true;
+
+  console.log(`🔁 Topic "${topic}" is close to ${duplicates.length} earlier topic(s)/post(s) for ${clientId}`);
+  res.status(409).json({
+    error: 'DUPLICATE_TOPIC',
+    message: `"${topic}" is very similar to something this client has already posted about`,
+    method,
+    duplicates: duplicates.map(d => ({
+      ...d,
+      text: d.source === 'post' && d.text.length > 160 ? `${d.text.substring(0, 157)}...` : d.text
+    }))
+  });
+  return false;
+}
+
+// API Endpoint: Browse a client's topic history
+function getUsedTopicsEndpoint(app, pool) {
+  app.get('/api/gbp/topics/:clientId', async (req, res) => {
+    try {
+      const { clientId } = req.params;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const result = await pool.query(
+        `SELECT t.id, t.topic, t.post_id, t.created_at, p.status AS post_status
+         FROM used_topics t
+         LEFT JOIN gbp_posts p ON p.id = t.post_id
+         WHERE t.client_id = $1
+         ORDER BY t.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [clientId, limit, offset]
+      );
+      const total = await pool.query('SELECT COUNT(*)::int AS count FROM used_topics WHERE client_id = $1', [clientId]);
+
+      res.json({
+        success: true,
+        topics: result.rows,
+        total: total.rows[0].count
+      });
+    } catch (error) {
+      console.error('❌ Error fetching used topics:', error);
+      res.status(500).json({
+        error: 'Failed to fetch topic history',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Remove one topic, or prune everything older than N days, so it can be reused
+function pruneUsedTopicsEndpoint(app, pool) {
+  app.delete('/api/gbp/topics/:clientId/:topicId', async (req, res) => {
+    try {
+      const { clientId, topicId } = req.params;
+      const result = await pool.query(
+        'DELETE FROM used_topics WHERE client_id = $1 AND id = $2',
+        [clientId, topicId]
+      );
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: 'Topic not found' });
+      }
+
+      res.json({ success: true, deleted: result.rowCount, message: '🗑️ Topic removed from history' });
+    } catch (error) {
+      console.error('❌ Error deleting used topic:', error);
+      res.status(500).json({
+        error: 'Failed to delete topic',
+        details: error.message
+      });
+    }
+  });
+
+  app.delete('/api/gbp/topics/:clientId', async (req, res) => {
+    try {
+      const { clientId } = req.params;
+      const olderThanDays = parseInt(req.query.olderThanDays, 10);
+      if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+        return res.status(400).json({ error: 'olderThanDays must be a whole number of days' });
+      }
+
+      const result = await pool.query(
+        `DELETE FROM used_topics WHERE client_id = $1 AND created_at < NOW() - make_interval(days => $2)`,
+        [clientId, olderThanDays]
+      );
+
+      console.log(`🗑️ Pruned ${result.rowCount} used topics older than ${olderThanDays} days for ${clientId}`);
+      res.json({ success: true, deleted: result.rowCount, message: `🗑️ Removed ${result.rowCount} topic(s)` });
+    } catch (error) {
+      console.error('❌ Error pruning used topics:', error);
+      res.status(500).json({
+        error: 'Failed to prune topic history',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  recordUsedTopic,
+  getRecentTopics,
+  findSimilarTopics,
+  passesTopicCheck,
+  getUsedTopicsEndpoint,
+  pruneUsedTopicsEndpoint
+};
@@ -0,0 +1,144 @@
+// ===== GBP Topic Suggestions =====
+// GBP counterpart of the blog pipeline's generateUniqueTopicForClient: asks Gemini (grounded with
+// Google Search) for a ranked list of post ideas built from the client profile and the service
+// pages in sitemap_urls, skipping topics the client has already posted about.
+
+import { extractGeminiText } from './text-providers.js';
+import { getRecentTopics } from './gbp-topic-history.js';
+
+const DEFAULT_SUGGESTION_COUNT = 8;
+const MAX_SUGGESTION_COUNT = 15;
+const SUGGESTION_ANGLES = ['local', 'seasonal', 'service', 'trending'];
+
+// Pull the JSON array out of a grounded response (search grounding can't be combined with JSON mode)
+function parseSuggestionList(text) {
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end <= start) return [];
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn('⚠️ Could not parse topic suggestions:', error.message);
+    return [];
+  }
+}
+
+const normalizeTopic = (topic) => String(topic || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+async function generateGBPTopicSuggestions(clientId, businessInfo, db, ai, count = DEFAULT_SUGGESTION_COUNT) {
+  // Service and landing pages give Gemini concrete things to promote
+  const pages = await db.query(
+    `SELECT url, title, description, category
+     FROM sitemap_urls
+     WHERE client_id = $1 AND title IS NOT NULL
+       AND NOT (COALESCE(category, '') = 'blog' OR url LIKE '%blog%' OR url LIKE '%post%')
+     ORDER BY "createdAt" DESC
+     LIMIT 25`,
+    [clientId]
+  );
+
+  const recentTopics = await getRecentTopics(db, clientId);
+
+  console.log(`💡 Suggesting GBP topics for ${businessInfo.name} (${pages.rows.length} service pages, avoiding ${recentTopics.length} recent topics)`);
+
+  const pagesContext = pages.rows.length > 0
+    ? `\nSERVICE PAGES ON THEIR WEBSITE:\n${pages.rows.map((page, i) => `${i + 1}. "${page.title}" - ${page.url}${page.description ? ` (${page.description.substring(0, 120)})` : ''}`).join('\n')}\n`
+    : '';
+  const avoidContext = recentTopics.length > 0
+    ? `\nALREADY POSTED ABOUT RECENTLY - DO NOT REPEAT OR CLOSELY PARAPHRASE:\n${recentTopics.map(t => `- ${t}`).join('\n')}\n`
+    : '';
+
+  const prompt = `Using Google Search for current local events, seasons and trends, suggest ${count} Google Business Profile post topics for ${businessInfo.name}, a ${businessInfo.industry} business.
+
+BUSINESS CONTEXT:
+- Location: ${businessInfo.location || 'Not specified'}
+- Unique value: ${businessInfo.uniqueValueProp || 'Not specified'}
+- Brand voice: ${businessInfo.brandVoice || 'Not specified'}
+- Content strategy: ${businessInfo.contentStrategy || 'Not specified'}
+${pagesContext}${avoidContext}
+Mix these angles:
+- local: community events, neighbourhoods, local news
+- seasonal: weather, holidays and the time of year (today is ${new Date().toDateString()})
+- service: promote one of the service pages above
+- trending: a current question or trend in the industry
+
+Rank the list with the strongest idea first. Respond with a JSON array only, each item shaped like:
+{"topic": "short topic phrase", "angle": "local|seasonal|service|trending", "reason": "one sentence on why it works now", "landingPageUrl": "matching service page URL or null"}`;
+
+  const result = await ai.models.generateContent({
+    model: "gemini-2.5-flash",
+    contents: prompt,
+    config: {
+      tools: [{ googleSearch: {} }],
+    },
+  });
+
+  const pageUrls = new Set(pages.rows.map(p => p.url));
+  const seen = new Set(recentTopics.map(normalizeTopic));
+
+  const suggestions = [];
+  for (const item of parseSuggestionList(extractGeminiText(result))) {
+    const topic = String(item?.topic || '').trim();
+    const key = normalizeTopic(topic);
+    if (!topic || seen.has(key)) continue;
+    seen.add(key);
+
+    suggestions.push({
+      rank: suggestions.length + 1,
+      topic,
+      angle: SUGGESTION_ANGLES.includes(item.angle) ? item.angle : 'trending',
+      reason: item.reason ? String(item.reason) : null,
+      // Only keep links that really are pages of the client's site
+      landingPageUrl: pageUrls.has(item.landingPageUrl) ? item.landingPageUrl : null
+    });
+  }
+
+  const sources = result.candidates?.[0]?.groundingMetadata?.groundingChunks || [];
+  console.log(`✅ ${suggestions.length} GBP topic suggestions (${sources.length} search sources)`);
+
+  return {
+    suggestions: suggestions.slice(0, count),
+    sources: sources.filter(s => s.web?.uri).map(s => ({ title: s.web.title || null, url: s.web.uri })),
+    servicePagesCount: pages.rows.length,
+    recentTopicsCount: recentTopics.length
+  };
+}
+
+// API Endpoint: Ranked topic ideas for a client's next GBP post
+function getGBPTopicSuggestionsEndpoint(app, pool, ai) {
+  app.get('/api/gbp/topic-suggestions/:clientId', async (req, res) => {
+    try {
+      const { clientId } = req.params;
+      const count = Math.min(Math.max(parseInt(req.query.count, 10) || DEFAULT_SUGGESTION_COUNT, 1), MAX_SUGGESTION_COUNT);
+
+      const client = await pool.connect();
+      try {
+        const clientResult = await client.query('SELECT * FROM clients WHERE id = $1', [clientId]);
+        if (clientResult.rows.length === 0) {
+          return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const result = await generateGBPTopicSuggestions(clientId, clientResult.rows[0], client, ai, count);
+
+        res.json({
+          success: true,
+          ...result
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error suggesting GBP topics:', error);
+      res.status(500).json({
+        error: 'Failed to suggest topics',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  generateGBPTopicSuggestions,
+  getGBPTopicSuggestionsEndpoint
+};
@@ -0,0 +1,248 @@
+// ===== GBP Content Variants =====
+// A draft can be rewritten in several angles/tones so the user can compare them side by side.
+// Every variant is kept in gbp_post_variants; the one the user picks (or merges from) is
+// flagged as chosen and its style copied onto the post, so per-client style preferences can
+// be read back from the variant stats endpoint.
+
+import { generateGBPContent } from './ghl-integration.js';
+import { EDITABLE_STATUSES, loadPostForAction } from './gbp-approval.js';
+import { resolveLocationContext } from './gbp-campaigns.js';
+import { refreshPostLint } from './gbp-content-lint.js';
+import { recordGenerations } from './gbp-generations.js';
+
+// Angles a variant can be written in, in the order they are used
+const VARIANT_STYLES = {
+  friendly: 'Warm and conversational, like a neighbour recommending the business',
+  promotional: 'Benefit-led and persuasive, leading with what the customer gets',
+  informative: 'Helpful and practical, leading with a useful tip or fact',
+  storytelling: 'A short customer or team story that leads into the service',
+  urgent: 'Timely, giving a clear reason to act this week'
+};
+const MAX_VARIANTS = 4;
+
+// Pick `count` styles, honouring any the caller asked for first
+function pickVariantStyles(count, requested = []) {
+  const styles = [...new Set(requested.filter(style => VARIANT_STYLES[style]))];
+  for (const style of Object.keys(VARIANT_STYLES)) {
+    if (styles.length >= count) break;
+    if (!styles.includes(style)) styles.push(style);
+  }
+  return styles.slice(0, count);
+}
+
+async function loadPostVariants(dbClient, postId) {
+  const result = await dbClient.query(
+    'SELECT * FROM gbp_post_variants WHERE post_id = $1 ORDER BY id',
+    [postId]
+  );
+  return result.rows;
+}
+
+// API Endpoint: Generate alternative versions of a draft
+// The draft's current text is kept as the "original" variant so it can still be picked
+function generateGBPVariantsEndpoint(app, pool, textGenerator, axios) {
+  app.post('/api/gbp/posts/:postId/variants', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const count = Number(req.body.count) || 3;
+      if (!Number.isInteger(count) || count < 1 || count > MAX_VARIANTS) {
+        return res.status(400).json({ error: `count must be between 1 and ${MAX_VARIANTS}` });
+      }
+
+      const client = await pool.connect();
+      try {
+        const post = await loadPostForAction(client, postId, EDITABLE_STATUSES, 'generate variants for', res);
+        if (!post) return;
+        if (!post.topic) {
+          return res.status(400).json({ error: 'This post has no topic to generate variants from' });
+        }
+
+        const clientResult = await client.query('SELECT * FROM clients WHERE id = $1', [post.client_id]);
+        let businessInfo = clientResult.rows[0];
+
+        // Location posts keep their local details in every variant
+        if (post.location_id) {
+          const subResult = await client.query(
+            'SELECT * FROM ghl_sub_accounts WHERE client_id = $1 AND location_id = $2',
+            [post.client_id, post.location_id]
+          );
+          if (subResult.rows.length > 0) {
+            businessInfo = { ...businessInfo, ...(await resolveLocationContext(client, subResult.rows[0], axios)) };
+          }
+        }
+
+        const existing = await loadPostVariants(client, postId);
+        if (!existing.some(v => v.style === 'original')) {
+          await client.query(
+            `INSERT INTO gbp_post_variants (post_id, client_id, style, content, ai_provider, ai_model)
+             VALUES ($1, $2, 'original', $3, $4, $5)`,
+            [postId, post.client_id, post.content, post.ai_provider, post.ai_model]
+          );
+        }
+
+        const styles = pickVariantStyles(count, Array.isArray(req.body.styles) ? req.body.styles : []);
+        console.log(`🎨 Generating ${styles.length} variants for GBP post ${postId}: ${styles.join(', ')}`);
+
+        // One at a time to stay within provider rate limits
+        const failures = [];
+        const lengthReports = [];
+        for (const style of styles) {
+          try {
+            const { content, lengthReport, generation, generationLog } = await generateGBPContent(post.topic, businessInfo, textGenerator, post, VARIANT_STYLES[style]);
+            lengthReports.push({ style, ...lengthReport });
+            const inserted = await client.query(
+              `INSERT INTO gbp_post_variants (post_id, client_id, style, content, ai_provider, ai_model)
+               VALUES ($1, $2, $3, $4, $5, $6)
+               RETURNING id`,
+              [postId, post.client_id, style, content, generation.provider, generation.model]
+            );
+            await recordGenerations(client, { postId, clientId: post.client_id, variantId: inserted.rows[0].id }, generationLog);
+          } catch (variantError) {
+            console.error(`❌ Variant "${style}" failed for GBP post ${postId}:`, variantError.message);
+            failures.push({ style, error: variantError.message });
+          }
+        }
+
+        res.json({
+          success: true,
+          variants: await loadPostVariants(client, postId),
+          failures,
+          lengthReports,
+          message: `🎨 ${styles.length - failures.length} variant(s) ready to compare`
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error generating GBP variants:', error);
+      res.status(500).json({
+        error: 'Failed to generate variants',
+        details: error.message
+      });
+    }
+  });
+
+  app.get('/api/gbp/posts/:postId/variants', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        variants: await loadPostVariants(pool, req.params.postId)
+      });
+    } catch (error) {
+      console.error('❌ Error fetching GBP variants:', error);
+      res.status(500).json({
+        error: 'Failed to fetch variants',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: Use a variant as the post's content
+// Sending `content` as well records a merge: the text was assembled from that variant by hand
+function chooseGBPVariantEndpoint(app, pool) {
+  app.post('/api/gbp/posts/:postId/variants/choose', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { variantId, content, chosenBy } = req.body;
+
+      if (!variantId) {
+        return res.status(400).json({ error: 'variantId is required' });
+      }
+
+      const client = await pool.connect();
+      try {
+        const post = await loadPostForAction(client, postId, EDITABLE_STATUSES, 'choose a variant for', res);
+        if (!post) return;
+
+        const variantResult = await client.query(
+          'SELECT * FROM gbp_post_variants WHERE id = $1 AND post_id = $2',
+          [variantId, postId]
+        );
+        if (variantResult.rows.length === 0) {
+          return res.status(404).json({ error: 'Variant not found for this post' });
+        }
+        const variant = variantResult.rows[0];
+
+        const finalContent = content && content.trim() ? content.trim() : variant.content;
+        const choice = finalContent === variant.content ? 'picked' : 'merged';
+
+        await client.query('UPDATE gbp_post_variants SET chosen = (id = $1) WHERE post_id = $2', [variant.id, postId]);
+
+        // Like any edit, choosing a variant sends the post back to draft
+        const result = await client.query(
+          `UPDATE gbp_posts
+           SET content = $1, status = 'draft', chosen_variant_id = $2, variant_style = $3, variant_choice = $4,
+               last_edited_by = $5, last_edited_at = NOW(), ai_provider = $6, ai_model = $7,
+               version = version + 1
+           WHERE id = $8
+           RETURNING *`,
+          [finalContent, variant.id, variant.style, choice, chosenBy || null, variant.ai_provider, variant.ai_model, postId]
+        );
+
+        console.log(`🎯 GBP post ${postId}: ${choice} the "${variant.style}" variant`);
+        const lint = await refreshPostLint(client, result.rows[0]);
+
+        res.json({
+          success: true,
+          post: { ...result.rows[0], lint_findings: lint },
+          lint,
+          variants: await loadPostVariants(client, postId),
+          message: choice === 'merged' ? '✏️ Merged version saved' : `✅ Using the ${variant.style} version`
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error choosing GBP variant:', error);
+      res.status(500).json({
+        error: 'Failed to choose variant',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: How often each style is offered and chosen for a client
+function getGBPVariantStatsEndpoint(app, pool) {
+  app.get('/api/gbp/variant-stats/:clientId', async (req, res) => {
+    try {
+      const { clientId } = req.params;
+
+      const result = await pool.query(
+        `SELECT v.style,
+                COUNT(*)::int AS offered,
+                COUNT(*) FILTER (WHERE v.chosen)::int AS chosen,
+                COUNT(*) FILTER (WHERE v.chosen AND p.variant_choice = 'merged')::int AS merged
+         FROM gbp_post_variants v
+         JOIN gbp_posts p ON p.id = v.post_id
+         WHERE v.client_id = $1
+         GROUP BY v.style
+         ORDER BY chosen DESC, offered DESC`,
+        [clientId]
+      );
+
+      res.json({
+        success: true,
+        styles: result.rows.map(row => ({
+          ...row,
+          pickRate: row.offered > 0 ? Math.round((row.chosen / row.offered) * 100) / 100 : 0
+        }))
+      });
+    } catch (error) {
+      console.error('❌ Error fetching GBP variant stats:', error);
+      res.status(500).json({
+        error: 'Failed to fetch variant stats',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  VARIANT_STYLES,
+  pickVariantStyles,
+  generateGBPVariantsEndpoint,
+  chooseGBPVariantEndpoint,
+  getGBPVariantStatsEndpoint
+};
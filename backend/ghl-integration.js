@@ -1,26 +1,52 @@
 // ===== GoHighLevel Social Planner API Integration =====
 
+import { persistGBPImage, removeStoredImage } from './image-storage.js';
+import { refreshGHLAccessToken, isTokenExpiring, REQUIRED_SCOPES } from './ghl-oauth.js';
+import { encryptSecret, maskSecret, decryptSubAccountTokens, toPublicSubAccount } from './token-crypto.js';
+import { parsePostTypeFields, describePostTypeForPrompt, toGHLPostDetails } from './gbp-post-types.js';
+import { parseCallToAction, toGHLCallToAction } from './gbp-cta.js';
+import { passesTopicCheck, recordUsedTopic } from './gbp-topic-history.js';
+import { getLengthLimits, enforceLength } from './gbp-length.js';
+import { AI_CLICHES, lintGBPContent, refreshPostLint } from './gbp-content-lint.js';
+import { describeStyleRulesForPrompt, applyPreferredSpellings } from './gbp-style-rules.js';
+import { recordGenerations } from './gbp-generations.js';
+
 // GoHighLevel API configuration
 const GHL_API_BASE = 'https://services.leadconnectorhq.com';
+const GHL_API_VERSION = '2021-07-28';
+
+// Standard headers for GoHighLevel API v2 requests
+function ghlHeaders(accessToken) {
+  return {
+    'Authorization': `Bearer ${accessToken}`,
+    'Content-Type': 'application/json',
+    'Version': GHL_API_VERSION
+  };
+}
 
 // Helper function to get GoHighLevel access token for a client
-async function getGHLAccessToken(clientId, pool) {
+// OAuth-connected tokens are refreshed transparently when they are about to expire.
+// `db` may be a pool or a checked-out client.
+async function getGHLAccessToken(clientId, db, axios, locationId = null) {
   try {
-    const client = await pool.connect();
-    try {
-      const result = await client.query(
-        'SELECT access_token FROM ghl_sub_accounts WHERE client_id = $1 AND is_active = true LIMIT 1',
-        [clientId]
-      );
-      
-      if (result.rows.length === 0) {
-        throw new Error('No active GoHighLevel sub-account found for this client');
-      }
-      
-      return result.rows[0].access_token;
-    } finally {
-      client.release();
+    const result = await db.query(
+      `SELECT * FROM ghl_sub_accounts
+       WHERE client_id = $1 AND is_active = true AND ($2::text IS NULL OR location_id = $2)
+       ORDER BY created_at DESC LIMIT 1`,
+      [clientId, locationId]
+    );
+    
+    if (result.rows.length === 0) {
+      throw new Error('No active GoHighLevel sub-account found for this client');
+    }
+    
+    const subAccount = decryptSubAccountTokens(result.rows[0]);
+    if (isTokenExpiring(subAccount)) {
+      const refreshed = await refreshGHLAccessToken(db, subAccount, axios);
+      return refreshed.access_token;
     }
+    
+    return subAccount.access_token;
   } catch (error) {
     console.error('❌ Error getting GHL access token:', error.message);
     throw error;
@@ -35,10 +61,7 @@ async function getConnectedAccounts(locationId, accessToken, axios) {
     const response = await axios.get(
       `${GHL_API_BASE}/social-media-posting/${locationId}/accounts`,
       {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
+        headers: ghlHeaders(accessToken)
       }
     );
     
@@ -50,6 +73,46 @@ async function getConnectedAccounts(locationId, accessToken, axios) {
   }
 }
 
+// Get location details (also a cheap way to check a token is accepted)
+async function getLocation(locationId, accessToken, axios) {
+  const response = await axios.get(
+    `${GHL_API_BASE}/locations/${locationId}`,
+    {
+      headers: ghlHeaders(accessToken)
+    }
+  );
+  return response.data.location || response.data;
+}
+
+// Get one Social Planner post as GoHighLevel currently sees it
+async function getSocialPost(locationId, ghlPostId, accessToken, axios) {
+  const response = await axios.get(
+    `${GHL_API_BASE}/social-media-posting/${locationId}/posts/${ghlPostId}`,
+    {
+      headers: ghlHeaders(accessToken)
+    }
+  );
+  return response.data.post || response.data.results?.post || response.data;
+}
+
+// Location a post was published to: campaign posts store it, single posts used the newest active sub-account
+async function resolvePostLocation(db, post) {
+  if (post.location_id) return post.location_id;
+  const result = await db.query(
+    `SELECT location_id FROM ghl_sub_accounts
+     WHERE client_id = $1 AND is_active = true
+     ORDER BY created_at DESC LIMIT 1`,
+    [post.client_id]
+  );
+  return result.rows[0]?.location_id || null;
+}
+
+// Whether a connected social account is a Google Business Profile
+function isGoogleBusinessProfileAccount(account) {
+  const platform = String(account?.platform || account?.type || '').toLowerCase();
+  return platform === 'google' || platform === 'gmb' || platform === 'google_business_profile';
+}
+
 // Create a post in GoHighLevel Social Planner
 async function createSocialPost(locationId, postData, accessToken, axios) {
   try {
@@ -58,7 +121,8 @@ async function createSocialPost(locationId, postData, accessToken, axios) {
       accountId: postData.accountId,
       content: postData.content?.substring(0, 100) + '...',
       media: postData.media?.length || 0,
-      callToAction: postData.callToAction
+      callToAction: postData.callToAction,
+      gmbPostDetails: postData.gmbPostDetails
     });
     
     const response = await axios.post(
@@ -68,13 +132,12 @@ async function createSocialPost(locationId, postData, accessToken, axios) {
         content: postData.content,
         media: postData.media || [],
         callToAction: postData.callToAction,
-        scheduledAt: postData.scheduledAt
+        scheduledAt: postData.scheduledAt,
+        // Event and offer fields for Google Business Profile; omitted for plain updates
+        ...(postData.gmbPostDetails && { gmbPostDetails: postData.gmbPostDetails })
       },
       {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
+        headers: ghlHeaders(accessToken)
       }
     );
     
@@ -86,8 +149,86 @@ async function createSocialPost(locationId, postData, accessToken, axios) {
   }
 }
 
-// Generate GBP-optimized content (200-400 characters)
-async function generateGBPContent(topic, businessInfo, ai) {
+// Replace the content, media, button and schedule of a post already in GoHighLevel Social Planner
+async function updateSocialPost(locationId, ghlPostId, postData, accessToken, axios) {
+  try {
+    console.log(`✏️ Updating social post ${ghlPostId} for location: ${locationId}`);
+
+    const response = await axios.put(
+      `${GHL_API_BASE}/social-media-posting/${locationId}/posts/${ghlPostId}`,
+      {
+        accountId: postData.accountId,
+        content: postData.content,
+        media: postData.media || [],
+        callToAction: postData.callToAction,
+        scheduledAt: postData.scheduledAt,
+        ...(postData.gmbPostDetails && { gmbPostDetails: postData.gmbPostDetails })
+      },
+      {
+        headers: ghlHeaders(accessToken)
+      }
+    );
+
+    console.log(`✅ Social post ${ghlPostId} updated`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Error updating social post:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+// Delete a post from GoHighLevel Social Planner (and the Business Profile if it went live)
+// A post GoHighLevel no longer has counts as deleted
+async function deleteSocialPost(locationId, ghlPostId, accessToken, axios) {
+  try {
+    await axios.delete(
+      `${GHL_API_BASE}/social-media-posting/${locationId}/posts/${ghlPostId}`,
+      {
+        headers: ghlHeaders(accessToken)
+      }
+    );
+    console.log(`🗑️ Social post ${ghlPostId} deleted from location: ${locationId}`);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      console.log(`ℹ️ Social post ${ghlPostId} was already gone from GoHighLevel`);
+      return;
+    }
+    console.error('❌ Error deleting social post:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+// Social Planner fields for a stored post, shared by publishing and editing
+// Offers link to their redeem URL instead of a call-to-action button;
+// posts created before CTA selection existed fall back to Learn More → website
+function toGHLSocialPost(post, accountId, businessInfo, scheduledAt = null) {
+  const callToAction = post.post_type === 'offer' ? undefined : toGHLCallToAction(post) || {
+    actionType: 'LEARN_MORE',
+    text: 'Learn More',
+    url: businessInfo.websiteUrl || businessInfo.website || ''
+  };
+
+  return {
+    accountId,
+    content: post.content,
+    media: post.image_url ? [{ url: post.image_url, type: 'image/jpeg' }] : [],
+    callToAction,
+    scheduledAt,
+    gmbPostDetails: toGHLPostDetails(post)
+  };
+}
+
+// Lint rules generateGBPContent asks the model to fix before returning
+const STYLE_RULE_CHECKS = ['banned_phrase', 'required_phrase', 'hashtag_policy', 'emoji_limit'];
+
+// Generate GBP-optimized content within the length limits for its post type (see gbp-length.js)
+// Returns { content, lengthReport, generation: { provider, model, fallback }, generationLog }
+// `generationLog` has one entry per model call (the first draft and any rewrites) for recordGenerations
+// `textGenerator` is the provider chain from text-providers.js; if every provider fails this throws
+// `postDetails` carries the post type and its event/offer fields (see gbp-post-types.js)
+// `style` optionally sets the angle and tone, for generating several variants of one post (see gbp-variants.js)
+// The client's style rules go into the prompt and are checked again once the text comes back (see gbp-style-rules.js)
+async function generateGBPContent(topic, businessInfo, textGenerator, postDetails = null, style = null) {
   try {
     console.log(`🤖 Generating GBP content for topic: "${topic}"`);
     console.log(`📊 Business info received:`, JSON.stringify(businessInfo, null, 2));
@@ -106,73 +247,68 @@ async function generateGBPContent(topic, businessInfo, ai) {
     }
     
     console.log(`✅ Business info validation passed: ${businessInfo.name} - ${businessInfo.industry}`);
+
+    const limits = getLengthLimits(postDetails?.post_type);
     
     const prompt = `Create a Google Business Profile post for ${businessInfo.name} about "${topic}".
 
 REQUIREMENTS:
-- 200-400 characters maximum
+- ${limits.min}-${limits.max} characters (count carefully; longer posts get cut off)
 - Local business focus
 - Engaging and conversational tone
 - Include a clear value proposition
 - End with a compelling call-to-action
-- Avoid AI-sounding language like "comprehensive," "cutting-edge," "seamless"
-
+- Avoid AI-sounding language like ${AI_CLICHES.slice(0, 8).map(phrase => `"${phrase}"`).join(', ')}
+- No phone numbers, web addresses or ALL-CAPS words in the text
+${style ? `- Angle and tone for this version: ${style}\n` : ''}${postDetails?.cta_text ? `- The post shows a "${postDetails.cta_text}" button; the closing call-to-action should lead into it\n` : ''}${businessInfo.serviceArea || businessInfo.address ? '- Mention the city or service area naturally so it reads as written for this specific location\n' : ''}
 BUSINESS CONTEXT:
 - Name: ${businessInfo.name}
 - Industry: ${businessInfo.industry}
 - Location: ${businessInfo.location || 'Local area'}
-- Brand Voice: ${businessInfo.brandVoice || 'Professional and friendly'}
-
+${businessInfo.address ? `- Address: ${businessInfo.address}\n` : ''}${businessInfo.serviceArea ? `- Service Area: ${businessInfo.serviceArea}\n` : ''}- Brand Voice: ${businessInfo.brandVoice || 'Professional and friendly'}
+${describeStyleRulesForPrompt(businessInfo)}
 TOPIC: ${topic}
+${describePostTypeForPrompt(postDetails)}
 
 Create a natural, engaging post that sounds like it was written by a real person, not AI. Focus on local relevance and community engagement.`;
 
-    // 1) Try structured call
-    let content = '';
-    try {
-      const result = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: [
-          { role: "user", parts: [{ text: prompt }] }
-        ]
-      });
-      if (typeof result?.text === 'function') {
-        content = (result.text() || '').trim();
-      } else if (typeof result?.response?.text === 'function') {
-        content = (result.response.text() || '').trim();
-      }
-    } catch (e1) {
-      console.warn('⚠️ Structured Gemini call failed, will try simple call:', e1?.message);
-    }
+    const generationLog = [];
+    const generate = async (purpose, text) => {
+      const result = await textGenerator.generate(text);
+      generationLog.push({ purpose, ...result });
+      return result;
+    };
 
-    // 2) Fallback to simple call signature if needed
-    if (!content) {
+    const generated = await generate('draft', prompt);
+    let content = generated.text;
+    const generation = { provider: generated.provider, model: generated.model, fallback: generated.fallback };
+    
+    // Rewrites go back through the providers; overlong text is trimmed only as a last resort
+    const rewriteFor = (purpose) => async (current, instruction) => {
+      const result = await generate(purpose, `${instruction}\n\nKeep the facts, the tone and the closing call-to-action. Respond with the post text only.\n\nPOST:\n${current}`);
+      return result.text;
+    };
+
+    // The model doesn't always follow the client's rules, so give it one chance to fix them
+    const ruleProblems = lintGBPContent(content, businessInfo).findings
+      .filter(f => STYLE_RULE_CHECKS.includes(f.rule));
+    if (ruleProblems.length > 0) {
+      console.log(`📐 Generated post breaks the client's style rules (${ruleProblems.map(f => f.rule).join(', ')}), asking for a rewrite`);
+      const problems = ruleProblems
+        .map(f => `- ${f.message}${f.matches.length > 0 ? `: ${f.matches.join(', ')}` : ''}`)
+        .join('\n');
       try {
-        const resultSimple = await ai.models.generateContent(prompt);
-        if (typeof resultSimple?.text === 'function') {
-          content = (resultSimple.text() || '').trim();
-        } else if (typeof resultSimple?.response?.text === 'function') {
-          content = (resultSimple.response.text() || '').trim();
-        }
-      } catch (e2) {
-        console.warn('⚠️ Simple Gemini call failed:', e2?.message);
+        content = (await rewriteFor('style_rewrite')(content, `Rewrite this post so it follows the client's rules.\n${describeStyleRulesForPrompt(businessInfo)}\nPROBLEMS:\n${problems}`)) || content;
+      } catch (error) {
+        console.warn('⚠️ Style rule rewrite failed:', error.message);
       }
     }
 
-    // 3) If still empty, supply a safe draft to avoid 500s
-    if (!content) {
-      console.warn('⚠️ Gemini returned empty content. Using safe draft fallback.');
-      content = `${businessInfo.name} — ${topic}. We offer trusted, local service with a friendly team ready to help. Call today to get started!`;
-    }
-    
-    // Validate character count
-    if (content.length > 400) {
-      console.warn(`⚠️ Content too long (${content.length} chars), truncating...`);
-      return content.substring(0, 397) + '...';
-    }
+    const enforced = await enforceLength(content, limits, rewriteFor('length_rewrite'));
+    enforced.content = applyPreferredSpellings(enforced.content, businessInfo.styleRules);
     
-    console.log(`✅ Generated GBP content (${content.length} chars): ${content.substring(0, 100)}...`);
-    return content;
+    console.log(`✅ Generated GBP content with ${generation.provider} (${generation.model}, ${enforced.content.length} chars): ${enforced.content.substring(0, 100)}...`);
+    return { ...enforced, generation, generationLog };
   } catch (error) {
     console.error('❌ Error generating GBP content:', error.message);
     throw error;
@@ -252,16 +388,106 @@ function createTestEndpoint(app, pool, ai, openai, axios) {
   });
 }
 
+// Publish a stored GBP post through the client's active GoHighLevel sub-account
+// Returns { posted: false, reason } when there is nowhere to publish to
+async function publishGBPPostToGHL(dbClient, post, businessInfo, axios) {
+  // Campaign posts belong to one location; single posts use the most recent active sub-account
+  const subRes = post.location_id
+    ? await dbClient.query(
+        `SELECT location_id, gbp_account_id FROM ghl_sub_accounts 
+         WHERE client_id = $1 AND location_id = $2 AND is_active = true`,
+        [post.client_id, post.location_id]
+      )
+    : await dbClient.query(
+        `SELECT location_id, gbp_account_id FROM ghl_sub_accounts 
+         WHERE client_id = $1 AND is_active = true 
+         ORDER BY created_at DESC LIMIT 1`,
+        [post.client_id]
+      );
+
+  if (subRes.rows.length === 0) {
+    console.log('ℹ️ No active GoHighLevel sub-account found. Skipping live post.');
+    return { posted: false, reason: 'No active GoHighLevel sub-account found for this client' };
+  }
+
+  // Last line of defence: drafts are linted on approval, but never publish content Google would reject
+  const lint = lintGBPContent(post.content, businessInfo);
+  if (!lint.passed) {
+    const problems = lint.findings.filter(f => f.severity === 'error').map(f => f.message).join('; ');
+    console.log(`🚫 GBP post ${post.id} failed content lint. Refusing to publish.`);
+    return { posted: false, reason: `Content lint failed: ${problems}` };
+  }
+
+  // Only ever publish to the Google Business Profile account explicitly chosen for this location
+  const { location_id: locationId, gbp_account_id: accountId } = subRes.rows[0];
+  if (!accountId) {
+    console.log(`ℹ️ No Google Business Profile account selected for location ${locationId}. Refusing to publish.`);
+    return { posted: false, reason: 'No Google Business Profile account selected for this client — choose one under Connected GoHighLevel Sub-Accounts' };
+  }
+
+  const accessToken = await getGHLAccessToken(post.client_id, dbClient, axios, locationId);
+  console.log('🔗 Using GHL location:', locationId);
+  console.log('📝 Posting to GHL account:', accountId);
+
+  const created = await createSocialPost(
+    locationId,
+    toGHLSocialPost(post, accountId, businessInfo),
+    accessToken,
+    axios
+  );
+
+  // Best-effort extraction of IDs
+  const ghlPostId = created?.id || created?.postId || created?.post?.id || null;
+  const ghlAccountId = accountId || null;
+  const scheduledAt = created?.scheduledAt || null;
+
+  // Without an id the post can't be checked, updated or deleted later, and it may or may not exist.
+  // Report it as not posted; callers must not retry it blindly, since that could publish it twice
+  if (!ghlPostId) {
+    console.warn(`⚠️ GoHighLevel returned no post id for GBP post ${post.id}:`, JSON.stringify(created));
+    return {
+      posted: false,
+      unconfirmed: true,
+      reason: 'GoHighLevel did not return a post id — check its Social Planner before publishing again, the post may already be there'
+    };
+  }
+
+  const status = scheduledAt ? 'scheduled' : 'published';
+
+  // Update stored post metadata
+  await dbClient.query(
+    `UPDATE gbp_posts 
+     SET status = $1, ghl_post_id = $2, ghl_account_id = $3, published_at = COALESCE($4, published_at),
+         version = version + 1
+     WHERE id = $5`,
+    [status, ghlPostId, ghlAccountId, scheduledAt ? new Date(scheduledAt) : new Date(), post.id]
+  );
+
+  return { posted: true, ghlPostId, ghlAccountId, scheduledAt, status };
+}
+
 // Phase 1: Simplified GBP Post Creation (Content Only)
-function createGBPPostEndpoint(app, pool, ai, openai, axios) {
+function createGBPPostEndpoint(app, pool, ai, openai, axios, imageStorage, textGenerator) {
   app.post('/api/gbp/create-post', async (req, res) => {
     try {
-      const { clientId, topic } = req.body;
+      const { clientId, topic, scheduledAt: requestedScheduledAt, generateImage, allowDuplicate } = req.body;
       
       if (!clientId || !topic) {
         return res.status(400).json({ error: 'Client ID and topic are required' });
       }
 
+      const postType = parsePostTypeFields(req.body);
+      if (postType.error) {
+        return res.status(400).json({ error: postType.error });
+      }
+
+      // The requested time is kept on the draft and only takes effect once the post is approved
+      const scheduleDate = requestedScheduledAt ? new Date(requestedScheduledAt) : null;
+      if (scheduleDate && isNaN(scheduleDate.getTime())) {
+        return res.status(400).json({ error: 'scheduledAt must be a valid date' });
+      }
+      const isFutureDated = !!scheduleDate && scheduleDate.getTime() > Date.now();
+
       console.log(`🚀 Phase 1: Creating GBP content for client: ${clientId}, topic: "${topic}"`);
 
       // Get client information
@@ -287,121 +513,111 @@ function createGBPPostEndpoint(app, pool, ai, openai, axios) {
       console.log(`🤖 Generating GBP content...`);
       console.log(`📊 businessInfo before generation:`, JSON.stringify(businessInfo, null, 2));
       console.log(`📊 topic:`, topic);
-      console.log(`📊 ai object:`, ai ? 'exists' : 'null/undefined');
+      console.log(`📊 text providers:`, textGenerator ? textGenerator.providers.map(p => p.name).join(', ') : 'null/undefined');
       
-      const content = await generateGBPContent(topic, businessInfo, ai);
+      const callToAction = parseCallToAction(req.body, businessInfo, postType.fields.post_type);
+      if (callToAction.error) {
+        return res.status(400).json({ error: callToAction.error });
+      }
+
+      // Stop before spending a Gemini call on a topic the client has already covered
+      if (!(await passesTopicCheck(pool, clientId, topic, ai, allowDuplicate, res))) {
+        return;
+      }
+
+      const { content, lengthReport, generation, generationLog } = await generateGBPContent(topic, businessInfo, textGenerator, { ...postType.fields, ...callToAction.fields });
       console.log(`✅ Content generated:`, content ? `${content.substring(0, 100)}...` : 'null/undefined');
 
+      // Optional image: generate with DALL·E, then copy it to durable storage before the URL expires
+      let storedImage = null;
+      if (generateImage) {
+        const generated = await generateGBPImage(content, businessInfo, openai);
+        if (generated?.url && imageStorage) {
+          try {
+            storedImage = await persistGBPImage(generated.url, clientId, imageStorage, axios);
+          } catch (imageError) {
+            console.error('❌ Error storing GBP image, continuing without it:', imageError.message);
+          }
+        }
+      }
+
       // Save to database (simple version)
       const dbClient = await pool.connect();
+      let savedPost = null;
       try {
         const result = await dbClient.query(
-          `INSERT INTO gbp_posts (client_id, content, status, created_at)
-           VALUES ($1, $2, $3, $4)
+          `INSERT INTO gbp_posts (client_id, content, status, scheduled_at, image_url, image_storage_key, created_at,
+                                  post_type, title, start_at, end_at, coupon_code, redeem_url, terms,
+                                  cta_type, cta_text, more_info_url, topic, ai_provider, ai_model)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
            RETURNING *`,
           [
             clientId,
             content,
-            'draft', // Phase 1: Just save as draft
-            new Date()
+            'draft', // Publishing happens via the approval workflow
+            isFutureDated ? scheduleDate : null,
+            storedImage?.url || null,
+            storedImage?.key || null,
+            new Date(),
+            postType.fields.post_type,
+            postType.fields.title,
+            postType.fields.start_at,
+            postType.fields.end_at,
+            postType.fields.coupon_code,
+            postType.fields.redeem_url,
+            postType.fields.terms,
+            callToAction.fields.cta_type,
+            callToAction.fields.cta_text,
+            callToAction.fields.more_info_url,
+            topic,
+            generation.provider,
+            generation.model
           ]
         );
 
-        const savedPost = result.rows[0];
+        savedPost = result.rows[0];
         console.log(`✅ GBP post saved to database: ${savedPost.id}`);
-        
-        // Attempt live posting via GoHighLevel if sub-account is configured
-        let posted = false;
-        let ghlPostId = null;
-        let ghlAccountId = null;
-        let scheduledAt = null;
-        let postStatus = savedPost.status;
-        let postMessage = '✅ GBP content generated and saved successfully!';
-
-        try {
-          // Find active sub-account
-          const subRes = await dbClient.query(
-            `SELECT location_id, access_token FROM ghl_sub_accounts 
-             WHERE client_id = $1 AND is_active = true 
-             ORDER BY created_at DESC LIMIT 1`,
-            [clientId]
-          );
-
-          if (subRes.rows.length === 0) {
-            console.log('ℹ️ No active GoHighLevel sub-account found. Skipping live post.');
-          } else {
-            const { location_id: locationId, access_token: accessToken } = subRes.rows[0];
-            console.log('🔗 Using GHL location:', locationId);
-
-            // Get connected accounts and select Google Business Profile
-            const accounts = await getConnectedAccounts(locationId, accessToken, axios);
-            let gbpAccount = null;
-            if (Array.isArray(accounts)) {
-              gbpAccount = accounts.find(a => {
-                const s = JSON.stringify(a).toLowerCase();
-                return s.includes('google');
-              }) || accounts[0] || null;
-            }
-
-            if (!gbpAccount) {
-              console.log('ℹ️ No connected social accounts available. Skipping live post.');
-            } else {
-              const accountId = gbpAccount.id || gbpAccount.accountId || gbpAccount.account_id;
-              console.log('📝 Posting to GHL account:', accountId);
-
-              const callToAction = {
-                text: 'Learn More',
-                url: businessInfo.websiteUrl || businessInfo.website || ''
-              };
-
-              const created = await createSocialPost(
-                locationId,
-                {
-                  accountId,
-                  content,
-                  media: [],
-                  callToAction,
-                  scheduledAt: null
-                },
-                accessToken,
-                axios
-              );
-
-              // Best-effort extraction of IDs
-              ghlPostId = created?.id || created?.postId || created?.post?.id || null;
-              ghlAccountId = accountId || null;
-              scheduledAt = created?.scheduledAt || null;
-              posted = !!ghlPostId || !!created;
-              postStatus = scheduledAt ? 'scheduled' : (posted ? 'published' : postStatus);
-              postMessage = posted ? '🎉 Posted to GoHighLevel successfully' : postMessage;
-
-              // Update stored post metadata
-              await dbClient.query(
-                `UPDATE gbp_posts 
-                 SET status = $1, ghl_post_id = $2, ghl_account_id = $3, published_at = COALESCE($4, published_at)
-                 WHERE id = $5`,
-                [postStatus, ghlPostId, ghlAccountId, scheduledAt ? new Date(scheduledAt) : new Date(), savedPost.id]
-              );
-            }
-          }
-        } catch (ghlError) {
-          console.log('⚠️ Skipping live post due to error:', ghlError.message);
-        }
+        await recordUsedTopic(dbClient, clientId, topic, savedPost.id);
+        await recordGenerations(dbClient, { postId: savedPost.id, clientId }, generationLog);
+        const lint = await refreshPostLint(dbClient, savedPost);
 
         res.json({
           success: true,
-          posted,
-          ghlPostId,
-          accountId: ghlAccountId,
-          scheduledAt,
+          posted: false,
+          ghlPostId: null,
+          accountId: null,
+          scheduledAt: savedPost.scheduled_at,
+          lengthReport,
+          lint,
+          generation,
           post: {
             id: savedPost.id,
             content: savedPost.content,
-            status: postStatus,
+            status: savedPost.status,
+            image_url: savedPost.image_url,
+            scheduled_at: savedPost.scheduled_at,
+            post_type: savedPost.post_type,
+            title: savedPost.title,
+            start_at: savedPost.start_at,
+            end_at: savedPost.end_at,
+            coupon_code: savedPost.coupon_code,
+            redeem_url: savedPost.redeem_url,
+            terms: savedPost.terms,
+            cta_type: savedPost.cta_type,
+            cta_text: savedPost.cta_text,
+            more_info_url: savedPost.more_info_url,
+            ai_provider: savedPost.ai_provider,
+            ai_model: savedPost.ai_model,
             created_at: savedPost.created_at
           },
-          message: postMessage
+          message: generateImage && !storedImage
+            ? '✅ Draft generated (image generation failed) — review and approve it to publish'
+            : '✅ Draft generated — review and approve it to publish'
         });
+      } catch (saveError) {
+        // The image was stored before the post; don't leave it behind if the post never made it
+        if (!savedPost) await removeStoredImage(dbClient, imageStorage, storedImage?.key);
+        throw saveError;
       } finally {
         dbClient.release();
       }
@@ -416,22 +632,71 @@ function createGBPPostEndpoint(app, pool, ai, openai, axios) {
   });
 }
 
-// API Endpoint: Get GBP Posts for a client
+// Text searched by ?q= on the posts route; server.js indexes this exact expression
+const POST_SEARCH_VECTOR = `to_tsvector('english', COALESCE(topic, '') || ' ' || content)`;
+
+// Build the WHERE clause for the posts route's filters
+// Returns { error } or { where, params }
+function buildPostFilters(clientId, query) {
+  const conditions = ['client_id = $1'];
+  const params = [clientId];
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) add(`${POST_SEARCH_VECTOR} @@ websearch_to_tsquery('english', ?)`, q);
+
+  // Comma-separated, e.g. ?status=published,scheduled
+  const statuses = String(query.status || '').split(',').map(status => status.trim()).filter(Boolean);
+  if (statuses.length > 0) add('status = ANY(?)', statuses);
+
+  // Posts from before post types existed are plain updates
+  if (query.postType) add(`COALESCE(post_type, 'update') = ?`, query.postType);
+
+  // Dates match the day a post goes (or went) live, like the calendar
+  for (const [key, operator] of [['from', '>='], ['to', '<']]) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+    add(`COALESCE(published_at, scheduled_at, created_at) ${operator} ?`, date);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+// API Endpoint: Get GBP Posts for a client, newest first
+// Optional filters: ?q= (full-text search over content and topic), ?status=, ?postType=, ?from=, ?to=
+// Pass ?limit= (max 100) and ?offset= to page through the results; without a limit every match is returned
 function getGBPPostsEndpoint(app, pool) {
   app.get('/api/gbp/posts/:clientId', async (req, res) => {
     try {
       const { clientId } = req.params;
+      const filters = buildPostFilters(clientId, req.query);
+      if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+      }
+
+      const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100) : null;
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
       
       const client = await pool.connect();
       try {
         const result = await client.query(
-          'SELECT * FROM gbp_posts WHERE client_id = $1 ORDER BY created_at DESC',
-          [clientId]
+          `SELECT * FROM gbp_posts WHERE ${filters.where}
+           ORDER BY created_at DESC, id DESC
+           LIMIT $${filters.params.length + 1} OFFSET $${filters.params.length + 2}`,
+          [...filters.params, limit, offset]
         );
+        const total = limit === null
+          ? result.rows.length + offset
+          : (await client.query(`SELECT COUNT(*)::int AS count FROM gbp_posts WHERE ${filters.where}`, filters.params)).rows[0].count;
         
         res.json({
           success: true,
-          posts: result.rows
+          posts: result.rows,
+          total
         });
       } finally {
         client.release();
@@ -446,6 +711,87 @@ function getGBPPostsEndpoint(app, pool) {
   });
 }
 
+// Statuses whose scheduled_at may still be moved
+const RESCHEDULABLE_STATUSES = ['draft', 'pending_approval', 'approved', 'rejected', 'scheduled', 'failed'];
+
+// Statuses that have passed approval and go back to the scheduler queue when moved
+const APPROVED_STATUSES = ['approved', 'scheduled', 'failed'];
+
+// API Endpoint: Reschedule a GBP post (used by the content calendar)
+function rescheduleGBPPostEndpoint(app, pool) {
+  app.put('/api/gbp/posts/:postId/schedule', async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { scheduledAt } = req.body;
+
+      const scheduleDate = scheduledAt ? new Date(scheduledAt) : null;
+      if (!scheduleDate || isNaN(scheduleDate.getTime())) {
+        return res.status(400).json({ error: 'A valid scheduledAt is required' });
+      }
+      const version = Number(req.body.version);
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({ error: 'The post version the change was made against is required' });
+      }
+      if (scheduleDate.getTime() <= Date.now()) {
+        return res.status(400).json({ error: 'scheduledAt must be in the future' });
+      }
+
+      const client = await pool.connect();
+      try {
+        const existing = await client.query('SELECT * FROM gbp_posts WHERE id = $1', [postId]);
+        if (existing.rows.length === 0) {
+          return res.status(404).json({ error: 'GBP post not found' });
+        }
+
+        const post = existing.rows[0];
+        if (!RESCHEDULABLE_STATUSES.includes(post.status) || post.ghl_post_id) {
+          return res.status(409).json({
+            error: 'Post can no longer be rescheduled',
+            details: `Posts with status "${post.status}" have already been sent to GoHighLevel`
+          });
+        }
+
+        // Approved posts are re-queued for the scheduler with a fresh retry budget;
+        // unapproved ones just get a new planned date
+        const status = APPROVED_STATUSES.includes(post.status) ? 'scheduled' : post.status;
+        // Only if nothing changed since the read: the scheduler may have claimed the post meanwhile
+        const result = await client.query(
+          `UPDATE gbp_posts
+           SET scheduled_at = $1, status = $2, attempts = 0, last_error = NULL, next_attempt_at = NULL,
+               version = version + 1
+           WHERE id = $3 AND status = $4 AND ghl_post_id IS NULL AND version = $5
+           RETURNING *`,
+          [scheduleDate, status, postId, post.status, version]
+        );
+        if (result.rows.length === 0) {
+          const current = await client.query('SELECT * FROM gbp_posts WHERE id = $1', [postId]);
+          return res.status(409).json({
+            error: 'VERSION_CONFLICT',
+            message: 'This post was changed (or started publishing) since it was loaded. Reload it and try again.',
+            post: current.rows[0]
+          });
+        }
+
+        console.log(`📅 GBP post ${postId} rescheduled to ${scheduleDate.toISOString()}`);
+
+        res.json({
+          success: true,
+          post: result.rows[0],
+          message: `📅 Post rescheduled for ${scheduleDate.toLocaleString()}`
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('❌ Error rescheduling GBP post:', error);
+      res.status(500).json({ 
+        error: 'Failed to reschedule GBP post', 
+        details: error.message 
+      });
+    }
+  });
+}
+
 // API Endpoint: Manage GoHighLevel Sub-Accounts
 function manageGHLSubAccountsEndpoint(app, pool) {
   app.post('/api/ghl/sub-accounts', async (req, res) => {
@@ -465,17 +811,20 @@ function manageGHLSubAccountsEndpoint(app, pool) {
            DO UPDATE SET 
              sub_account_name = EXCLUDED.sub_account_name,
              access_token = EXCLUDED.access_token,
+             refresh_token = NULL,
+             token_expires_at = NULL,
+             connected_via = 'manual',
              is_active = true,
              created_at = CURRENT_TIMESTAMP
            RETURNING *`,
-          [clientId, locationId, subAccountName, accessToken]
+          [clientId, locationId, subAccountName, encryptSecret(accessToken)]
         );
 
         console.log(`✅ GHL sub-account saved: ${result.rows[0].id}`);
 
         res.json({
           success: true,
-          subAccount: result.rows[0],
+          subAccount: toPublicSubAccount(result.rows[0]),
           message: '🎉 GoHighLevel sub-account configured successfully!'
         });
 
@@ -492,6 +841,133 @@ function manageGHLSubAccountsEndpoint(app, pool) {
   });
 }
 
+// API Endpoint: List a location's live Social Planner accounts and the selected GBP account
+function getGHLConnectedAccountsEndpoint(app, pool, axios) {
+  app.get('/api/ghl/sub-accounts/:clientId/:locationId/accounts', async (req, res) => {
+    try {
+      const { clientId, locationId } = req.params;
+
+      const subResult = await pool.query(
+        'SELECT gbp_account_id FROM ghl_sub_accounts WHERE client_id = $1 AND location_id = $2',
+        [clientId, locationId]
+      );
+      if (subResult.rows.length === 0) {
+        return res.status(404).json({ error: 'GoHighLevel sub-account not found' });
+      }
+
+      const accessToken = await getGHLAccessToken(clientId, pool, axios, locationId);
+      const accounts = await getConnectedAccounts(locationId, accessToken, axios);
+
+      res.json({
+        success: true,
+        selectedAccountId: subResult.rows[0].gbp_account_id,
+        accounts: (accounts || []).map(account => ({
+          id: account.id || account.accountId || account.account_id,
+          name: account.name || account.accountName || null,
+          platform: account.platform || account.type || null,
+          isGoogleBusinessProfile: isGoogleBusinessProfileAccount(account)
+        }))
+      });
+    } catch (error) {
+      console.error('❌ Error listing GHL connected accounts:', error.response?.data || error.message);
+      res.status(502).json({ 
+        error: 'Failed to list connected accounts', 
+        details: error.response?.data?.message || error.message 
+      });
+    }
+  });
+}
+
+// API Endpoint: Choose which connected account GBP posts for a location are published to
+function selectGBPAccountEndpoint(app, pool, axios) {
+  app.put('/api/ghl/sub-accounts/:clientId/:locationId/gbp-account', async (req, res) => {
+    try {
+      const { clientId, locationId } = req.params;
+      const { accountId } = req.body;
+
+      const subResult = await pool.query(
+        'SELECT id FROM ghl_sub_accounts WHERE client_id = $1 AND location_id = $2',
+        [clientId, locationId]
+      );
+      if (subResult.rows.length === 0) {
+        return res.status(404).json({ error: 'GoHighLevel sub-account not found' });
+      }
+
+      let account = null;
+      if (accountId) {
+        // Validate against the live list so a stale or mistyped ID can't be saved
+        const accessToken = await getGHLAccessToken(clientId, pool, axios, locationId);
+        const accounts = await getConnectedAccounts(locationId, accessToken, axios);
+        account = (accounts || []).find(a => (a.id || a.accountId || a.account_id) === accountId);
+
+        if (!account) {
+          return res.status(400).json({ error: 'Account is not connected to this GoHighLevel location' });
+        }
+        if (!isGoogleBusinessProfileAccount(account)) {
+          return res.status(400).json({ error: `Account is a ${account.platform || 'non-Google'} account, not a Google Business Profile` });
+        }
+      }
+
+      const result = await pool.query(
+        `UPDATE ghl_sub_accounts
+         SET gbp_account_id = $1, gbp_account_name = $2, updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [accountId || null, account ? (account.name || account.accountName || null) : null, subResult.rows[0].id]
+      );
+
+      console.log(`✅ GBP account for ${clientId}/${locationId} set to: ${accountId || 'none'}`);
+
+      res.json({
+        success: true,
+        subAccount: toPublicSubAccount(result.rows[0]),
+        message: accountId ? '✅ Google Business Profile account selected' : 'Google Business Profile account cleared'
+      });
+    } catch (error) {
+      console.error('❌ Error selecting GBP account:', error.response?.data || error.message);
+      res.status(500).json({ 
+        error: 'Failed to select Google Business Profile account', 
+        details: error.response?.data?.message || error.message 
+      });
+    }
+  });
+}
+
+// API Endpoint: Set the city, address and service area used to localize a location's posts
+function updateGHLLocationDetailsEndpoint(app, pool) {
+  app.put('/api/ghl/sub-accounts/:clientId/:locationId/details', async (req, res) => {
+    try {
+      const { clientId, locationId } = req.params;
+      const { city, address, serviceArea } = req.body;
+
+      const result = await pool.query(
+        `UPDATE ghl_sub_accounts
+         SET location_city = $1, location_address = $2, service_area = $3, updated_at = NOW()
+         WHERE client_id = $4 AND location_id = $5
+         RETURNING *`,
+        [city || null, address || null, serviceArea || null, clientId, locationId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'GoHighLevel sub-account not found' });
+      }
+
+      console.log(`✅ Location details updated for ${clientId}/${locationId}`);
+
+      res.json({
+        success: true,
+        subAccount: toPublicSubAccount(result.rows[0]),
+        message: '✅ Location details saved'
+      });
+    } catch (error) {
+      console.error('❌ Error updating location details:', error);
+      res.status(500).json({ 
+        error: 'Failed to update location details', 
+        details: error.message 
+      });
+    }
+  });
+}
+
 // API Endpoint: Get GoHighLevel Sub-Accounts for a client
 function getGHLSubAccountsEndpoint(app, pool) {
   app.get('/api/ghl/sub-accounts/:clientId', async (req, res) => {
@@ -507,7 +983,7 @@ function getGHLSubAccountsEndpoint(app, pool) {
         
         res.json({
           success: true,
-          subAccounts: result.rows
+          subAccounts: result.rows.map(toPublicSubAccount)
         });
       } finally {
         client.release();
@@ -522,8 +998,48 @@ function getGHLSubAccountsEndpoint(app, pool) {
   });
 }
 
+// Read the scopes granted to a token: stored for OAuth connections, embedded in the JWT otherwise
+function getTokenScopes(subAccount, accessToken) {
+  if (subAccount.scope) {
+    return subAccount.scope.split(/\s+/).filter(Boolean);
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString('utf8'));
+    const scopes = payload?.oauthMeta?.scopes || payload?.scopes || payload?.scope;
+    if (Array.isArray(scopes)) return scopes;
+    if (typeof scopes === 'string') return scopes.split(/\s+/).filter(Boolean);
+  } catch (decodeError) {
+    // Not a JWT; scopes are unknown
+  }
+  return null;
+}
+
+// Translate a failed GoHighLevel API call into an actionable diagnostic code
+function diagnoseGHLError(error, step) {
+  const status = error.response?.status;
+  const apiMessage = error.response?.data?.message || error.message;
+
+  if (status === 401) {
+    return { code: 'TOKEN_INVALID', message: `GoHighLevel rejected the access token (${step})`, suggestion: 'Reconnect GoHighLevel via OAuth or paste a fresh access token.' };
+  }
+  if (status === 403) {
+    return { code: 'INSUFFICIENT_SCOPE', message: `Token is not allowed to ${step}: ${apiMessage}`, suggestion: 'Reconnect with the locations.readonly and socialplanner scopes granted.' };
+  }
+  if (status === 404) {
+    return { code: 'LOCATION_NOT_FOUND', message: `Location not found while trying to ${step}`, suggestion: 'Check the Location ID in GoHighLevel under Settings → Business Profile.' };
+  }
+  if (status === 429) {
+    return { code: 'RATE_LIMITED', message: 'GoHighLevel rate limit reached', suggestion: 'Wait a minute and run the test again.' };
+  }
+  if (!error.response) {
+    return { code: 'NETWORK_ERROR', message: `Could not reach GoHighLevel: ${error.message}`, suggestion: 'Check the backend has outbound network access and try again.' };
+  }
+  return { code: 'GHL_API_ERROR', message: `GoHighLevel returned ${status} while trying to ${step}: ${apiMessage}`, suggestion: 'Try again later; contact GoHighLevel support if it persists.' };
+}
+
 // Test GoHighLevel connection endpoint
-export function testGHLConnectionEndpoint(app, pool) {
+// Returns a structured diagnostic; a failed check is reported with success: false rather than an HTTP error
+export function testGHLConnectionEndpoint(app, pool, axios) {
   app.post('/api/ghl/test-connection', async (req, res) => {
     const { clientId, locationId } = req.body;
     
@@ -534,36 +1050,132 @@ export function testGHLConnectionEndpoint(app, pool) {
       });
     }
     
+    const checks = [];
+    const errors = [];
+    const diagnostic = {
+      location: { id: locationId, name: null },
+      token: { valid: false, source: null, expiresAt: null, masked: null },
+      scopes: null,
+      missingScopes: [],
+      connectedAccounts: [],
+      googleBusinessProfileAccounts: []
+    };
+
+    const fail = (name, problem) => {
+      checks.push({ name, status: 'fail', code: problem.code, message: problem.message });
+      errors.push(problem);
+    };
+
+    const respond = () => {
+      const success = errors.length === 0;
+      res.json({
+        success,
+        ...diagnostic,
+        checks,
+        errors,
+        error: success ? undefined : errors[0].message,
+        suggestions: errors.map(e => e.suggestion).filter(Boolean),
+        message: success
+          ? `GoHighLevel connection OK — ${diagnostic.googleBusinessProfileAccounts.length} Google Business Profile account(s) connected`
+          : 'GoHighLevel connection test found problems'
+      });
+    };
+
     try {
-      // Get client info
-      const client = await pool.connect();
+      const clientResult = await pool.query('SELECT id FROM clients WHERE id = $1', [clientId]);
+      if (clientResult.rows.length === 0) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Client not found' 
+        });
+      }
+
+      // 1) Stored credentials
+      const subResult = await pool.query(
+        'SELECT * FROM ghl_sub_accounts WHERE client_id = $1 AND location_id = $2',
+        [clientId, locationId]
+      );
+      if (subResult.rows.length === 0) {
+        fail('credentials', { code: 'NO_SUB_ACCOUNT', message: 'No GoHighLevel credentials stored for this location', suggestion: 'Connect GoHighLevel for this client from the post creator\'s "Setup GoHighLevel" panel.' });
+        return respond();
+      }
+
+      const subAccount = subResult.rows[0];
+      diagnostic.token.source = subAccount.connected_via || 'manual';
+      if (!subAccount.is_active) {
+        fail('credentials', { code: 'SUB_ACCOUNT_INACTIVE', message: 'The stored GoHighLevel sub-account is inactive', suggestion: 'Reconnect the location to reactivate it.' });
+        return respond();
+      }
+
+      let accessToken;
       try {
-        const clientResult = await client.query('SELECT * FROM clients WHERE id = $1', [clientId]);
-        if (clientResult.rows.length === 0) {
-          return res.status(404).json({ 
-            success: false,
-            error: 'Client not found' 
-          });
+        accessToken = await getGHLAccessToken(clientId, pool, axios, locationId);
+      } catch (tokenError) {
+        const code = /refresh/i.test(tokenError.message) ? 'TOKEN_REFRESH_FAILED' : 'TOKEN_UNREADABLE';
+        fail('credentials', { code, message: tokenError.message, suggestion: 'Reconnect GoHighLevel via OAuth.' });
+        return respond();
+      }
+      checks.push({ name: 'credentials', status: 'pass', message: 'Stored credentials loaded' });
+
+      const refreshedRow = await pool.query('SELECT token_expires_at, scope FROM ghl_sub_accounts WHERE id = $1', [subAccount.id]);
+      diagnostic.token.expiresAt = refreshedRow.rows[0]?.token_expires_at || null;
+      diagnostic.token.masked = maskSecret(accessToken);
+
+      // 2) Scopes
+      diagnostic.scopes = getTokenScopes({ ...subAccount, ...refreshedRow.rows[0] }, accessToken);
+      if (diagnostic.scopes) {
+        diagnostic.missingScopes = REQUIRED_SCOPES.filter(scope => !diagnostic.scopes.includes(scope));
+        if (diagnostic.missingScopes.length > 0) {
+          fail('scopes', { code: 'INSUFFICIENT_SCOPE', message: `Token is missing scopes: ${diagnostic.missingScopes.join(', ')}`, suggestion: 'Reconnect GoHighLevel and approve all requested permissions.' });
+        } else {
+          checks.push({ name: 'scopes', status: 'pass', message: 'All required scopes granted' });
         }
-        
-        const clientData = clientResult.rows[0];
-        
-        // For now, just return success with the location ID
-        // In a real implementation, you would test the actual GHL API connection
-        res.json({
-          success: true,
-          location: {
-            id: locationId,
-            name: `${clientData.name} - Location ${locationId}`
-          },
-          connectedAccounts: [],
-          message: 'GoHighLevel connection test successful (mock response)'
-        });
-        
-      } finally {
-        client.release();
+      } else {
+        checks.push({ name: 'scopes', status: 'warn', message: 'Could not determine token scopes' });
       }
-      
+
+      // 3) Location API
+      try {
+        const location = await getLocation(locationId, accessToken, axios);
+        diagnostic.location.name = location?.name || null;
+        diagnostic.token.valid = true;
+        checks.push({ name: 'location', status: 'pass', message: `Location found: ${location?.name || locationId}` });
+      } catch (locationError) {
+        fail('location', diagnoseGHLError(locationError, 'read the location'));
+      }
+
+      // 4) Social Planner accounts
+      try {
+        const accounts = await getConnectedAccounts(locationId, accessToken, axios);
+        diagnostic.token.valid = true;
+        diagnostic.connectedAccounts = (accounts || []).map(account => ({
+          id: account.id || account.accountId || account.account_id,
+          name: account.name || account.accountName || null,
+          platform: account.platform || account.type || null,
+          isGoogleBusinessProfile: isGoogleBusinessProfileAccount(account)
+        }));
+        diagnostic.googleBusinessProfileAccounts = diagnostic.connectedAccounts.filter(a => a.isGoogleBusinessProfile);
+
+        if (diagnostic.googleBusinessProfileAccounts.length === 0) {
+          fail('google_business_profile', { code: 'NO_GBP_ACCOUNT', message: `No Google Business Profile among ${diagnostic.connectedAccounts.length} connected social account(s)`, suggestion: 'Connect Google Business Profile in GoHighLevel under Marketing → Social Planner → Settings.' });
+        } else {
+          checks.push({ name: 'google_business_profile', status: 'pass', message: `${diagnostic.googleBusinessProfileAccounts.length} Google Business Profile account(s) connected` });
+        }
+
+        // 5) The account posts are actually published to
+        if (!subAccount.gbp_account_id) {
+          fail('selected_account', { code: 'NO_GBP_ACCOUNT_SELECTED', message: 'No Google Business Profile account has been selected for this location', suggestion: 'Choose the Google Business Profile account under Connected GoHighLevel Sub-Accounts; posts are not published until one is selected.' });
+        } else if (!diagnostic.googleBusinessProfileAccounts.some(a => a.id === subAccount.gbp_account_id)) {
+          fail('selected_account', { code: 'GBP_ACCOUNT_DISCONNECTED', message: `Selected account ${subAccount.gbp_account_name || subAccount.gbp_account_id} is no longer connected to this location`, suggestion: 'Reconnect it in GoHighLevel Social Planner or choose a different Google Business Profile account.' });
+        } else {
+          checks.push({ name: 'selected_account', status: 'pass', message: `Publishing to ${subAccount.gbp_account_name || subAccount.gbp_account_id}` });
+        }
+      } catch (accountsError) {
+        fail('social_accounts', diagnoseGHLError(accountsError, 'list Social Planner accounts'));
+      }
+
+      console.log(`🩺 GHL diagnostic for ${clientId}/${locationId}: ${errors.length === 0 ? 'OK' : errors.map(e => e.code).join(', ')}`);
+      respond();
     } catch (error) {
       console.error('❌ GHL connection test failed:', error.message);
       res.status(500).json({ 
@@ -579,12 +1191,24 @@ export function testGHLConnectionEndpoint(app, pool) {
 export {
   getGHLAccessToken,
   getConnectedAccounts,
+  getLocation,
+  isGoogleBusinessProfileAccount,
   createSocialPost,
+  updateSocialPost,
+  deleteSocialPost,
+  toGHLSocialPost,
+  getSocialPost,
+  resolvePostLocation,
+  publishGBPPostToGHL,
   generateGBPContent,
   generateGBPImage,
   createTestEndpoint,
   createGBPPostEndpoint,
   getGBPPostsEndpoint,
+  rescheduleGBPPostEndpoint,
   manageGHLSubAccountsEndpoint,
-  getGHLSubAccountsEndpoint
+  getGHLSubAccountsEndpoint,
+  getGHLConnectedAccountsEndpoint,
+  selectGBPAccountEndpoint,
+  updateGHLLocationDetailsEndpoint
 };
@@ -0,0 +1,280 @@
+// ===== GoHighLevel OAuth 2.0 =====
+// Connects a client's GoHighLevel location through the marketplace OAuth flow and keeps
+// its access token fresh. GoHighLevel rotates refresh tokens: every refresh returns a new
+// refresh token and invalidates the previous one, so the stored pair is always replaced.
+
+import crypto from 'crypto';
+import { encryptSecret, decryptSubAccountTokens } from './token-crypto.js';
+
+const GHL_AUTHORIZE_URL = 'https://marketplace.gohighlevel.com/oauth/chooselocation';
+const GHL_TOKEN_URL = 'https://services.leadconnectorhq.com/oauth/token';
+
+// Scopes postMONKEE needs to read the location and publish through Social Planner
+const REQUIRED_SCOPES = [
+  'locations.readonly',
+  'socialplanner/account.readonly',
+  'socialplanner/post.readonly',
+  'socialplanner/post.write'
+];
+const DEFAULT_SCOPES = REQUIRED_SCOPES.join(' ');
+
+// Refresh tokens this long before they actually expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const STATE_MAX_AGE_MS = 15 * 60 * 1000;
+
+// In-flight refreshes per sub-account, so concurrent callers don't burn the rotating refresh token twice
+const pendingRefreshes = new Map();
+
+function getOAuthConfig() {
+  const clientId = process.env.GOHIGHLEVEL_CLIENT_ID;
+  const clientSecret = process.env.GOHIGHLEVEL_CLIENT_SECRET;
+  const redirectUri = process.env.GOHIGHLEVEL_REDIRECT_URI;
+
+  if (!clientId || !clientSecret || !redirectUri) {
+    throw new Error('GOHIGHLEVEL_CLIENT_ID, GOHIGHLEVEL_CLIENT_SECRET and GOHIGHLEVEL_REDIRECT_URI must be set');
+  }
+
+  return {
+    clientId,
+    clientSecret,
+    redirectUri,
+    scopes: process.env.GOHIGHLEVEL_SCOPES || DEFAULT_SCOPES,
+    frontendUrl: (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')
+  };
+}
+
+// OAuth state is signed rather than stored, so a callback still verifies after a server restart
+function signState(clientId, secret) {
+  const payload = Buffer.from(JSON.stringify({ clientId, issuedAt: Date.now(), nonce: crypto.randomBytes(8).toString('hex') })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+function verifyState(state, secret) {
+  const [payload, signature] = String(state || '').split('.');
+  if (!payload || !signature) {
+    throw new Error('Missing OAuth state');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid OAuth state signature');
+  }
+
+  const { clientId, issuedAt } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (Date.now() - issuedAt > STATE_MAX_AGE_MS) {
+    throw new Error('OAuth state has expired, please try connecting again');
+  }
+  return clientId;
+}
+
+// Exchange an authorization code or refresh token at the GoHighLevel token endpoint
+async function requestGHLToken(params, axios) {
+  const { clientId, clientSecret, redirectUri } = getOAuthConfig();
+  const body = new URLSearchParams({
+    client_id: clientId,
+    client_secret: clientSecret,
+    redirect_uri: redirectUri,
+    user_type: 'Location',
+    ...params
+  });
+
+  const response = await axios.post(GHL_TOKEN_URL, body.toString(), {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    }
+  });
+
+  return response.data;
+}
+
+function tokenExpiry(tokens) {
+  return tokens.expires_in ? new Date(Date.now() + tokens.expires_in * 1000) : null;
+}
+
+// Refresh a sub-account's access token and persist the rotated token pair
+// Expects and returns a row with decrypted tokens
+async function refreshGHLAccessToken(db, subAccount, axios) {
+  if (!subAccount.refresh_token) {
+    throw new Error('This GoHighLevel connection has no refresh token; reconnect it via OAuth');
+  }
+
+  if (pendingRefreshes.has(subAccount.id)) {
+    return pendingRefreshes.get(subAccount.id);
+  }
+
+  const refresh = (async () => {
+    console.log(`🔄 Refreshing GHL access token for location: ${subAccount.location_id}`);
+    try {
+      const tokens = await requestGHLToken({
+        grant_type: 'refresh_token',
+        refresh_token: subAccount.refresh_token
+      }, axios);
+
+      const result = await db.query(
+        `UPDATE ghl_sub_accounts
+         SET access_token = $1, refresh_token = $2, token_expires_at = $3, scope = COALESCE($4, scope), updated_at = NOW()
+         WHERE id = $5
+         RETURNING *`,
+        [
+          encryptSecret(tokens.access_token),
+          encryptSecret(tokens.refresh_token || subAccount.refresh_token),
+          tokenExpiry(tokens),
+          tokens.scope || null,
+          subAccount.id
+        ]
+      );
+
+      console.log(`✅ GHL access token refreshed for location: ${subAccount.location_id}`);
+      return decryptSubAccountTokens(result.rows[0]);
+    } catch (error) {
+      console.error('❌ Error refreshing GHL access token:', error.response?.data || error.message);
+      throw new Error(`GoHighLevel token refresh failed: ${error.response?.data?.error_description || error.message}`);
+    } finally {
+      pendingRefreshes.delete(subAccount.id);
+    }
+  })();
+
+  pendingRefreshes.set(subAccount.id, refresh);
+  return refresh;
+}
+
+// Whether a stored token is expired or about to expire
+function isTokenExpiring(subAccount) {
+  if (!subAccount.token_expires_at) return false;
+  return new Date(subAccount.token_expires_at).getTime() - Date.now() < REFRESH_MARGIN_MS;
+}
+
+// API Endpoint: Start the OAuth flow for a client
+function ghlOAuthAuthorizeEndpoint(app) {
+  app.get('/api/ghl/oauth/authorize', (req, res) => {
+    try {
+      const { clientId } = req.query;
+      if (!clientId) {
+        return res.status(400).json({ error: 'clientId is required' });
+      }
+
+      const config = getOAuthConfig();
+      const url = new URL(GHL_AUTHORIZE_URL);
+      url.searchParams.set('response_type', 'code');
+      url.searchParams.set('client_id', config.clientId);
+      url.searchParams.set('redirect_uri', config.redirectUri);
+      url.searchParams.set('scope', config.scopes);
+      url.searchParams.set('state', signState(clientId, config.clientSecret));
+
+      console.log(`🔐 Starting GHL OAuth for client: ${clientId}`);
+      res.redirect(url.toString());
+    } catch (error) {
+      console.error('❌ Error starting GHL OAuth:', error.message);
+      res.status(500).json({
+        error: 'Failed to start GoHighLevel OAuth',
+        details: error.message
+      });
+    }
+  });
+}
+
+// API Endpoint: OAuth callback - exchange the code and store the connection
+function ghlOAuthCallbackEndpoint(app, pool, axios) {
+  app.get('/api/ghl/oauth/callback', async (req, res) => {
+    let frontendUrl = 'http://localhost:5173';
+    try {
+      const config = getOAuthConfig();
+      frontendUrl = config.frontendUrl;
+
+      const { code, state, error: oauthError } = req.query;
+      if (oauthError) {
+        throw new Error(`GoHighLevel returned: ${oauthError}`);
+      }
+      if (!code) {
+        throw new Error('Missing authorization code');
+      }
+
+      const clientId = verifyState(state, config.clientSecret);
+      const tokens = await requestGHLToken({ grant_type: 'authorization_code', code }, axios);
+
+      if (!tokens.locationId) {
+        throw new Error('Please choose a sub-account (location) when connecting GoHighLevel');
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `INSERT INTO ghl_sub_accounts
+             (client_id, location_id, access_token, refresh_token, token_expires_at, scope, company_id, connected_via, is_active, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, 'oauth', true, NOW())
+           ON CONFLICT (client_id, location_id)
+           DO UPDATE SET
+             access_token = EXCLUDED.access_token,
+             refresh_token = EXCLUDED.refresh_token,
+             token_expires_at = EXCLUDED.token_expires_at,
+             scope = EXCLUDED.scope,
+             company_id = EXCLUDED.company_id,
+             connected_via = 'oauth',
+             is_active = true,
+             updated_at = NOW()`,
+          [
+            clientId,
+            tokens.locationId,
+            encryptSecret(tokens.access_token),
+            encryptSecret(tokens.refresh_token),
+            tokenExpiry(tokens),
+            tokens.scope || null,
+            tokens.companyId || null
+          ]
+        );
+      } finally {
+        client.release();
+      }
+
+      console.log(`✅ GHL OAuth connected location ${tokens.locationId} for client: ${clientId}`);
+      res.redirect(`${frontendUrl}/?ghl_oauth=connected&locationId=${encodeURIComponent(tokens.locationId)}`);
+    } catch (error) {
+      console.error('❌ GHL OAuth callback failed:', error.response?.data || error.message);
+      res.redirect(`${frontendUrl}/?ghl_oauth=error&message=${encodeURIComponent(error.message)}`);
+    }
+  });
+}
+
+// API Endpoint: Force a token refresh for a connected location
+function ghlOAuthRefreshEndpoint(app, pool, axios) {
+  app.post('/api/ghl/oauth/refresh', async (req, res) => {
+    try {
+      const { clientId, locationId } = req.body;
+      if (!clientId || !locationId) {
+        return res.status(400).json({ error: 'Client ID and Location ID are required' });
+      }
+
+      const result = await pool.query(
+        'SELECT * FROM ghl_sub_accounts WHERE client_id = $1 AND location_id = $2',
+        [clientId, locationId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'GoHighLevel sub-account not found' });
+      }
+
+      const refreshed = await refreshGHLAccessToken(pool, decryptSubAccountTokens(result.rows[0]), axios);
+      res.json({
+        success: true,
+        tokenExpiresAt: refreshed.token_expires_at,
+        message: '🔄 GoHighLevel token refreshed'
+      });
+    } catch (error) {
+      console.error('❌ Error refreshing GHL token:', error.message);
+      res.status(502).json({
+        error: 'Failed to refresh GoHighLevel token',
+        details: error.message
+      });
+    }
+  });
+}
+
+export {
+  REQUIRED_SCOPES,
+  refreshGHLAccessToken,
+  isTokenExpiring,
+  ghlOAuthAuthorizeEndpoint,
+  ghlOAuthCallbackEndpoint,
+  ghlOAuthRefreshEndpoint
+};
@@ -0,0 +1,107 @@
+// ===== Image Storage =====
+// Durable storage for generated post images. DALL·E URLs expire within hours, so images
+// are downloaded, re-encoded to GBP-friendly dimensions and stored under our own URL.
+//
+// A storage driver exposes:
+//   save(key, buffer, contentType) -> { key, url }
+//   remove(key)                    -> void
+// Only the filesystem driver exists today; an object-store driver can implement the same shape.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+// Google Business Profile recommends 4:3 images; 1200x900 stays well within the 5MB limit
+const GBP_IMAGE_WIDTH = 1200;
+const GBP_IMAGE_HEIGHT = 900;
+const GBP_IMAGE_QUALITY = 85;
+
+// URL path the filesystem driver's files are served from (see server.js)
+const MEDIA_ROUTE = '/media';
+
+// Filesystem driver: writes under rootDir and serves files from publicBaseUrl + /media
+function createFilesystemImageStorage({ rootDir, publicBaseUrl }) {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    // Never let a key escape the storage directory
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    driver: 'filesystem',
+    rootDir,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: `${publicBaseUrl}${MEDIA_ROUTE}/${key}` };
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+// Build the configured storage driver from environment variables
+function createImageStorage() {
+  const driver = process.env.IMAGE_STORAGE_DRIVER || 'filesystem';
+  const port = process.env.PORT || 3001;
+
+  if (driver !== 'filesystem') {
+    throw new Error(`Unsupported IMAGE_STORAGE_DRIVER: ${driver}`);
+  }
+
+  const rootDir = path.resolve(process.env.IMAGE_STORAGE_DIR || './uploads');
+  const publicBaseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${port}`).replace(/\/$/, '');
+
+  console.log(`🗄️ Image storage: filesystem at ${rootDir} (served from ${publicBaseUrl}${MEDIA_ROUTE})`);
+  return createFilesystemImageStorage({ rootDir, publicBaseUrl });
+}
+
+// Download a generated image, re-encode it for GBP and store it durably
+async function persistGBPImage(sourceUrl, clientId, storage, axios) {
+  console.log(`📥 Downloading generated image for client: ${clientId}`);
+  const response = await axios.get(sourceUrl, { responseType: 'arraybuffer', timeout: 30000 });
+
+  const buffer = await sharp(Buffer.from(response.data))
+    .resize(GBP_IMAGE_WIDTH, GBP_IMAGE_HEIGHT, { fit: 'cover', position: 'attention' })
+    .jpeg({ quality: GBP_IMAGE_QUALITY, mozjpeg: true })
+    .toBuffer();
+
+  const key = `gbp/${clientId}/${crypto.randomUUID()}.jpg`;
+  const stored = await storage.save(key, buffer, 'image/jpeg');
+
+  console.log(`✅ Stored GBP image (${Math.round(buffer.length / 1024)} KB): ${stored.url}`);
+  return stored;
+}
+
+// Remove a replaced or deleted image from durable storage; failures are only logged
+// Duplicated posts share their original's image, so it is kept while any post still uses it
+async function removeStoredImage(db, imageStorage, key) {
+  if (!imageStorage || !key) return;
+  try {
+    const stillUsed = await db.query('SELECT 1 FROM gbp_posts WHERE image_storage_key = $1 LIMIT 1', [key]);
+    if (stillUsed.rows.length > 0) return;
+    await imageStorage.remove(key);
+  } catch (error) {
+    console.warn(`⚠️ Could not remove stored image ${key}:`, error.message);
+  }
+}
+
+export {
+  MEDIA_ROUTE,
+  createFilesystemImageStorage,
+  createImageStorage,
+  persistGBPImage,
+  removeStoredImage
+};
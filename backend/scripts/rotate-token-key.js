@@ -0,0 +1,83 @@
+// ===== Rotate GoHighLevel token encryption key =====
+// Re-wraps every stored credential with the current TOKEN_ENCRYPTION_KEY and encrypts any
+// legacy plaintext tokens. Run after changing keys:
+//
+//   TOKEN_ENCRYPTION_KEY=<new> TOKEN_ENCRYPTION_KEY_ID=v2 \
+//   TOKEN_ENCRYPTION_PREVIOUS_KEYS=v1:<old> npm run rotate-token-key
+//
+// Once it reports no failures, TOKEN_ENCRYPTION_PREVIOUS_KEYS can be removed.
+
+import pg from 'pg';
+import { rewrapSecret, isEncryptionConfigured } from '../token-crypto.js';
+
+const { Pool } = pg;
+
+// Times a row is re-read when an OAuth refresh replaces its tokens mid-rotation
+const MAX_ATTEMPTS = 3;
+
+// Re-wrap one sub-account's tokens; only writes if they are still the ones that were read, so a
+// token pair stored by a concurrent refresh is never overwritten with the old (spent) one
+// Returns 'updated', 'unchanged' or 'changed' (someone else wrote it in between)
+async function rewrapRow(pool, row) {
+  const accessToken = rewrapSecret(row.access_token);
+  const refreshToken = rewrapSecret(row.refresh_token);
+  if (accessToken === row.access_token && refreshToken === row.refresh_token) return 'unchanged';
+
+  const result = await pool.query(
+    `UPDATE ghl_sub_accounts SET access_token = $1, refresh_token = $2
+     WHERE id = $3 AND access_token IS NOT DISTINCT FROM $4 AND refresh_token IS NOT DISTINCT FROM $5`,
+    [accessToken, refreshToken, row.id, row.access_token, row.refresh_token]
+  );
+  return result.rowCount > 0 ? 'updated' : 'changed';
+}
+
+async function rotateTokenKey() {
+  if (!isEncryptionConfigured()) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be set to the new key');
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  });
+
+  let updated = 0;
+  let failed = 0;
+  try {
+    const { rows } = await pool.query('SELECT id, access_token, refresh_token FROM ghl_sub_accounts ORDER BY id');
+    console.log(`🔐 Re-wrapping credentials for ${rows.length} sub-account(s)...`);
+
+    for (const row of rows) {
+      try {
+        let outcome = await rewrapRow(pool, row);
+        for (let attempt = 1; outcome === 'changed' && attempt < MAX_ATTEMPTS; attempt++) {
+          const reread = await pool.query('SELECT id, access_token, refresh_token FROM ghl_sub_accounts WHERE id = $1', [row.id]);
+          // Deleted in the meantime: nothing left to re-wrap
+          outcome = reread.rows.length > 0 ? await rewrapRow(pool, reread.rows[0]) : 'unchanged';
+        }
+
+        if (outcome === 'updated') {
+          updated++;
+        } else if (outcome === 'changed') {
+          failed++;
+          console.error(`❌ Sub-account ${row.id} kept changing while it was re-wrapped; run the rotation again`);
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Could not re-wrap sub-account ${row.id}:`, error.message);
+      }
+    }
+  } finally {
+    await pool.end();
+  }
+
+  console.log(`✅ Key rotation complete: ${updated} updated, ${failed} failed`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+rotateTokenKey().catch(error => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
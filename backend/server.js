@@ -15,10 +15,77 @@ import {
   createTestEndpoint,
   createGBPPostEndpoint,
   getGBPPostsEndpoint,
+  rescheduleGBPPostEndpoint,
   manageGHLSubAccountsEndpoint,
   getGHLSubAccountsEndpoint,
+  getGHLConnectedAccountsEndpoint,
+  selectGBPAccountEndpoint,
+  updateGHLLocationDetailsEndpoint,
   testGHLConnectionEndpoint
 } from './ghl-integration.js';
+import { startGBPPostScheduler } from './gbp-scheduler.js';
+import { MEDIA_ROUTE, createImageStorage } from './image-storage.js';
+import { isEncryptionConfigured } from './token-crypto.js';
+import {
+  ghlOAuthAuthorizeEndpoint,
+  ghlOAuthCallbackEndpoint,
+  ghlOAuthRefreshEndpoint
+} from './ghl-oauth.js';
+import {
+  updateGBPPostContentEndpoint,
+  submitGBPPostForApprovalEndpoint,
+  approveGBPPostEndpoint,
+  rejectGBPPostEndpoint
+} from './gbp-approval.js';
+import { getGBPLandingPagesEndpoint } from './gbp-cta.js';
+import { getGBPTopicSuggestionsEndpoint } from './gbp-topics.js';
+import { getUsedTopicsEndpoint, pruneUsedTopicsEndpoint } from './gbp-topic-history.js';
+import {
+  generateGBPVariantsEndpoint,
+  chooseGBPVariantEndpoint,
+  getGBPVariantStatsEndpoint
+} from './gbp-variants.js';
+import { lintGBPContentEndpoint } from './gbp-content-lint.js';
+import { normalizeStyleRules } from './gbp-style-rules.js';
+import { createTextGenerator } from './text-providers.js';
+import { getGBPGenerationsEndpoint, getGBPGenerationUsageEndpoint } from './gbp-generations.js';
+import {
+  startGBPAnalyticsSync,
+  getGBPAnalyticsEndpoint,
+  getGBPPostMetricsEndpoint,
+  syncGBPAnalyticsEndpoint
+} from './gbp-analytics.js';
+import {
+  startGBPStatusReconciliation,
+  refreshGBPPostStatusEndpoint,
+  refreshGBPClientStatusesEndpoint,
+  dismissGBPStatusMismatchEndpoint
+} from './gbp-reconciliation.js';
+import {
+  updateGBPPostEndpoint,
+  unpublishGBPPostEndpoint,
+  deleteGBPPostEndpoint,
+  duplicateGBPPostEndpoint,
+  getGBPPostChangesEndpoint
+} from './gbp-post-edits.js';
+import {
+  createGBPBatchEndpoint,
+  getGBPBatchEndpoint,
+  cancelGBPBatchEndpoint
+} from './gbp-batch.js';
+import {
+  createGBPCampaignEndpoint,
+  getGBPCampaignsEndpoint,
+  approveGBPCampaignEndpoint
+} from './gbp-campaigns.js';
+import {
+  startGBPTemplateMaterializer,
+  getGBPTemplatesEndpoint,
+  previewGBPTemplateEndpoint,
+  createGBPTemplateEndpoint,
+  updateGBPTemplateEndpoint,
+  deleteGBPTemplateEndpoint
+} from './gbp-templates.js';
 
 const { Pool } = pg;
 
@@ -87,6 +154,22 @@ async function initializeDb() {
       console.log('Note: Could not add ghlLocationId column:', alterError.message);
     }
 
+    // Phrases a client never wants in their posts, one per line (checked by gbp-content-lint.js)
+    try {
+      await client.query(`ALTER TABLE clients ADD COLUMN IF NOT EXISTS "bannedPhrases" TEXT;`);
+      console.log('✅ bannedPhrases column ready');
+    } catch (alterError) {
+      console.log('Note: Could not add bannedPhrases column:', alterError.message);
+    }
+
+    // Structured writing rules: required phrases, preferred spellings, emoji and hashtag policy (see gbp-style-rules.js)
+    try {
+      await client.query(`ALTER TABLE clients ADD COLUMN IF NOT EXISTS "styleRules" JSONB;`);
+      console.log('✅ styleRules column ready');
+    } catch (alterError) {
+      console.log('Note: Could not add styleRules column:', alterError.message);
+    }
+
     // Create enhanced sitemap_urls table
     await client.query(`
       CREATE TABLE IF NOT EXISTS sitemap_urls (
@@ -150,6 +233,297 @@ async function initializeDb() {
         );
       `);
       
+    // Add scheduler bookkeeping columns to gbp_posts
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS last_error TEXT,
+          ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE;
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_gbp_posts_due
+        ON gbp_posts (scheduled_at) WHERE status = 'scheduled';
+      `);
+      console.log('✅ gbp_posts scheduler columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts scheduler columns:', alterError.message);
+    }
+
+    // Track where a post's image lives in durable storage so it can be cleaned up
+    try {
+      await client.query(`ALTER TABLE gbp_posts ADD COLUMN IF NOT EXISTS image_storage_key TEXT;`);
+      console.log('✅ gbp_posts image_storage_key column ready');
+    } catch (alterError) {
+      console.log('Note: Could not add image_storage_key column:', alterError.message);
+    }
+
+    // Event and offer fields (post_type is update, event or offer)
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS post_type VARCHAR(20) DEFAULT 'update',
+          ADD COLUMN IF NOT EXISTS title VARCHAR(100),
+          ADD COLUMN IF NOT EXISTS start_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS end_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(100),
+          ADD COLUMN IF NOT EXISTS redeem_url VARCHAR(500),
+          ADD COLUMN IF NOT EXISTS terms TEXT;
+      `);
+      console.log('✅ gbp_posts post type columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts post type columns:', alterError.message);
+    }
+
+    // GBP action type for the post's button (cta_text holds its label, more_info_url the link)
+    try {
+      await client.query(`ALTER TABLE gbp_posts ADD COLUMN IF NOT EXISTS cta_type VARCHAR(20);`);
+      await client.query(`ALTER TABLE gbp_posts ALTER COLUMN more_info_url TYPE TEXT;`);
+      console.log('✅ gbp_posts cta_type column ready');
+    } catch (alterError) {
+      console.log('Note: Could not add cta_type column:', alterError.message);
+    }
+
+    // Batch generation: one row per batch run, progress is updated as each post is drafted
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gbp_batches (
+        id SERIAL PRIMARY KEY,
+        client_id TEXT NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        posts_per_week INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'running',
+        total INTEGER DEFAULT 0,
+        completed INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        current_topic TEXT,
+        last_error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP WITH TIME ZONE,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+      );
+    `);
+
+    // Batches run in-process, so any still marked running were cut off by a restart
+    await client.query(`
+      UPDATE gbp_batches SET status = 'failed', last_error = 'Interrupted by a server restart', finished_at = NOW()
+      WHERE status = 'running'
+    `);
+
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS topic TEXT,
+          ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES gbp_batches(id) ON DELETE SET NULL;
+      `);
+      console.log('✅ gbp_posts topic and batch columns ready');
+      // Full-text search in the post history; must match POST_SEARCH_VECTOR in ghl-integration.js
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_gbp_posts_search
+        ON gbp_posts USING GIN (to_tsvector('english', COALESCE(topic, '') || ' ' || content));
+      `);
+      console.log('✅ gbp_posts search index ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts topic and batch columns:', alterError.message);
+    }
+
+    // Track when (and for which post) each topic was used, for GBP topic de-duplication
+    try {
+      await client.query(`
+        ALTER TABLE used_topics
+          ADD COLUMN IF NOT EXISTS post_id INTEGER REFERENCES gbp_posts(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_used_topics_client ON used_topics(client_id, created_at DESC);
+      `);
+      console.log('✅ used_topics history columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add used_topics history columns:', alterError.message);
+    }
+
+    // Alternative versions of a post, and which one the user went with
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gbp_post_variants (
+        id SERIAL PRIMARY KEY,
+        post_id INTEGER NOT NULL REFERENCES gbp_posts(id) ON DELETE CASCADE,
+        client_id TEXT NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        style TEXT NOT NULL,
+        content TEXT NOT NULL,
+        chosen BOOLEAN DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_gbp_post_variants_post ON gbp_post_variants(post_id);
+    `);
+
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS chosen_variant_id INTEGER,
+          ADD COLUMN IF NOT EXISTS variant_style TEXT,
+          ADD COLUMN IF NOT EXISTS variant_choice TEXT;
+      `);
+      console.log('✅ gbp_posts variant columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts variant columns:', alterError.message);
+    }
+
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts ADD COLUMN IF NOT EXISTS lint_findings JSONB;
+      `);
+      console.log('✅ gbp_posts lint column ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts lint column:', alterError.message);
+    }
+
+    // Which text provider and model wrote each post and variant (see text-providers.js)
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS ai_provider TEXT,
+          ADD COLUMN IF NOT EXISTS ai_model TEXT;
+      `);
+      await client.query(`
+        ALTER TABLE gbp_post_variants
+          ADD COLUMN IF NOT EXISTS ai_provider TEXT,
+          ADD COLUMN IF NOT EXISTS ai_model TEXT;
+      `);
+      console.log('✅ gbp_posts provider columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts provider columns:', alterError.message);
+    }
+
+    // One row per model call behind a post: prompt, usage and cost (see gbp-generations.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gbp_generations (
+        id SERIAL PRIMARY KEY,
+        post_id INTEGER NOT NULL REFERENCES gbp_posts(id) ON DELETE CASCADE,
+        variant_id INTEGER REFERENCES gbp_post_variants(id) ON DELETE SET NULL,
+        client_id TEXT NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        response TEXT,
+        latency_ms INTEGER,
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        estimated_cost NUMERIC(12, 6),
+        fallback BOOLEAN DEFAULT false,
+        fallback_reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_gbp_generations_post ON gbp_generations(post_id);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_gbp_generations_client ON gbp_generations(client_id, created_at);
+    `);
+
+    // Engagement snapshots of published posts pulled from GoHighLevel (see gbp-analytics.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gbp_post_metrics (
+        id SERIAL PRIMARY KEY,
+        post_id INTEGER NOT NULL REFERENCES gbp_posts(id) ON DELETE CASCADE,
+        client_id TEXT NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        remote_status TEXT,
+        views INTEGER,
+        clicks INTEGER,
+        cta_actions INTEGER,
+        raw JSONB,
+        captured_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_gbp_post_metrics_post ON gbp_post_metrics(post_id, captured_at);
+    `);
+
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS metrics_synced_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS metrics_attempted_at TIMESTAMP WITH TIME ZONE;
+      `);
+      console.log('✅ gbp_posts metrics sync columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts metrics sync columns:', alterError.message);
+    }
+
+    // What GoHighLevel last reported for a post, and the local status it corrected (see gbp-reconciliation.js)
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS external_status TEXT,
+          ADD COLUMN IF NOT EXISTS external_error TEXT,
+          ADD COLUMN IF NOT EXISTS external_checked_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS reconciled_from TEXT;
+      `);
+      console.log('✅ gbp_posts external status columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts external status columns:', alterError.message);
+    }
+
+    // Optimistic-concurrency version of each post, bumped by every change (see gbp-post-edits.js)
+    try {
+      await client.query(`ALTER TABLE gbp_posts ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;`);
+      console.log('✅ gbp_posts version column ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts version column:', alterError.message);
+    }
+
+    // Post a draft was copied from in the post history (see duplicateGBPPostEndpoint)
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts ADD COLUMN IF NOT EXISTS duplicated_from_id INTEGER REFERENCES gbp_posts(id) ON DELETE SET NULL;
+      `);
+      console.log('✅ gbp_posts duplicated_from_id column ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts duplicated_from_id column:', alterError.message);
+    }
+
+    // Edit, unpublish and delete history of posts; kept after a post is deleted, so no foreign key on post_id
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gbp_post_changes (
+        id SERIAL PRIMARY KEY,
+        post_id INTEGER NOT NULL,
+        client_id TEXT NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        changes JSONB NOT NULL,
+        version INTEGER,
+        changed_by TEXT,
+        propagated BOOLEAN DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_gbp_post_changes_post ON gbp_post_changes(post_id, created_at);
+    `);
+
+    // Add review/approval audit columns to gbp_posts
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS last_edited_by TEXT,
+          ADD COLUMN IF NOT EXISTS last_edited_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS submitted_by TEXT,
+          ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS approver_contact TEXT,
+          ADD COLUMN IF NOT EXISTS approved_by TEXT,
+          ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS rejected_by TEXT,
+          ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+      `);
+      console.log('✅ gbp_posts approval columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts approval columns:', alterError.message);
+    }
+      
     // Create ghl_sub_accounts table for GoHighLevel sub-account management
     await client.query(`
       CREATE TABLE IF NOT EXISTS ghl_sub_accounts (
@@ -165,6 +539,116 @@ async function initializeDb() {
       );
     `);
 
+    // Add OAuth token columns to ghl_sub_accounts
+    try {
+      await client.query(`
+        ALTER TABLE ghl_sub_accounts
+          ADD COLUMN IF NOT EXISTS refresh_token TEXT,
+          ADD COLUMN IF NOT EXISTS token_expires_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS scope TEXT,
+          ADD COLUMN IF NOT EXISTS company_id TEXT,
+          ADD COLUMN IF NOT EXISTS connected_via TEXT DEFAULT 'manual',
+          ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+      `);
+      console.log('✅ ghl_sub_accounts OAuth columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add ghl_sub_accounts OAuth columns:', alterError.message);
+    }
+
+    // Explicitly chosen Google Business Profile account per location
+    try {
+      await client.query(`
+        ALTER TABLE ghl_sub_accounts
+          ADD COLUMN IF NOT EXISTS gbp_account_id TEXT,
+          ADD COLUMN IF NOT EXISTS gbp_account_name TEXT;
+      `);
+      console.log('✅ ghl_sub_accounts GBP account columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add ghl_sub_accounts GBP account columns:', alterError.message);
+    }
+
+    // Per-location details used to localize campaign posts
+    try {
+      await client.query(`
+        ALTER TABLE ghl_sub_accounts
+          ADD COLUMN IF NOT EXISTS location_city TEXT,
+          ADD COLUMN IF NOT EXISTS location_address TEXT,
+          ADD COLUMN IF NOT EXISTS service_area TEXT;
+      `);
+      console.log('✅ ghl_sub_accounts location detail columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add ghl_sub_accounts location detail columns:', alterError.message);
+    }
+
+    // Multi-location campaigns: one parent per topic, one gbp_posts child per location
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gbp_campaigns (
+        id SERIAL PRIMARY KEY,
+        client_id TEXT NOT NULL,
+        topic TEXT NOT NULL,
+        scheduled_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+      );
+    `);
+
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES gbp_campaigns(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS location_id TEXT;
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_gbp_posts_campaign ON gbp_posts (campaign_id);`);
+      console.log('✅ gbp_posts campaign columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts campaign columns:', alterError.message);
+    }
+
+    // Recurring post templates, materialised into gbp_posts ahead of time (see gbp-templates.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gbp_post_templates (
+        id SERIAL PRIMARY KEY,
+        client_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        content TEXT NOT NULL,
+        recurrence TEXT NOT NULL,
+        starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        time_zone TEXT NOT NULL,
+        reword BOOLEAN DEFAULT false,
+        auto_schedule BOOLEAN DEFAULT false,
+        approved_by TEXT,
+        approved_at TIMESTAMP WITH TIME ZONE,
+        is_active BOOLEAN DEFAULT true,
+        cta_type VARCHAR(20),
+        cta_text TEXT,
+        more_info_url TEXT,
+        materialized_until TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        version INTEGER DEFAULT 1,
+        created_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+      );
+    `);
+
+    try {
+      await client.query(`
+        ALTER TABLE gbp_posts
+          ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES gbp_post_templates(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS template_occurrence TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS approved_via_template BOOLEAN DEFAULT false;
+      `);
+      // One post per occurrence, so the materialiser can safely run again
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_gbp_posts_template_occurrence
+        ON gbp_posts (template_id, template_occurrence) WHERE template_id IS NOT NULL;
+      `);
+      console.log('✅ gbp_posts template columns ready');
+    } catch (alterError) {
+      console.log('Note: Could not add gbp_posts template columns:', alterError.message);
+    }
+
     // Widen columns if existing DB has smaller types
     try {
       await client.query(`ALTER TABLE ghl_sub_accounts ALTER COLUMN location_id TYPE TEXT;`);
@@ -198,27 +682,41 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Durable storage for generated post images, served publicly so GoHighLevel can fetch them
+const imageStorage = createImageStorage();
+if (imageStorage.driver === 'filesystem') {
+  app.use(MEDIA_ROUTE, express.static(imageStorage.rootDir, { maxAge: '30d', immutable: true }));
+}
+
+// Stored GoHighLevel credentials are encrypted at rest
+if (!isEncryptionConfigured()) {
+  console.warn('⚠️ TOKEN_ENCRYPTION_KEY not set - GoHighLevel credentials cannot be saved');
+}
+
 // Initialize Gemini AI
 if (!process.env.API_KEY) {
   throw new Error("API_KEY environment variable not set.");
 }
 const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
 
-// Initialize OpenAI for image generation
+// Initialize OpenAI for image generation and as a text provider
 let openai = null;
 try {
     if (!process.env.OPENAI_API_KEY) {
-        console.warn('⚠️ OPENAI_API_KEY not set - image generation will be disabled');
+        console.warn('⚠️ OPENAI_API_KEY not set - image generation and the OpenAI text provider will be disabled');
     } else {
         openai = new OpenAI({
             apiKey: process.env.OPENAI_API_KEY
         });
-        console.log('✅ OpenAI initialized successfully for image generation');
+        console.log('✅ OpenAI initialized successfully for image and text generation');
     }
 } catch (error) {
     console.error('❌ Failed to initialize OpenAI:', error.message);
 }
 
+// Text generation for GBP posts, with fallback between Gemini and OpenAI
+const textGenerator = createTextGenerator({ ai, openai });
+
 // --- API Routes ---
 
 // Health check endpoint for Render
@@ -254,16 +752,17 @@ app.get('/api/clients/:id', async (req, res) => {
 
 // CREATE a new client
 app.post('/api/clients', async (req, res) => {
-  const { name, industry, websiteUrl, sitemapUrl, uniqueValueProp, brandVoice, contentStrategy, ghlLocationId } = req.body;
+  const { name, industry, websiteUrl, sitemapUrl, uniqueValueProp, brandVoice, contentStrategy, ghlLocationId, bannedPhrases, styleRules } = req.body;
   const newClient = {
     id: crypto.randomUUID(),
-    name, industry, websiteUrl, sitemapUrl, uniqueValueProp, brandVoice, contentStrategy, ghlLocationId
+    name, industry, websiteUrl, sitemapUrl, uniqueValueProp, brandVoice, contentStrategy, ghlLocationId, bannedPhrases,
+    styleRules: normalizeStyleRules(styleRules)
   };
   try {
     const result = await pool.query(
-      `INSERT INTO clients (id, name, industry, "websiteUrl", "sitemapUrl", "uniqueValueProp", "brandVoice", "contentStrategy", "ghlLocationId") 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
-      [newClient.id, newClient.name, newClient.industry, newClient.websiteUrl, newClient.sitemapUrl, newClient.uniqueValueProp, newClient.brandVoice, newClient.contentStrategy, newClient.ghlLocationId]
+      `INSERT INTO clients (id, name, industry, "websiteUrl", "sitemapUrl", "uniqueValueProp", "brandVoice", "contentStrategy", "ghlLocationId", "bannedPhrases", "styleRules") 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+      [newClient.id, newClient.name, newClient.industry, newClient.websiteUrl, newClient.sitemapUrl, newClient.uniqueValueProp, newClient.brandVoice, newClient.contentStrategy, newClient.ghlLocationId, newClient.bannedPhrases, JSON.stringify(newClient.styleRules)]
     );
     
     res.status(201).json(result.rows[0]);
@@ -275,14 +774,14 @@ app.post('/api/clients', async (req, res) => {
 
 // UPDATE a client
 app.put('/api/clients/:id', async (req, res) => {
-    const { name, industry, websiteUrl, sitemapUrl, uniqueValueProp, brandVoice, contentStrategy, ghlLocationId } = req.body;
+    const { name, industry, websiteUrl, sitemapUrl, uniqueValueProp, brandVoice, contentStrategy, ghlLocationId, bannedPhrases, styleRules } = req.body;
     try {
         const result = await pool.query(
             `UPDATE clients SET 
              name = $1, industry = $2, "websiteUrl" = $3, "sitemapUrl" = $4, "uniqueValueProp" = $5, 
-             "brandVoice" = $6, "contentStrategy" = $7, "ghlLocationId" = $8, "updatedAt" = NOW()
-             WHERE id = $9 RETURNING *`,
-            [name, industry, websiteUrl, sitemapUrl, uniqueValueProp, brandVoice, contentStrategy, ghlLocationId, req.params.id]
+             "brandVoice" = $6, "contentStrategy" = $7, "ghlLocationId" = $8, "bannedPhrases" = $9, "styleRules" = $10, "updatedAt" = NOW()
+             WHERE id = $11 RETURNING *`,
+            [name, industry, websiteUrl, sitemapUrl, uniqueValueProp, brandVoice, contentStrategy, ghlLocationId, bannedPhrases, JSON.stringify(normalizeStyleRules(styleRules)), req.params.id]
         );
         
         if (result.rows.length > 0) {
@@ -317,21 +816,150 @@ try {
   createTestEndpoint(app, pool, ai, openai, axios);
   console.log('✅ createTestEndpoint registered');
   
-  createGBPPostEndpoint(app, pool, ai, openai, axios);
+  createGBPPostEndpoint(app, pool, ai, openai, axios, imageStorage, textGenerator);
   console.log('✅ createGBPPostEndpoint registered');
   
   getGBPPostsEndpoint(app, pool);
   console.log('✅ getGBPPostsEndpoint registered');
   
+  rescheduleGBPPostEndpoint(app, pool);
+  console.log('✅ rescheduleGBPPostEndpoint registered');
+  
+  updateGBPPostContentEndpoint(app, pool);
+  console.log('✅ updateGBPPostContentEndpoint registered');
+  
+  updateGBPPostEndpoint(app, pool, axios, imageStorage);
+  console.log('✅ updateGBPPostEndpoint registered');
+  
+  unpublishGBPPostEndpoint(app, pool, axios);
+  console.log('✅ unpublishGBPPostEndpoint registered');
+  
+  deleteGBPPostEndpoint(app, pool, axios, imageStorage);
+  console.log('✅ deleteGBPPostEndpoint registered');
+  
+  duplicateGBPPostEndpoint(app, pool);
+  console.log('✅ duplicateGBPPostEndpoint registered');
+  
+  getGBPPostChangesEndpoint(app, pool);
+  console.log('✅ getGBPPostChangesEndpoint registered');
+  
+  submitGBPPostForApprovalEndpoint(app, pool);
+  console.log('✅ submitGBPPostForApprovalEndpoint registered');
+  
+  approveGBPPostEndpoint(app, pool, axios);
+  console.log('✅ approveGBPPostEndpoint registered');
+  
+  rejectGBPPostEndpoint(app, pool);
+  console.log('✅ rejectGBPPostEndpoint registered');
+  
+  createGBPCampaignEndpoint(app, pool, ai, openai, axios, imageStorage, textGenerator);
+  console.log('✅ createGBPCampaignEndpoint registered');
+  
+  getGBPCampaignsEndpoint(app, pool);
+  console.log('✅ getGBPCampaignsEndpoint registered');
+  
+  approveGBPCampaignEndpoint(app, pool, axios);
+  console.log('✅ approveGBPCampaignEndpoint registered');
+  
+  getGBPLandingPagesEndpoint(app, pool);
+  console.log('✅ getGBPLandingPagesEndpoint registered');
+  
+  getGBPTopicSuggestionsEndpoint(app, pool, ai);
+  console.log('✅ getGBPTopicSuggestionsEndpoint registered');
+  
+  getUsedTopicsEndpoint(app, pool);
+  console.log('✅ getUsedTopicsEndpoint registered');
+  
+  pruneUsedTopicsEndpoint(app, pool);
+  console.log('✅ pruneUsedTopicsEndpoint registered');
+  
+  generateGBPVariantsEndpoint(app, pool, textGenerator, axios);
+  console.log('✅ generateGBPVariantsEndpoint registered');
+  
+  chooseGBPVariantEndpoint(app, pool);
+  console.log('✅ chooseGBPVariantEndpoint registered');
+  
+  getGBPVariantStatsEndpoint(app, pool);
+  console.log('✅ getGBPVariantStatsEndpoint registered');
+  
+  lintGBPContentEndpoint(app, pool);
+  console.log('✅ lintGBPContentEndpoint registered');
+  
+  getGBPGenerationsEndpoint(app, pool);
+  console.log('✅ getGBPGenerationsEndpoint registered');
+  
+  getGBPGenerationUsageEndpoint(app, pool);
+  console.log('✅ getGBPGenerationUsageEndpoint registered');
+  
+  getGBPAnalyticsEndpoint(app, pool);
+  console.log('✅ getGBPAnalyticsEndpoint registered');
+  
+  getGBPPostMetricsEndpoint(app, pool);
+  console.log('✅ getGBPPostMetricsEndpoint registered');
+  
+  syncGBPAnalyticsEndpoint(app, pool, axios);
+  console.log('✅ syncGBPAnalyticsEndpoint registered');
+  
+  refreshGBPPostStatusEndpoint(app, pool, axios);
+  console.log('✅ refreshGBPPostStatusEndpoint registered');
+  
+  refreshGBPClientStatusesEndpoint(app, pool, axios);
+  console.log('✅ refreshGBPClientStatusesEndpoint registered');
+  
+  dismissGBPStatusMismatchEndpoint(app, pool);
+  console.log('✅ dismissGBPStatusMismatchEndpoint registered');
+  
+  createGBPBatchEndpoint(app, pool, textGenerator);
+  console.log('✅ createGBPBatchEndpoint registered');
+  
+  getGBPBatchEndpoint(app, pool);
+  console.log('✅ getGBPBatchEndpoint registered');
+  
+  cancelGBPBatchEndpoint(app, pool);
+  console.log('✅ cancelGBPBatchEndpoint registered');
+  
+  getGBPTemplatesEndpoint(app, pool);
+  console.log('✅ getGBPTemplatesEndpoint registered');
+  
+  previewGBPTemplateEndpoint(app);
+  console.log('✅ previewGBPTemplateEndpoint registered');
+  
+  createGBPTemplateEndpoint(app, pool, textGenerator);
+  console.log('✅ createGBPTemplateEndpoint registered');
+  
+  updateGBPTemplateEndpoint(app, pool, textGenerator);
+  console.log('✅ updateGBPTemplateEndpoint registered');
+  
+  deleteGBPTemplateEndpoint(app, pool);
+  console.log('✅ deleteGBPTemplateEndpoint registered');
+  
   manageGHLSubAccountsEndpoint(app, pool);
   console.log('✅ manageGHLSubAccountsEndpoint registered');
   
   getGHLSubAccountsEndpoint(app, pool);
   console.log('✅ getGHLSubAccountsEndpoint registered');
   
-  testGHLConnectionEndpoint(app, pool);
+  getGHLConnectedAccountsEndpoint(app, pool, axios);
+  console.log('✅ getGHLConnectedAccountsEndpoint registered');
+  
+  selectGBPAccountEndpoint(app, pool, axios);
+  console.log('✅ selectGBPAccountEndpoint registered');
+  
+  updateGHLLocationDetailsEndpoint(app, pool);
+  console.log('✅ updateGHLLocationDetailsEndpoint registered');
+  
+  testGHLConnectionEndpoint(app, pool, axios);
   console.log('✅ testGHLConnectionEndpoint registered');
   
+  ghlOAuthAuthorizeEndpoint(app);
+  console.log('✅ ghlOAuthAuthorizeEndpoint registered');
+  
+  ghlOAuthCallbackEndpoint(app, pool, axios);
+  console.log('✅ ghlOAuthCallbackEndpoint registered');
+  
+  ghlOAuthRefreshEndpoint(app, pool, axios);
+  console.log('✅ ghlOAuthRefreshEndpoint registered');
+  
   console.log('✅ All ghl-integration endpoints registered successfully');
     } catch (error) {
   console.error('❌ Error registering ghl-integration endpoints:', error.message);
@@ -348,5 +976,10 @@ app.post('/api/test', (req, res) => {
 app.listen(port, () => {
   console.log(`postMONKEE backend listening at http://localhost:${port}`);
   console.log('🔄 Database migration version: v3.2 - GBP posts and GoHighLevel integration (Blog functionality removed)');
-  initializeDb();
+  initializeDb().then(() => {
+    startGBPPostScheduler(pool, axios);
+    startGBPAnalyticsSync(pool, axios);
+    startGBPStatusReconciliation(pool, axios);
+    startGBPTemplateMaterializer(pool, textGenerator);
+  });
 });
@@ -0,0 +1,172 @@
+// ===== Text Generation Providers =====
+// Post text can come from Gemini or OpenAI. Providers are tried in the configured order, so
+// an outage at the primary falls through to the next one instead of producing filler, and
+// every result says which provider and model wrote it.
+//
+// A provider exposes:
+//   name                      -> 'gemini' | 'openai'
+//   model                     -> default model name
+//   generate(prompt, options) -> { text, inputTokens, outputTokens }
+//
+// Configure with TEXT_PROVIDERS (order, e.g. "openai,gemini"), GEMINI_TEXT_MODEL and OPENAI_TEXT_MODEL.
+// Cost estimates use MODEL_PRICING (USD per million tokens), overridable with TEXT_MODEL_PRICING, e.g.
+// {"gemini-2.5-flash":{"input":0.3,"output":2.5}}
+
+const DEFAULT_PROVIDER_ORDER = ['gemini', 'openai'];
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash',
+  openai: 'gpt-4o-mini'
+};
+
+// USD per million input/output tokens
+const MODEL_PRICING = {
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 }
+};
+
+function loadModelPricing() {
+  if (!process.env.TEXT_MODEL_PRICING) return MODEL_PRICING;
+  try {
+    return { ...MODEL_PRICING, ...JSON.parse(process.env.TEXT_MODEL_PRICING) };
+  } catch (error) {
+    console.warn('⚠️ TEXT_MODEL_PRICING is not valid JSON, using the default prices:', error.message);
+    return MODEL_PRICING;
+  }
+}
+
+const PRICING = loadModelPricing();
+
+// Estimated USD cost of one call, or null when the model's price or the token counts are unknown
+function estimateCost(model, inputTokens, outputTokens) {
+  const price = PRICING[model];
+  if (!price || inputTokens == null || outputTokens == null) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+}
+
+// Text of a Gemini response (older SDK versions expose text() as a method, newer as a getter)
+function extractGeminiText(result) {
+  const text = typeof result?.text === 'function' ? result.text() : result?.text;
+  return (text || '').trim();
+}
+
+function createGeminiProvider(ai, model) {
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(prompt, options = {}) {
+      const result = await ai.models.generateContent({
+        model: options.model || model,
+        contents: [
+          { role: 'user', parts: [{ text: prompt }] }
+        ]
+      });
+      const usage = result?.usageMetadata || result?.response?.usageMetadata;
+      return {
+        text: extractGeminiText(result) || extractGeminiText(result?.response),
+        inputTokens: usage?.promptTokenCount ?? null,
+        outputTokens: usage?.candidatesTokenCount ?? null
+      };
+    }
+  };
+}
+
+function createOpenAIProvider(openai, model) {
+  return {
+    name: 'openai',
+    model,
+
+    async generate(prompt, options = {}) {
+      const completion = await openai.chat.completions.create({
+        model: options.model || model,
+        messages: [
+          { role: 'user', content: prompt }
+        ]
+      });
+      return {
+        text: (completion.choices?.[0]?.message?.content || '').trim(),
+        inputTokens: completion.usage?.prompt_tokens ?? null,
+        outputTokens: completion.usage?.completion_tokens ?? null
+      };
+    }
+  };
+}
+
+function parseProviderOrder(value) {
+  if (!value) return DEFAULT_PROVIDER_ORDER;
+
+  const order = [...new Set(value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+  const unknown = order.filter(name => !DEFAULT_PROVIDER_ORDER.includes(name));
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Ignoring unknown TEXT_PROVIDERS entries: ${unknown.join(', ')}`);
+  }
+  const known = order.filter(name => DEFAULT_PROVIDER_ORDER.includes(name));
+  return known.length > 0 ? known : DEFAULT_PROVIDER_ORDER;
+}
+
+// Build the configured providers from the SDK clients server.js already creates
+// Returns a generator whose generate(prompt) resolves to
+// { text, prompt, provider, model, fallback, fallbackReason, latencyMs, inputTokens, outputTokens, estimatedCost }
+function createTextGenerator({ ai, openai }) {
+  const available = {
+    gemini: ai ? createGeminiProvider(ai, process.env.GEMINI_TEXT_MODEL || DEFAULT_MODELS.gemini) : null,
+    openai: openai ? createOpenAIProvider(openai, process.env.OPENAI_TEXT_MODEL || DEFAULT_MODELS.openai) : null
+  };
+
+  const providers = parseProviderOrder(process.env.TEXT_PROVIDERS)
+    .map(name => {
+      if (!available[name]) console.warn(`⚠️ Text provider "${name}" is not configured and will be skipped`);
+      return available[name];
+    })
+    .filter(Boolean);
+
+  if (providers.length === 0) {
+    throw new Error('No text generation provider is configured (set API_KEY or OPENAI_API_KEY)');
+  }
+  console.log(`🧠 Text providers: ${providers.map(p => `${p.name} (${p.model})`).join(' → ')}`);
+
+  return {
+    providers: providers.map(p => ({ name: p.name, model: p.model })),
+
+    async generate(prompt) {
+      const failures = [];
+      // Latency includes any providers that failed first
+      const startedAt = Date.now();
+      for (const provider of providers) {
+        try {
+          const { text, inputTokens, outputTokens } = await provider.generate(prompt);
+          if (!text) throw new Error('empty response');
+          if (failures.length > 0) {
+            console.log(`🔁 ${provider.name} (${provider.model}) answered after ${failures.join('; ')}`);
+          }
+          return {
+            text,
+            prompt,
+            provider: provider.name,
+            model: provider.model,
+            fallback: failures.length > 0,
+            fallbackReason: failures.length > 0 ? failures.join('; ') : null,
+            latencyMs: Date.now() - startedAt,
+            inputTokens,
+            outputTokens,
+            estimatedCost: estimateCost(provider.model, inputTokens, outputTokens)
+          };
+        } catch (error) {
+          console.warn(`⚠️ Text provider ${provider.name} (${provider.model}) failed:`, error.message);
+          failures.push(`${provider.name}: ${error.message}`);
+        }
+      }
+      throw new Error(`All text providers failed (${failures.join('; ')})`);
+    }
+  };
+}
+
+export {
+  DEFAULT_MODELS,
+  MODEL_PRICING,
+  extractGeminiText,
+  estimateCost,
+  createTextGenerator
+};
@@ -0,0 +1,155 @@
+// ===== Credential Encryption =====
+// Envelope encryption for GoHighLevel tokens stored in ghl_sub_accounts.
+// Each secret is encrypted with its own random data key (AES-256-GCM); the data key is
+// wrapped with the key-encryption key from TOKEN_ENCRYPTION_KEY. Rotating the master key
+// only re-wraps data keys (see scripts/rotate-token-key.js), the ciphertext is untouched.
+//
+// Stored format: enc:<keyId>:<wrapped data key>:<ciphertext>  (base64url, each iv|tag|data)
+// Values without the enc: prefix are legacy plaintext and are returned as-is.
+
+import crypto from 'crypto';
+
+const ENCRYPTED_PREFIX = 'enc';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function parseKey(value, name) {
+  const key = Buffer.from(value || '', 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a base64-encoded 32-byte key`);
+  }
+  return key;
+}
+
+// Current key plus any previous keys still needed to read older values
+function loadKeyring() {
+  const keys = new Map();
+  const currentId = process.env.TOKEN_ENCRYPTION_KEY_ID || 'v1';
+
+  if (process.env.TOKEN_ENCRYPTION_KEY) {
+    keys.set(currentId, parseKey(process.env.TOKEN_ENCRYPTION_KEY, 'TOKEN_ENCRYPTION_KEY'));
+  }
+
+  // TOKEN_ENCRYPTION_PREVIOUS_KEYS=v1:<base64>,v0:<base64>
+  for (const entry of (process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean)) {
+    const [id, value] = entry.split(':');
+    if (!keys.has(id)) {
+      keys.set(id, parseKey(value, `TOKEN_ENCRYPTION_PREVIOUS_KEYS[${id}]`));
+    }
+  }
+
+  return { currentId, keys };
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64url');
+}
+
+function unseal(key, sealed) {
+  const buffer = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${ENCRYPTED_PREFIX}:`);
+}
+
+function isEncryptionConfigured() {
+  return !!process.env.TOKEN_ENCRYPTION_KEY;
+}
+
+function unwrapDataKey(stored) {
+  const [, keyId, wrappedKey, ciphertext] = stored.split(':');
+  const { keys } = loadKeyring();
+  const kek = keys.get(keyId);
+  if (!kek) {
+    throw new Error(`No encryption key available for key id "${keyId}"`);
+  }
+  return { keyId, dataKey: unseal(kek, wrappedKey), ciphertext };
+}
+
+// Encrypt a secret for storage (null/empty values pass through)
+function encryptSecret(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === '') return plaintext ?? null;
+
+  const { currentId, keys } = loadKeyring();
+  const kek = keys.get(currentId);
+  if (!kek) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set; refusing to store credentials in plaintext');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  return [ENCRYPTED_PREFIX, currentId, seal(kek, dataKey), seal(dataKey, Buffer.from(String(plaintext), 'utf8'))].join(':');
+}
+
+// Decrypt a stored secret; legacy plaintext values are returned unchanged
+function decryptSecret(stored) {
+  if (!isEncrypted(stored)) return stored;
+
+  const { dataKey, ciphertext } = unwrapDataKey(stored);
+  return unseal(dataKey, ciphertext).toString('utf8');
+}
+
+// Re-wrap a stored secret's data key with the current master key (encrypts legacy plaintext)
+function rewrapSecret(stored) {
+  if (stored === null || stored === undefined || stored === '') return stored ?? null;
+  if (!isEncrypted(stored)) return encryptSecret(stored);
+
+  const { currentId, keys } = loadKeyring();
+  if (!keys.has(currentId)) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+  }
+  const { keyId, dataKey, ciphertext } = unwrapDataKey(stored);
+  if (keyId === currentId) return stored;
+
+  return [ENCRYPTED_PREFIX, currentId, seal(keys.get(currentId), dataKey), ciphertext].join(':');
+}
+
+// Show only enough of a token to tell connections apart
+function maskSecret(plaintext) {
+  if (!plaintext) return null;
+  return `••••••••${String(plaintext).slice(-4)}`;
+}
+
+// ghl_sub_accounts row with its tokens decrypted, for server-side use only
+function decryptSubAccountTokens(row) {
+  return {
+    ...row,
+    access_token: decryptSecret(row.access_token),
+    refresh_token: decryptSecret(row.refresh_token)
+  };
+}
+
+// ghl_sub_accounts row as returned to the browser: token metadata only, never the tokens
+function toPublicSubAccount(row) {
+  const { access_token: accessToken, refresh_token: refreshToken, ...rest } = row;
+  let masked = null;
+  try {
+    masked = maskSecret(decryptSecret(accessToken));
+  } catch (error) {
+    console.warn(`⚠️ Could not decrypt token for sub-account ${row.id}:`, error.message);
+  }
+
+  return {
+    ...rest,
+    access_token_masked: masked,
+    has_refresh_token: !!refreshToken,
+    is_encrypted: isEncrypted(accessToken)
+  };
+}
+
+export {
+  decryptSubAccountTokens,
+  toPublicSubAccount,
+  isEncrypted,
+  isEncryptionConfigured,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  maskSecret
+};
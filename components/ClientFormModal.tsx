@@ -1,8 +1,38 @@
 import React, { useState } from 'react';
-import { Client } from '../types';
+import { Client, ClientStyleRules } from '../types';
 import * as api from '../services/geminiService';
 import Spinner from './Spinner';
 
+// Style rule lists are edited as plain text, one entry per line
+interface StyleRulesForm {
+  requiredPhrases: string;
+  preferredSpellings: string;
+  emojiPolicy: ClientStyleRules['emojiPolicy'];
+  hashtagPolicy: ClientStyleRules['hashtagPolicy'];
+  hashtags: string;
+}
+
+const toStyleRulesForm = (rules?: ClientStyleRules): StyleRulesForm => ({
+  requiredPhrases: (rules?.requiredPhrases || []).join('\n'),
+  preferredSpellings: (rules?.preferredSpellings || []).map(s => `${s.from} -> ${s.to}`).join('\n'),
+  emojiPolicy: rules?.emojiPolicy || 'few',
+  hashtagPolicy: rules?.hashtagPolicy || 'optional',
+  hashtags: (rules?.hashtags || []).join('\n'),
+});
+
+const toLines = (text: string) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+const fromStyleRulesForm = (form: StyleRulesForm): ClientStyleRules => ({
+  requiredPhrases: toLines(form.requiredPhrases),
+  preferredSpellings: toLines(form.preferredSpellings)
+    .map(line => line.split(/\s*(?:->|→|=)\s*/))
+    .filter(parts => parts.length === 2 && parts[0] && parts[1])
+    .map(([from, to]) => ({ from, to })),
+  emojiPolicy: form.emojiPolicy,
+  hashtagPolicy: form.hashtagPolicy,
+  hashtags: toLines(form.hashtags),
+});
+
 interface ClientFormModalProps {
   client: Client | null;
   onClose: () => void;
@@ -22,6 +52,7 @@ const ClientFormModal: React.FC<ClientFormModalProps> = ({ client, onClose, onSa
 
     }
   );
+  const [styleRules, setStyleRules] = useState<StyleRulesForm>(toStyleRulesForm(client?.styleRules));
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
@@ -30,6 +61,11 @@ const ClientFormModal: React.FC<ClientFormModalProps> = ({ client, onClose, onSa
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleStyleRuleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    setStyleRules(prev => ({ ...prev, [name]: value }));
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setIsLoading(true);
@@ -39,7 +75,7 @@ const ClientFormModal: React.FC<ClientFormModalProps> = ({ client, onClose, onSa
       if (!formData.name || !formData.industry) {
         throw new Error("Company Name and Industry are required.");
       }
-      const savedClient = await api.saveClient(formData as Client);
+      const savedClient = await api.saveClient({ ...formData, styleRules: fromStyleRulesForm(styleRules) } as Client);
       onSave(savedClient);
       onClose();
     } catch (err: any) {
@@ -77,6 +113,27 @@ const ClientFormModal: React.FC<ClientFormModalProps> = ({ client, onClose, onSa
             <TextareaField label="Brand Voice" name="brandVoice" value={formData.brandVoice || ''} onChange={handleChange} />
             <TextareaField label="Content Strategy" name="contentStrategy" value={formData.contentStrategy || ''} onChange={handleChange} />
 
+            <h3 className="text-lg font-semibold text-slate-300 pt-4 border-t border-slate-700">Style Rules</h3>
+            <p className="text-sm text-slate-400">Given to the AI for every Google Business Profile post and checked again before a post can be approved.</p>
+            <TextareaField label="Forbidden Terms (one per line)" name="bannedPhrases" value={formData.bannedPhrases || ''} onChange={handleChange} placeholder="e.g. cheap" />
+            <TextareaField label="Required Phrases (one per line)" name="requiredPhrases" value={styleRules.requiredPhrases} onChange={handleStyleRuleChange} placeholder="e.g. Licensed & Insured" />
+            <TextareaField label="Preferred Spellings (one per line)" name="preferredSpellings" value={styleRules.preferredSpellings} onChange={handleStyleRuleChange} placeholder="e.g. e-mail -> email" />
+            <div className="grid grid-cols-2 gap-4">
+              <SelectField label="Emoji" name="emojiPolicy" value={styleRules.emojiPolicy} onChange={handleStyleRuleChange}>
+                <option value="none">No emoji</option>
+                <option value="few">A few (up to 3)</option>
+                <option value="any">No limit</option>
+              </SelectField>
+              <SelectField label="Hashtags" name="hashtagPolicy" value={styleRules.hashtagPolicy} onChange={handleStyleRuleChange}>
+                <option value="none">Never</option>
+                <option value="optional">Optional</option>
+                <option value="required">Required</option>
+              </SelectField>
+            </div>
+            {styleRules.hashtagPolicy === 'required' && (
+              <TextareaField label="Hashtags to Include (one per line)" name="hashtags" value={styleRules.hashtags} onChange={handleStyleRuleChange} placeholder="e.g. #AustinPlumbing" />
+            )}
+
             <h3 className="text-lg font-semibold text-slate-300 pt-4 border-t border-slate-700">SEO & Internal Linking</h3>
             <div className="text-sm text-slate-400 p-3 bg-slate-700 rounded-md">
                 <p className="font-medium mb-2">🗺️ XML Sitemap Parsing (Recommended)</p>
@@ -143,6 +200,15 @@ const TextareaField = ({ label, ...props }) => (
     </div>
 );
 
+const SelectField = ({ label, children, ...props }) => (
+    <div>
+        <label htmlFor={props.name} className="block text-sm font-medium text-slate-300 mb-1">{label}</label>
+        <select id={props.name} {...props} className="w-full bg-slate-900 border border-slate-600 rounded-md p-2 text-white focus:ring-cyan-500 focus:border-cyan-500 transition">
+            {children}
+        </select>
+    </div>
+);
+
 
 
 // Website Crawl Test Button Component
@@ -332,28 +398,58 @@ const GoHighLevelTestButton = ({ clientId, locationId }) => {
             
             {testResult && (
                 <div className={`text-sm p-2 rounded ${testResult.success ? 'bg-green-800 text-green-200' : 'bg-red-800 text-red-200'}`}>
-                    {testResult.success ? (
-                        <div>
-                            <p className="font-medium">✓ GoHighLevel connection successful!</p>
-                            <p>Location: {testResult.location?.name || 'Unknown'}</p>
-                            <p>Location ID: {testResult.location?.id || locationId}</p>
-                            {testResult.connectedAccounts && (
-                                <p>Connected accounts: {testResult.connectedAccounts.length}</p>
-                            )}
+                    <p className="font-medium">
+                        {testResult.success ? '✓ GoHighLevel connection successful!' : '✗ GoHighLevel connection failed'}
+                    </p>
+                    <p>Location: {testResult.location?.name || 'Unknown'} ({testResult.location?.id || locationId})</p>
+                    {testResult.token?.source && (
+                        <p className="text-xs">
+                            Token: {testResult.token.valid ? 'valid' : 'not verified'} · {testResult.token.source === 'oauth' ? 'OAuth' : 'manual'}
+                            {testResult.token.masked && ` · ${testResult.token.masked}`}
+                            {testResult.token.expiresAt && ` · expires ${new Date(testResult.token.expiresAt).toLocaleString()}`}
+                        </p>
+                    )}
+                    {testResult.scopes && (
+                        <p className="text-xs">Scopes: {testResult.scopes.join(', ')}</p>
+                    )}
+
+                    {testResult.checks && testResult.checks.length > 0 && (
+                        <ul className="text-xs mt-2 space-y-1">
+                            {testResult.checks.map((check, i) => (
+                                <li key={i}>
+                                    {check.status === 'pass' ? '✓' : check.status === 'warn' ? '⚠' : '✗'} {check.message}
+                                    {check.code && <span className="opacity-75"> [{check.code}]</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {testResult.connectedAccounts && testResult.connectedAccounts.length > 0 && (
+                        <div className="mt-2">
+                            <p className="text-xs font-medium">Connected accounts ({testResult.connectedAccounts.length}):</p>
+                            <ul className="text-xs mt-1 list-disc list-inside">
+                                {testResult.connectedAccounts.map((account, i) => (
+                                    <li key={i}>
+                                        {account.name || account.id} ({account.platform || 'unknown'})
+                                        {account.isGoogleBusinessProfile && ' — Google Business Profile'}
+                                    </li>
+                                ))}
+                            </ul>
                         </div>
-                    ) : (
-                        <div>
-                            <p className="font-medium">✗ GoHighLevel connection failed</p>
+                    )}
+
+                    {!testResult.success && !testResult.checks && (
+                        <>
                             <p>{testResult.error}</p>
                             {testResult.details && <p className="text-xs mt-1">{testResult.details}</p>}
-                            {testResult.suggestions && (
-                                <ul className="text-xs mt-2 list-disc list-inside">
-                                    {testResult.suggestions.map((suggestion, i) => (
-                                        <li key={i}>{suggestion}</li>
-                                    ))}
-                                </ul>
-                            )}
-                        </div>
+                        </>
+                    )}
+                    {testResult.suggestions && testResult.suggestions.length > 0 && (
+                        <ul className="text-xs mt-2 list-disc list-inside">
+                            {testResult.suggestions.map((suggestion, i) => (
+                                <li key={i}>{suggestion}</li>
+                            ))}
+                        </ul>
                     )}
                 </div>
             )}
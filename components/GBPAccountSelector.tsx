@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { getGHLConnectedAccounts, selectGBPAccount, GHLConnectedAccount, GHLSubAccount } from '../services/geminiService';
+
+interface GBPAccountSelectorProps {
+  subAccount: GHLSubAccount;
+  onSaved: (subAccount: GHLSubAccount) => void;
+}
+
+// Lets the user pick which connected Social Planner account a location publishes to.
+// Posts are never published until a Google Business Profile account has been chosen here.
+const GBPAccountSelector: React.FC<GBPAccountSelectorProps> = ({ subAccount, onSaved }) => {
+  const [accounts, setAccounts] = useState<GHLConnectedAccount[] | null>(null);
+  const [selectedId, setSelectedId] = useState(subAccount.gbp_account_id || '');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadAccounts = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const res = await getGHLConnectedAccounts(subAccount.client_id, subAccount.location_id);
+      setAccounts(res.accounts || []);
+      setSelectedId(res.selectedAccountId || '');
+    } catch (err) {
+      console.error('❌ Error loading connected accounts:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load connected accounts');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const res = await selectGBPAccount(subAccount.client_id, subAccount.location_id, selectedId || null);
+      onSaved(res.subAccount);
+    } catch (err) {
+      console.error('❌ Error selecting GBP account:', err);
+      setError(err instanceof Error ? err.message : 'Failed to save Google Business Profile account');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-1 text-sm">
+      {subAccount.gbp_account_id ? (
+        <span className="text-gray-700">
+          Publishes to: <span className="font-medium">{subAccount.gbp_account_name || subAccount.gbp_account_id}</span>
+        </span>
+      ) : (
+        <span className="text-orange-700">⚠️ No Google Business Profile account selected — posts won't be published</span>
+      )}
+
+      {accounts === null ? (
+        <button
+          onClick={loadAccounts}
+          disabled={isLoading}
+          className="ml-2 text-blue-600 hover:text-blue-800 underline disabled:opacity-50"
+        >
+          {isLoading ? 'Loading accounts...' : subAccount.gbp_account_id ? 'Change' : 'Choose account'}
+        </button>
+      ) : (
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <select
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-gray-900 bg-white"
+          >
+            <option value="">— No account —</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id} disabled={!account.isGoogleBusinessProfile}>
+                {account.name || account.id} ({account.platform || 'unknown'}){account.isGoogleBusinessProfile ? '' : ' — not GBP'}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleSave}
+            disabled={isSaving || selectedId === (subAccount.gbp_account_id || '')}
+            className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+          >
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+          <button onClick={() => setAccounts(null)} className="text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+          {accounts.length === 0 && (
+            <span className="text-gray-600">No social accounts are connected to this location in GoHighLevel.</span>
+          )}
+        </div>
+      )}
+
+      {error && <p className="mt-1 text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default GBPAccountSelector;
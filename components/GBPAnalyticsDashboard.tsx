@@ -0,0 +1,180 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { Client } from '../types';
+import { getGBPAnalytics, syncGBPAnalytics, GBPAnalytics, GBPAnalyticsGroup } from '../services/geminiService';
+import { ArrowPathIcon } from '@heroicons/react/24/solid';
+
+interface GBPAnalyticsDashboardProps {
+  client: Client | null;
+  refreshKey?: number;
+}
+
+const PERIOD_OPTIONS = [30, 90, 180, 365];
+
+const formatMetric = (value: number | null) => (value === null ? '—' : value.toLocaleString());
+
+// Ranked table of average views and engagement per topic, post type or weekday
+const GroupTable: React.FC<{ title: string; groups: GBPAnalyticsGroup[]; capitalize?: boolean }> = ({ title, groups, capitalize }) => {
+  const maxEngagement = Math.max(...groups.map(group => group.avgEngagement || 0), 1);
+
+  return (
+    <div>
+      <h3 className="text-md font-semibold text-gray-900 mb-2">{title}</h3>
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-500">No data yet.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 font-medium"></th>
+              <th className="py-1 font-medium text-right">Posts</th>
+              <th className="py-1 font-medium text-right">Avg views</th>
+              <th className="py-1 font-medium text-right">Avg clicks + actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {groups.map(group => (
+              <tr key={group.key}>
+                <td className={`py-1 pr-2 text-gray-900 ${capitalize ? 'capitalize' : ''}`}>{group.key}</td>
+                <td className="py-1 text-right text-gray-600">{group.posts}</td>
+                <td className="py-1 text-right text-gray-600">{formatMetric(group.avgViews)}</td>
+                <td className="py-1 text-right text-gray-600">
+                  <div className="flex items-center justify-end gap-2">
+                    <div className="w-16 h-2 bg-gray-100 rounded">
+                      <div
+                        className="h-2 bg-blue-500 rounded"
+                        style={{ width: `${((group.avgEngagement || 0) / maxEngagement) * 100}%` }}
+                      />
+                    </div>
+                    <span className="w-10">{formatMetric(group.avgEngagement)}</span>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const GBPAnalyticsDashboard: React.FC<GBPAnalyticsDashboardProps> = ({ client, refreshKey }) => {
+  // All hooks must be called at the top level
+  const [days, setDays] = useState(90);
+  const [analytics, setAnalytics] = useState<GBPAnalytics | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadAnalytics = useCallback(async () => {
+    if (!client) return;
+    setIsLoading(true);
+    try {
+      setAnalytics(await getGBPAnalytics(client.id, days));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load analytics');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [client?.id, days]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics, refreshKey]);
+
+  useEffect(() => {
+    setError(null);
+    setMessage(null);
+  }, [client?.id]);
+
+  if (!client) {
+    return null;
+  }
+
+  const handleSync = async () => {
+    setIsSyncing(true);
+    setError(null);
+    try {
+      const res = await syncGBPAnalytics(client.id);
+      setMessage(res.message);
+      await loadAnalytics();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to sync analytics');
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  const totals = analytics?.totals;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">Post Performance</h2>
+        <div className="flex items-center gap-2">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white text-sm"
+          >
+            {PERIOD_OPTIONS.map(option => (
+              <option key={option} value={option}>Last {option} days</option>
+            ))}
+          </select>
+          <button
+            onClick={handleSync}
+            disabled={isSyncing}
+            className="flex items-center px-3 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          >
+            <ArrowPathIcon className={`w-4 h-4 mr-1 ${isSyncing ? 'animate-spin' : ''}`} />
+            {isSyncing ? 'Syncing...' : 'Sync from GoHighLevel'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+      {message && <p className="mb-4 text-sm text-green-700">{message}</p>}
+
+      {isLoading && !analytics ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : !totals || totals.published === 0 ? (
+        <p className="text-sm text-gray-500">No posts published through GoHighLevel in this period.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            {[
+              { label: 'Published', value: totals.published, note: `${totals.tracked} with metrics` },
+              { label: 'Views', value: totals.views },
+              { label: 'Clicks', value: totals.clicks },
+              { label: 'CTA actions', value: totals.ctaActions },
+            ].map(tile => (
+              <div key={tile.label} className="p-3 bg-gray-50 rounded-lg border border-gray-200">
+                <p className="text-xs text-gray-500">{tile.label}</p>
+                <p className="text-xl font-semibold text-gray-900">{formatMetric(tile.value)}</p>
+                {tile.note && <p className="text-xs text-gray-500">{tile.note}</p>}
+              </div>
+            ))}
+          </div>
+
+          {totals.tracked > 0 && totals.views === null && totals.clicks === null && totals.ctaActions === null && (
+            <p className="mb-4 text-sm text-yellow-800">
+              GoHighLevel isn't returning engagement figures for this account yet — only post status is being tracked.
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <GroupTable title="Top Topics" groups={analytics.topTopics} />
+            <GroupTable title="Post Types" groups={analytics.postTypes} capitalize />
+            <GroupTable title={`Posting Days (${analytics.timeZone})`} groups={analytics.weekdays} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GBPAnalyticsDashboard;
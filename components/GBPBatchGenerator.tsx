@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { Client } from '../types';
+import { startGBPBatch, getGBPBatch, cancelGBPBatch, GBPBatch, GBPPost } from '../services/geminiService';
+import { CalendarDaysIcon } from '@heroicons/react/24/solid';
+
+interface GBPBatchGeneratorProps {
+  client: Client | null;
+  onPostsCreated?: () => void;
+}
+
+const POLL_INTERVAL_MS = 3000;
+
+const toDateInput = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Default range: tomorrow through the same day next month
+const defaultRange = () => {
+  const start = new Date();
+  start.setDate(start.getDate() + 1);
+  const end = new Date(start);
+  end.setMonth(end.getMonth() + 1);
+  end.setDate(end.getDate() - 1);
+  return { start: toDateInput(start), end: toDateInput(end) };
+};
+
+const GBPBatchGenerator: React.FC<GBPBatchGeneratorProps> = ({ client, onPostsCreated }) => {
+  // All hooks must be called at the top level
+  const [startDate, setStartDate] = useState(() => defaultRange().start);
+  const [endDate, setEndDate] = useState(() => defaultRange().end);
+  const [postsPerWeek, setPostsPerWeek] = useState(3);
+  const [postTime, setPostTime] = useState('10:00');
+  const [batch, setBatch] = useState<GBPBatch | null>(null);
+  const [posts, setPosts] = useState<GBPPost[]>([]);
+  const [isStarting, setIsStarting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const isRunning = batch?.status === 'running';
+
+  // Poll the running batch until it finishes
+  useEffect(() => {
+    if (!batch || batch.status !== 'running') return;
+
+    const timer = setInterval(async () => {
+      try {
+        const res = await getGBPBatch(batch.id);
+        setBatch(res.batch);
+        setPosts(res.posts);
+        if (res.batch.status !== 'running') {
+          onPostsCreated?.();
+        }
+      } catch (err) {
+        console.error('❌ Error polling GBP batch:', err);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [batch?.id, batch?.status, onPostsCreated]);
+
+  // Forget the previous client's batch
+  useEffect(() => {
+    setBatch(null);
+    setPosts([]);
+    setError(null);
+  }, [client?.id]);
+
+  if (!client) {
+    return null;
+  }
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    setError(null);
+    setPosts([]);
+    try {
+      const res = await startGBPBatch(client.id, { startDate, endDate, postsPerWeek, postTime });
+      setBatch(res.batch);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start batch generation');
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!batch) return;
+    try {
+      await cancelGBPBatch(batch.id);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to cancel batch');
+    }
+  };
+
+  const done = batch ? batch.completed + batch.failed : 0;
+  const percent = batch && batch.total > 0 ? Math.round((done / batch.total) * 100) : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold text-gray-900 mb-4">Generate a Month of Posts</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+          <input
+            type="date"
+            value={endDate}
+            onChange={(e) => setEndDate(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Posts per Week</label>
+          <select
+            value={postsPerWeek}
+            onChange={(e) => setPostsPerWeek(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+          >
+            {[1, 2, 3, 4, 5, 6, 7].map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Publish Time</label>
+          <input
+            type="time"
+            value={postTime}
+            onChange={(e) => setPostTime(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+          />
+        </div>
+      </div>
+
+      <div className="mt-4 flex items-center gap-2">
+        <button
+          onClick={handleStart}
+          disabled={isStarting || isRunning || !startDate || !endDate}
+          className="flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          <CalendarDaysIcon className="w-5 h-5 mr-2" />
+          {isStarting ? 'Starting...' : 'Generate Scheduled Drafts'}
+        </button>
+        {isRunning && (
+          <button
+            onClick={handleCancel}
+            className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+          >
+            Stop
+          </button>
+        )}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        Each post gets its own topic and is saved as a draft for its slot. Drafts still need approval before they publish.
+      </p>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+
+      {batch && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between text-sm text-gray-700 mb-1">
+            <span className="capitalize">
+              {batch.status === 'running'
+                ? `Generating ${done + 1} of ${batch.total}${batch.current_topic ? `: ${batch.current_topic}` : ''}`
+                : `Batch ${batch.status}`}
+            </span>
+            <span>{batch.completed} drafted{batch.failed > 0 && `, ${batch.failed} failed`}</span>
+          </div>
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full transition-all ${batch.status === 'failed' ? 'bg-red-500' : 'bg-green-500'}`}
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          {batch.last_error && <p className="mt-1 text-xs text-red-700">{batch.last_error}</p>}
+
+          {posts.length > 0 && (
+            <ul className="mt-3 divide-y divide-gray-200 text-sm">
+              {posts.map(post => (
+                <li key={post.id} className="py-2">
+                  <span className="text-gray-500 mr-2">
+                    {post.scheduled_at && new Date(post.scheduled_at).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                  </span>
+                  <span className="font-medium text-gray-900">{post.topic}</span>
+                  <p className="text-gray-700 truncate">{post.content}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GBPBatchGenerator;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { approveGBPCampaign, GBPCampaign } from '../services/geminiService';
+import GBPLintFindings from './GBPLintFindings';
+
+interface GBPCampaignReviewProps {
+  campaign: GBPCampaign;
+  reviewerName: string;
+  onReviewerNameChange: (name: string) => void;
+  onChange: (campaign: GBPCampaign, message: string) => void;
+  onError: (message: string) => void;
+}
+
+const STATUS_STYLES: Record<string, string> = {
+  draft: 'bg-gray-200 text-gray-800',
+  pending_approval: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-teal-100 text-teal-800',
+  rejected: 'bg-orange-100 text-orange-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  publishing: 'bg-indigo-100 text-indigo-800',
+  published: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  partially_published: 'bg-teal-100 text-teal-800',
+  partially_failed: 'bg-red-100 text-red-800',
+};
+
+const APPROVABLE_STATUSES = ['draft', 'pending_approval', 'approved'];
+
+// One row per location in a multi-location campaign, each with its own status
+const GBPCampaignReview: React.FC<GBPCampaignReviewProps> = ({ campaign, reviewerName, onReviewerNameChange, onChange, onError }) => {
+  const [isApproving, setIsApproving] = useState(false);
+
+  const approvableCount = campaign.posts.filter(p => APPROVABLE_STATUSES.includes(p.status)).length;
+
+  const handleApproveAll = async () => {
+    if (!reviewerName.trim()) {
+      onError('Please enter your name so the review is recorded');
+      return;
+    }
+
+    setIsApproving(true);
+    try {
+      const res = await approveGBPCampaign(campaign.id, reviewerName.trim());
+      onChange(res.campaign, res.message);
+    } catch (err) {
+      onError(err instanceof Error ? err.message : 'Failed to approve campaign');
+    } finally {
+      setIsApproving(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-gray-50 rounded-lg border">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Campaign: {campaign.topic}</h3>
+          <p className="text-sm text-gray-600">
+            {campaign.total} location{campaign.total === 1 ? '' : 's'}
+            {campaign.scheduled_at && ` · scheduled for ${new Date(campaign.scheduled_at).toLocaleString()}`}
+          </p>
+        </div>
+        <span className={`px-2 py-1 rounded-full text-xs capitalize ${STATUS_STYLES[campaign.status] || STATUS_STYLES.draft}`}>
+          {campaign.status.replace('_', ' ')}
+        </span>
+      </div>
+
+      <div className="space-y-3">
+        {campaign.posts.map(post => (
+          <div key={post.id} className="bg-white p-3 rounded-lg shadow-sm">
+            <div className="flex items-center justify-between mb-1">
+              <span className="font-medium text-gray-900">
+                {post.sub_account_name || post.location_id}
+                {post.location_city && <span className="ml-2 text-sm text-gray-500">{post.location_city}</span>}
+              </span>
+              <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${STATUS_STYLES[post.status] || STATUS_STYLES.draft}`}>
+                {post.status.replace('_', ' ')}
+              </span>
+            </div>
+            <p className="text-sm text-gray-800 leading-relaxed">{post.content}</p>
+            <GBPLintFindings lint={post.lint_findings} compact />
+            {post.last_error && <p className="mt-1 text-xs text-red-700">{post.last_error}</p>}
+          </div>
+        ))}
+      </div>
+
+      {approvableCount > 0 && (
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={reviewerName}
+            onChange={(e) => onReviewerNameChange(e.target.value)}
+            placeholder="Your name (recorded on the review)"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+          />
+          <button
+            onClick={handleApproveAll}
+            disabled={isApproving}
+            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          >
+            {isApproving
+              ? 'Approving...'
+              : `${campaign.scheduled_at ? 'Approve & Schedule' : 'Approve & Publish'} ${approvableCount} location post${approvableCount === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GBPCampaignReview;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { getGBPGenerations, GBPGenerationRecord, GBPGenerationTotals } from '../services/geminiService';
+
+interface GBPGenerationLogProps {
+  postId: number;
+}
+
+const PURPOSE_LABELS: Record<GBPGenerationRecord['purpose'], string> = {
+  draft: 'First draft',
+  style_rewrite: 'Style rule rewrite',
+  length_rewrite: 'Length rewrite',
+  reword: 'Re-worded from template',
+  batch_topics: 'Batch topic ideas (shared by the batch)',
+};
+
+const formatCost = (cost: number | string | null) =>
+  cost === null ? 'unknown cost' : `$${Number(cost).toFixed(4)}`;
+
+// Collapsible list of the model calls that produced a post, reloaded each time it is opened
+const GBPGenerationLog: React.FC<GBPGenerationLogProps> = ({ postId }) => {
+  // All hooks must be called at the top level
+  const [isOpen, setIsOpen] = useState(false);
+  const [generations, setGenerations] = useState<GBPGenerationRecord[] | null>(null);
+  const [totals, setTotals] = useState<GBPGenerationTotals | null>(null);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleToggle = async () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    if (!opening) return;
+
+    setError(null);
+    try {
+      const res = await getGBPGenerations(postId);
+      setGenerations(res.generations);
+      setTotals(res.totals);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load generation log');
+    }
+  };
+
+  return (
+    <div className="mt-3 text-xs">
+      <button onClick={handleToggle} className="text-blue-600 hover:text-blue-800 underline">
+        {isOpen ? 'Hide generation log' : 'Show generation log'}
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 p-3 bg-gray-50 rounded-md border border-gray-200">
+          {error && <p className="text-red-700">{error}</p>}
+          {!error && !generations && <p className="text-gray-500">Loading...</p>}
+          {generations && generations.length === 0 && <p className="text-gray-500">No generations recorded for this post.</p>}
+
+          {totals && totals.calls > 0 && (
+            <p className="mb-2 text-gray-700">
+              {totals.calls} call{totals.calls === 1 ? '' : 's'} · {totals.inputTokens + totals.outputTokens} tokens · {formatCost(totals.estimatedCost)} · {(totals.latencyMs / 1000).toFixed(1)}s
+              {totals.fallbacks > 0 && <span className="text-orange-600"> · {totals.fallbacks} used the fallback provider</span>}
+            </p>
+          )}
+
+          <ul className="space-y-2">
+            {generations?.map(generation => (
+              <li key={generation.id} className="p-2 bg-white rounded border border-gray-200">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-800">
+                    {PURPOSE_LABELS[generation.purpose] || generation.purpose}
+                    {generation.variant_id && <span className="text-purple-700"> (variant)</span>}
+                  </span>
+                  <span className="text-gray-500">{new Date(generation.created_at).toLocaleString()}</span>
+                </div>
+                <p className="text-gray-600">
+                  {generation.provider} · {generation.model} · {generation.input_tokens ?? '?'} in / {generation.output_tokens ?? '?'} out · {formatCost(generation.estimated_cost)}
+                  {generation.latency_ms !== null && ` · ${generation.latency_ms} ms`}
+                </p>
+                {generation.fallback && (
+                  <p className="text-orange-600">Fallback: {generation.fallback_reason}</p>
+                )}
+                <button
+                  onClick={() => setExpandedId(expandedId === generation.id ? null : generation.id)}
+                  className="mt-1 text-blue-600 hover:text-blue-800"
+                >
+                  {expandedId === generation.id ? 'Hide prompt' : 'Show prompt'}
+                </button>
+                {expandedId === generation.id && (
+                  <pre className="mt-1 p-2 bg-gray-100 rounded whitespace-pre-wrap text-gray-800 max-h-64 overflow-y-auto">{generation.prompt}</pre>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GBPGenerationLog;
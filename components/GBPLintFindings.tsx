@@ -0,0 +1,38 @@
+import React from 'react';
+import { GBPLintResult } from '../services/geminiService';
+import { ExclamationTriangleIcon, XCircleIcon } from '@heroicons/react/24/solid';
+
+interface GBPLintFindingsProps {
+  lint: GBPLintResult | null | undefined;
+  compact?: boolean;
+}
+
+// Content-lint findings for a post: errors block approval, warnings are advisory
+const GBPLintFindings: React.FC<GBPLintFindingsProps> = ({ lint, compact }) => {
+  if (!lint || lint.findings.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className={`space-y-1 ${compact ? 'mt-1 text-xs' : 'mt-3 text-sm'}`}>
+      {lint.findings.map(finding => (
+        <li
+          key={`${finding.rule}-${finding.severity}`}
+          className={`flex items-start ${finding.severity === 'error' ? 'text-red-700' : 'text-yellow-800'}`}
+        >
+          {finding.severity === 'error'
+            ? <XCircleIcon className="w-4 h-4 mr-1 mt-0.5 shrink-0" />
+            : <ExclamationTriangleIcon className="w-4 h-4 mr-1 mt-0.5 shrink-0" />}
+          <span>
+            {finding.message}
+            {finding.matches.length > 0 && (
+              <span className="text-gray-600">: {[...new Set(finding.matches)].map(match => `"${match}"`).join(', ')}</span>
+            )}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default GBPLintFindings;
@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Client } from '../types';
+import { getGBPPosts, rescheduleGBPPost, refreshGBPClientStatuses, refreshGBPPostStatus, dismissGBPStatusMismatch, GBPPost, PostVersionConflictError } from '../services/geminiService';
+import { ChevronLeftIcon, ChevronRightIcon, ArrowPathIcon, ExclamationTriangleIcon } from '@heroicons/react/24/solid';
+import GBPPostEditModal from './GBPPostEditModal';
+
+interface GBPPostCalendarProps {
+  client: Client | null;
+  refreshKey?: number;
+}
+
+type CalendarView = 'month' | 'week';
+
+const STATUS_STYLES: Record<string, string> = {
+  draft: 'bg-gray-200 text-gray-800 border-gray-300',
+  pending_approval: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  approved: 'bg-teal-100 text-teal-800 border-teal-300',
+  rejected: 'bg-orange-100 text-orange-800 border-orange-300',
+  scheduled: 'bg-blue-100 text-blue-800 border-blue-300',
+  publishing: 'bg-indigo-100 text-indigo-800 border-indigo-300',
+  published: 'bg-green-100 text-green-800 border-green-300',
+  failed: 'bg-red-100 text-red-800 border-red-300',
+};
+
+// Only posts that have not reached GoHighLevel yet can be dragged
+const RESCHEDULABLE_STATUSES = ['draft', 'pending_approval', 'approved', 'rejected', 'scheduled', 'failed'];
+
+// Approved posts go back into the publishing queue when moved
+const APPROVED_STATUSES = ['approved', 'scheduled', 'failed'];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const dateKey = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const startOfWeek = (date: Date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - start.getDay());
+  return start;
+};
+
+const addDays = (date: Date, days: number) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Posts are plotted on the day they go (or went) live, falling back to when they were created
+const getPostDate = (post: GBPPost) => new Date(post.published_at || post.scheduled_at || post.created_at);
+
+const getVisibleDays = (view: CalendarView, cursor: Date): Date[] => {
+  if (view === 'week') {
+    const start = startOfWeek(cursor);
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+  }
+
+  const firstOfMonth = new Date(cursor.getFullYear(), cursor.getMonth(), 1);
+  const lastOfMonth = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+  const start = startOfWeek(firstOfMonth);
+  const totalDays = Math.ceil((lastOfMonth.getDate() + firstOfMonth.getDay()) / 7) * 7;
+  return Array.from({ length: totalDays }, (_, i) => addDays(start, i));
+};
+
+const GBPPostCalendar: React.FC<GBPPostCalendarProps> = ({ client, refreshKey }) => {
+  // All hooks must be called at the top level
+  const [view, setView] = useState<CalendarView>('month');
+  const [cursor, setCursor] = useState(() => new Date());
+  const [posts, setPosts] = useState<GBPPost[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [draggedPostId, setDraggedPostId] = useState<number | null>(null);
+  const [isCheckingStatus, setIsCheckingStatus] = useState(false);
+  const [statusMessage, setStatusMessage] = useState<string | null>(null);
+  const [editingPost, setEditingPost] = useState<GBPPost | null>(null);
+
+  const loadPosts = useCallback(async () => {
+    if (!client?.id) {
+      setPosts([]);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const res = await getGBPPosts(client.id);
+      setPosts(res?.posts || []);
+    } catch (err) {
+      console.error('❌ Error loading GBP posts for calendar:', err);
+      setError('Failed to load posts');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [client?.id]);
+
+  useEffect(() => {
+    loadPosts();
+  }, [loadPosts, refreshKey]);
+
+  if (!client) {
+    return null;
+  }
+
+  const days = getVisibleDays(view, cursor);
+  const todayKey = dateKey(new Date());
+
+  const postsByDay = posts.reduce<Record<string, GBPPost[]>>((acc, post) => {
+    const key = dateKey(getPostDate(post));
+    (acc[key] = acc[key] || []).push(post);
+    return acc;
+  }, {});
+
+  const handleNavigate = (direction: -1 | 1) => {
+    setCursor(prev => view === 'week'
+      ? addDays(prev, direction * 7)
+      : new Date(prev.getFullYear(), prev.getMonth() + direction, 1));
+  };
+
+  const handleDrop = async (day: Date) => {
+    const post = posts.find(p => p.id === draggedPostId);
+    setDraggedPostId(null);
+    if (!post) return;
+
+    // Keep the original time of day and only move the date
+    const original = getPostDate(post);
+    const target = new Date(day.getFullYear(), day.getMonth(), day.getDate(), original.getHours(), original.getMinutes());
+    if (dateKey(target) === dateKey(original)) return;
+
+    if (target.getTime() <= Date.now()) {
+      setError('Posts can only be moved to a future date and time');
+      return;
+    }
+
+    setError(null);
+    const previous = posts;
+    const optimisticStatus = APPROVED_STATUSES.includes(post.status) ? 'scheduled' : post.status;
+    setPosts(prev => prev.map(p => p.id === post.id ? { ...p, status: optimisticStatus, scheduled_at: target.toISOString() } : p));
+
+    try {
+      const res = await rescheduleGBPPost(post.id, target, post.version);
+      setPosts(prev => prev.map(p => p.id === post.id ? res.post : p));
+    } catch (err) {
+      console.error('❌ Error rescheduling GBP post:', err);
+      // A conflict comes back with the current post, so show that instead of the stale copy
+      setPosts(err instanceof PostVersionConflictError && err.post
+        ? previous.map(p => p.id === post.id ? err.post : p)
+        : previous);
+      setError(err instanceof Error ? err.message : 'Failed to reschedule post');
+    }
+  };
+
+  // Re-read post statuses from GoHighLevel and correct any that drifted
+  const handleCheckStatuses = async () => {
+    setIsCheckingStatus(true);
+    setError(null);
+    try {
+      const res = await refreshGBPClientStatuses(client.id);
+      setStatusMessage(res.message);
+      await loadPosts();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to check statuses with GoHighLevel');
+    } finally {
+      setIsCheckingStatus(false);
+    }
+  };
+
+  const handleRecheckPost = async (postId: number) => {
+    setError(null);
+    try {
+      const res = await refreshGBPPostStatus(postId);
+      setStatusMessage(res.message);
+      setPosts(prev => prev.map(p => p.id === postId ? res.post : p));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to check status with GoHighLevel');
+    }
+  };
+
+  const handleDismissMismatch = async (postId: number) => {
+    try {
+      const res = await dismissGBPStatusMismatch(postId);
+      setPosts(prev => prev.map(p => p.id === postId ? res.post : p));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to dismiss');
+    }
+  };
+
+  const mismatchedPosts = posts.filter(post => post.reconciled_from);
+
+  const title = view === 'week'
+    ? `Week of ${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : cursor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">Content Calendar</h2>
+
+        <div className="flex items-center gap-2">
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+            {(['month', 'week'] as CalendarView[]).map(v => (
+              <button
+                key={v}
+                onClick={() => setView(v)}
+                className={`px-3 py-1 text-sm capitalize transition-colors ${
+                  view === v ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {v}
+              </button>
+            ))}
+          </div>
+          <button onClick={() => handleNavigate(-1)} aria-label="Previous" className="p-1 text-gray-600 hover:text-gray-900">
+            <ChevronLeftIcon className="w-5 h-5" />
+          </button>
+          <button onClick={() => setCursor(new Date())} className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100">
+            Today
+          </button>
+          <button onClick={() => handleNavigate(1)} aria-label="Next" className="p-1 text-gray-600 hover:text-gray-900">
+            <ChevronRightIcon className="w-5 h-5" />
+          </button>
+          <button onClick={loadPosts} aria-label="Refresh posts" className="p-1 text-gray-600 hover:text-gray-900">
+            <ArrowPathIcon className={`w-5 h-5 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={handleCheckStatuses}
+            disabled={isCheckingStatus}
+            className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isCheckingStatus ? 'Checking...' : 'Check GoHighLevel'}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
+        <div className="flex flex-wrap gap-2 text-xs">
+          {Object.entries(STATUS_STYLES).map(([status, style]) => (
+            <span key={status} className={`px-2 py-0.5 rounded-full border capitalize ${style}`}>{status.replace('_', ' ')}</span>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+      {statusMessage && <p className="mb-3 text-sm text-green-700">{statusMessage}</p>}
+
+      {mismatchedPosts.length > 0 && (
+        <div className="mb-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="flex items-center text-sm font-medium text-yellow-800 mb-2">
+            <ExclamationTriangleIcon className="w-4 h-4 mr-1" />
+            {mismatchedPosts.length} post{mismatchedPosts.length === 1 ? '' : 's'} didn't match GoHighLevel and {mismatchedPosts.length === 1 ? 'was' : 'were'} corrected
+          </p>
+          <ul className="space-y-2 text-sm">
+            {mismatchedPosts.map(post => (
+              <li key={post.id} className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-gray-900 truncate">{post.content}</p>
+                  <p className="text-xs text-gray-600">
+                    Was <span className="font-medium">{post.reconciled_from?.replace('_', ' ')}</span> here,
+                    GoHighLevel says <span className="font-medium">{post.external_status}</span>
+                    {post.external_error && ` — ${post.external_error}`}
+                    {post.external_checked_at && ` · checked ${new Date(post.external_checked_at).toLocaleString()}`}
+                  </p>
+                </div>
+                <div className="flex shrink-0 gap-2 text-xs">
+                  <button onClick={() => handleRecheckPost(post.id)} className="text-blue-600 hover:text-blue-800">Re-check</button>
+                  <button onClick={() => handleDismissMismatch(post.id)} className="text-gray-600 hover:text-gray-800">Dismiss</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+        {WEEKDAYS.map(day => (
+          <div key={day} className="bg-gray-50 py-1 text-center text-xs font-medium text-gray-600">{day}</div>
+        ))}
+
+        {days.map(day => {
+          const key = dateKey(day);
+          const dayPosts = postsByDay[key] || [];
+          const inMonth = view === 'week' || day.getMonth() === cursor.getMonth();
+
+          return (
+            <div
+              key={key}
+              onDragOver={(e) => draggedPostId !== null && e.preventDefault()}
+              onDrop={(e) => { e.preventDefault(); handleDrop(day); }}
+              className={`p-1 ${view === 'week' ? 'min-h-[12rem]' : 'min-h-[6rem]'} ${inMonth ? 'bg-white' : 'bg-gray-50'}`}
+            >
+              <div className={`text-xs mb-1 ${key === todayKey ? 'font-bold text-blue-600' : inMonth ? 'text-gray-700' : 'text-gray-400'}`}>
+                {day.getDate()}
+              </div>
+              <div className="space-y-1">
+                {dayPosts.map(post => {
+                  const canDrag = RESCHEDULABLE_STATUSES.includes(post.status) && !post.ghl_post_id;
+                  return (
+                    <div
+                      key={post.id}
+                      draggable={canDrag}
+                      onDragStart={() => setDraggedPostId(post.id)}
+                      onDragEnd={() => setDraggedPostId(null)}
+                      onClick={() => setEditingPost(post)}
+                      title={`${post.status}${post.external_status ? ` (GoHighLevel: ${post.external_status})` : ''} · ${getPostDate(post).toLocaleString()}${post.external_error ? `\n${post.external_error}` : ''}\n${post.content}`}
+                      className={`px-1 py-0.5 rounded border text-xs truncate ${STATUS_STYLES[post.status] || STATUS_STYLES.draft} ${
+                        canDrag ? 'cursor-move' : 'cursor-pointer'
+                      } ${post.reconciled_from ? 'ring-2 ring-yellow-400' : ''}`}
+                    >
+                      {getPostDate(post).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} {post.content}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500">Click a post to edit, unpublish or delete it. Drag any post that hasn't been published yet onto another day to reschedule it.</p>
+
+      {editingPost && (
+        <GBPPostEditModal
+          post={editingPost}
+          onClose={() => setEditingPost(null)}
+          onSaved={(saved) => setPosts(prev => prev.map(p => p.id === saved.id ? saved : p))}
+          onDeleted={(postId) => setPosts(prev => prev.filter(p => p.id !== postId))}
+        />
+      )}
+    </div>
+  );
+};
+
+export default GBPPostCalendar;
@@ -1,7 +1,13 @@
 import React, { useState, useCallback, useEffect } from 'react';
 import { Client } from '../types';
-import { createGBPPost, saveGHLSubAccount, getGHLSubAccounts, GHLSubAccount, testGBPEndpoint, testSimpleEndpoint } from '../services/geminiService';
-import { PlusCircleIcon, CalendarIcon, PhotoIcon, LinkIcon } from '@heroicons/react/24/solid';
+import { createGBPPost, createGBPCampaign, GBPCampaign, GBPPostType, GBPPostTypeDetails, GBPCtaType, GBPCallToActionDetails, GBPLandingPage, getGBPLandingPages, GBPTopicSuggestion, getGBPTopicSuggestions, DuplicateTopicError, GBPTopicDuplicate, generateGBPVariants, GBPPostVariant, GBPLengthReport, GBPLintResult, lintGBPContent, saveGHLSubAccount, getGHLSubAccounts, getGHLOAuthUrl, GHLSubAccount, GBPPost, testGBPEndpoint, testSimpleEndpoint, updateGBPPostContent, PostVersionConflictError, submitGBPPostForApproval, approveGBPPost, rejectGBPPost } from '../services/geminiService';
+import { PlusCircleIcon, CalendarIcon, PhotoIcon, LinkIcon, LightBulbIcon } from '@heroicons/react/24/solid';
+import GBPAccountSelector from './GBPAccountSelector';
+import GHLLocationDetails from './GHLLocationDetails';
+import GBPCampaignReview from './GBPCampaignReview';
+import GBPVariantComparison from './GBPVariantComparison';
+import GBPLintFindings from './GBPLintFindings';
+import GBPGenerationLog from './GBPGenerationLog';
 
 interface GBPPostCreatorProps {
   client: Client | null;
@@ -9,20 +15,119 @@ interface GBPPostCreatorProps {
 }
 
 interface GBPPostPreview {
+  id: number;
+  version: number;
+  status: string;
+  postType: GBPPostType;
+  title?: string;
+  startAt?: Date;
+  endAt?: Date;
+  couponCode?: string;
+  redeemUrl?: string;
+  terms?: string;
   content: string;
   imageUrl?: string;
-  moreInfoUrl: string;
+  ctaText?: string;
+  moreInfoUrl?: string;
+  aiProvider?: string;
+  aiModel?: string;
   scheduledAt: Date;
+  isScheduled: boolean;
 }
 
+const REVIEWER_STORAGE_KEY = 'postmonkee.reviewerName';
+const LINT_DEBOUNCE_MS = 500;
+
+const CTA_OPTIONS: { value: GBPCtaType, label: string }[] = [
+  { value: 'LEARN_MORE', label: 'Learn More' },
+  { value: 'BOOK', label: 'Book' },
+  { value: 'ORDER', label: 'Order' },
+  { value: 'SHOP', label: 'Shop' },
+  { value: 'SIGN_UP', label: 'Sign Up' },
+  { value: 'CALL', label: 'Call' },
+];
+
+// Sentinel value of the landing page picker that reveals the custom URL input
+const CUSTOM_LANDING_PAGE = '__custom__';
+
+const ANGLE_STYLES: Record<GBPTopicSuggestion['angle'], string> = {
+  local: 'bg-green-100 text-green-800',
+  seasonal: 'bg-orange-100 text-orange-800',
+  service: 'bg-blue-100 text-blue-800',
+  trending: 'bg-purple-100 text-purple-800',
+};
+
+const POST_TYPE_OPTIONS: { value: GBPPostType, label: string }[] = [
+  { value: 'update', label: 'Update' },
+  { value: 'event', label: 'Event' },
+  { value: 'offer', label: 'Offer' },
+];
+
+const toPreview = (post: GBPPost): GBPPostPreview => ({
+  id: post.id,
+  version: post.version,
+  status: post.status,
+  postType: post.post_type || 'update',
+  title: post.title || undefined,
+  startAt: post.start_at ? new Date(post.start_at) : undefined,
+  endAt: post.end_at ? new Date(post.end_at) : undefined,
+  couponCode: post.coupon_code || undefined,
+  redeemUrl: post.redeem_url || undefined,
+  terms: post.terms || undefined,
+  content: post.content,
+  imageUrl: post.image_url || undefined,
+  ctaText: post.cta_text || undefined,
+  moreInfoUrl: post.more_info_url || undefined,
+  aiProvider: post.ai_provider || undefined,
+  aiModel: post.ai_model || undefined,
+  scheduledAt: new Date(post.scheduled_at || post.created_at),
+  isScheduled: !!post.scheduled_at
+});
+
 const GBPPostCreator: React.FC<GBPPostCreatorProps> = ({ client, onPostCreated }) => {
   // All hooks must be called at the top level
   const [topic, setTopic] = useState('');
   const [scheduledAt, setScheduledAt] = useState('');
+  const [generateImage, setGenerateImage] = useState(false);
+  const [allLocations, setAllLocations] = useState(false);
+  const [versionCount, setVersionCount] = useState(1);
+  const [postType, setPostType] = useState<GBPPostType>('update');
+  const [postTitle, setPostTitle] = useState('');
+  const [startAt, setStartAt] = useState('');
+  const [endAt, setEndAt] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [redeemUrl, setRedeemUrl] = useState('');
+  const [terms, setTerms] = useState('');
+
+  // Call-to-action button and landing page
+  const [ctaType, setCtaType] = useState<GBPCtaType>('LEARN_MORE');
+  const [landingPages, setLandingPages] = useState<GBPLandingPage[]>([]);
+  const [landingPage, setLandingPage] = useState('');
+  const [customLandingPage, setCustomLandingPage] = useState('');
+  const [utmEnabled, setUtmEnabled] = useState(true);
+  const [utmCampaign, setUtmCampaign] = useState('');
+
+  // AI topic suggestions
+  const [topicSuggestions, setTopicSuggestions] = useState<GBPTopicSuggestion[]>([]);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [topicDuplicates, setTopicDuplicates] = useState<GBPTopicDuplicate[]>([]);
+  const [campaign, setCampaign] = useState<GBPCampaign | null>(null);
   const [isCreating, setIsCreating] = useState(false);
   const [preview, setPreview] = useState<GBPPostPreview | null>(null);
+  const [variants, setVariants] = useState<GBPPostVariant[]>([]);
+  const [lengthReport, setLengthReport] = useState<GBPLengthReport | null>(null);
+  const [usedFallbackProvider, setUsedFallbackProvider] = useState(false);
+  const [lint, setLint] = useState<GBPLintResult | null>(null);
+  const [isGeneratingVariants, setIsGeneratingVariants] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
+
+  // Draft review & approval
+  const [editedContent, setEditedContent] = useState('');
+  const [reviewerName, setReviewerName] = useState(() => localStorage.getItem(REVIEWER_STORAGE_KEY) || '');
+  const [approverContact, setApproverContact] = useState('');
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [isReviewing, setIsReviewing] = useState(false);
   
   // GoHighLevel Sub-Account Management
   const [showGHLSetup, setShowGHLSetup] = useState(false);
@@ -31,6 +136,41 @@ const GBPPostCreator: React.FC<GBPPostCreatorProps> = ({ client, onPostCreated }
   const [ghlAccessToken, setGhlAccessToken] = useState('');
   const [ghlSubAccounts, setGhlSubAccounts] = useState<GHLSubAccount[]>([]);
 
+  const loadLandingPages = useCallback(async () => {
+    if (!client?.id) {
+      setLandingPages([]);
+      return;
+    }
+    try {
+      const res = await getGBPLandingPages(client.id);
+      setLandingPages(res?.pages || []);
+    } catch (err) {
+      console.error('❌ Error loading landing pages:', err);
+      setLandingPages([]);
+    }
+  }, [client?.id]);
+
+  useEffect(() => {
+    setLandingPage('');
+    setTopicSuggestions([]);
+    setTopicDuplicates([]);
+    loadLandingPages();
+  }, [loadLandingPages]);
+
+  // Re-lint the draft while it is being edited
+  useEffect(() => {
+    if (!client || !preview) return;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await lintGBPContent(client.id, editedContent);
+        setLint(result.lint);
+      } catch (err) {
+        console.error('❌ Error linting GBP content:', err);
+      }
+    }, LINT_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [client?.id, preview?.id, editedContent]);
+
   // Handle null client - moved after all hooks
   if (!client) {
     return (
@@ -91,40 +231,192 @@ const GBPPostCreator: React.FC<GBPPostCreatorProps> = ({ client, onPostCreated }
     }
   };
 
-  const handleCreatePost = async () => {
+  const handleSuggestTopics = async () => {
+    setIsSuggesting(true);
+    setError(null);
+    try {
+      const result = await getGBPTopicSuggestions(client.id);
+      setTopicSuggestions(result.suggestions);
+      if (result.suggestions.length === 0) {
+        setError('No topic suggestions came back — try again in a moment');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to suggest topics');
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
+  // Fill the topic, and the landing page when the idea promotes a specific service page
+  const handlePickSuggestion = (suggestion: GBPTopicSuggestion) => {
+    setTopic(suggestion.topic);
+    setTopicDuplicates([]);
+    if (suggestion.landingPageUrl && landingPages.some(page => page.url === suggestion.landingPageUrl)) {
+      setLandingPage(suggestion.landingPageUrl);
+    }
+  };
+
+  const handleCreatePost = async (allowDuplicate = false) => {
     if (!topic.trim()) {
       setError('Please enter a topic for your GBP post');
       return;
     }
 
+    if (postType !== 'update' && (!postTitle.trim() || !startAt || !endAt)) {
+      setError(`Please enter a title, start and end date for the ${postType}`);
+      return;
+    }
+
+    const moreInfoUrl = landingPage === CUSTOM_LANDING_PAGE ? customLandingPage.trim() : landingPage;
+    const callToAction: GBPCallToActionDetails = postType === 'offer' ? {} : {
+      ctaType,
+      moreInfoUrl: ctaType === 'CALL' ? undefined : moreInfoUrl || undefined,
+      utm: utmEnabled,
+      utmCampaign: utmCampaign.trim() || undefined
+    };
+
+    const details: GBPPostTypeDetails = postType === 'update'
+      ? { postType }
+      : {
+          postType,
+          title: postTitle.trim(),
+          startAt: new Date(startAt),
+          endAt: new Date(endAt),
+          ...(postType === 'offer' && {
+            couponCode: couponCode.trim() || undefined,
+            redeemUrl: redeemUrl.trim() || undefined,
+            terms: terms.trim() || undefined
+          })
+        };
+
     setIsCreating(true);
     setError(null);
     setSuccess(null);
+    setTopicDuplicates([]);
+    setVariants([]);
+    setLengthReport(null);
+    setUsedFallbackProvider(false);
+    setLint(null);
 
     try {
+      // Franchise clients: one localized draft per active location
+      if (allLocations) {
+        const result = await createGBPCampaign(client.id, topic, scheduledAt ? new Date(scheduledAt) : undefined, generateImage, undefined, { ...details, ...callToAction, allowDuplicate });
+        setCampaign(result.campaign);
+        setPreview(null);
+        const failed = result.failures.map(f => `${f.name || f.locationId}: ${f.error}`).join('; ');
+        setSuccess(result.message);
+        if (failed) setError(`Some locations failed — ${failed}`);
+        setTopic('');
+        setScheduledAt('');
+        onPostCreated?.();
+        return;
+      }
+
       // Phase 1: Simple content generation only
-      const result = await createGBPPost(client.id, topic);
+      const result = await createGBPPost(client.id, topic, scheduledAt ? new Date(scheduledAt) : undefined, generateImage, { ...details, ...callToAction, allowDuplicate });
       
       if (result.success) {
         setSuccess(result.message);
-        setPreview({
-          content: result.post.content,
-          imageUrl: undefined, // Phase 1: No images yet
-          moreInfoUrl: '', // Phase 1: No more info links yet
-          scheduledAt: new Date(result.post.created_at)
-        });
+        setCampaign(null);
+        setPreview(toPreview(result.post));
+        setEditedContent(result.post.content);
+        setLengthReport(result.lengthReport || null);
+        setUsedFallbackProvider(!!result.generation?.fallback);
+        setLint(result.lint || null);
         setTopic('');
+        setScheduledAt('');
         onPostCreated?.();
+        if (versionCount > 1) {
+          await handleGenerateVariants(result.post.id, versionCount - 1);
+        }
       } else {
         setError('Failed to create GBP post');
       }
     } catch (err) {
+      if (err instanceof DuplicateTopicError) {
+        setTopicDuplicates(err.duplicates);
+        return;
+      }
       setError(err instanceof Error ? err.message : 'An error occurred');
     } finally {
       setIsCreating(false);
     }
   };
 
+  // Extra versions are generated after the draft exists; the draft itself is kept as the "original"
+  const handleGenerateVariants = async (postId: number, count: number) => {
+    setIsGeneratingVariants(true);
+    try {
+      const result = await generateGBPVariants(postId, count);
+      setVariants(result.variants);
+      if (result.failures.length > 0) {
+        setError(`Some versions failed — ${result.failures.map(f => `${f.style}: ${f.error}`).join('; ')}`);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to generate versions');
+    } finally {
+      setIsGeneratingVariants(false);
+    }
+  };
+
+  const handleVariantChosen = (post: GBPPost, updatedVariants: GBPPostVariant[], message: string) => {
+    setPreview(toPreview(post));
+    setEditedContent(post.content);
+    setVariants(updatedVariants);
+    setSuccess(message);
+    setError(null);
+    onPostCreated?.();
+  };
+
+  const runReviewAction = async (action: () => Promise<{ post: GBPPost, message: string }>, requiresReviewer = true) => {
+    if (requiresReviewer && !reviewerName.trim()) {
+      setError('Please enter your name so the review is recorded');
+      return;
+    }
+
+    setIsReviewing(true);
+    setError(null);
+    setSuccess(null);
+    localStorage.setItem(REVIEWER_STORAGE_KEY, reviewerName.trim());
+
+    try {
+      const result = await action();
+      setPreview(toPreview(result.post));
+      setEditedContent(result.post.content);
+      setSuccess(result.message);
+      onPostCreated?.();
+    } catch (err) {
+      // Someone else changed the post: show theirs, but keep the text being edited here
+      if (err instanceof PostVersionConflictError) {
+        setPreview(toPreview(err.post));
+      }
+      setError(err instanceof Error ? err.message : 'Review action failed');
+    } finally {
+      setIsReviewing(false);
+    }
+  };
+
+  const handleSaveDraft = () => {
+    if (!preview) return;
+    runReviewAction(() => updateGBPPostContent(preview.id, preview.version, editedContent, reviewerName.trim() || undefined), false);
+  };
+
+  const handleSubmitForApproval = () => {
+    if (!preview) return;
+    runReviewAction(() => submitGBPPostForApproval(preview.id, reviewerName.trim(), approverContact.trim() || undefined));
+  };
+
+  const handleApprove = () => {
+    if (!preview) return;
+    runReviewAction(() => approveGBPPost(preview.id, reviewerName.trim()));
+  };
+
+  const handleReject = () => {
+    if (!preview) return;
+    runReviewAction(() => rejectGBPPost(preview.id, reviewerName.trim(), rejectionReason.trim() || undefined));
+  };
+
   // Temporarily disable automatic GHL loading to fix React error #310
   // TODO: Re-implement with proper dependency management
 
@@ -182,6 +474,10 @@ const GBPPostCreator: React.FC<GBPPostCreatorProps> = ({ client, onPostCreated }
     }
   };
 
+  const isEditable = !!preview && ['draft', 'pending_approval', 'rejected'].includes(preview.status);
+  const isReviewable = !!preview && ['draft', 'pending_approval', 'rejected', 'approved'].includes(preview.status);
+  const hasLintErrors = !!lint && !lint.passed;
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <div className="flex items-center justify-between mb-6">
@@ -199,6 +495,17 @@ const GBPPostCreator: React.FC<GBPPostCreatorProps> = ({ client, onPostCreated }
       {showGHLSetup && (
         <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
           <h3 className="text-lg font-semibold text-blue-900 mb-4">GoHighLevel Sub-Account Setup</h3>
+
+          <div className="mb-4 flex items-center justify-between p-3 bg-white rounded-md border border-blue-200">
+            <p className="text-sm text-gray-700">Recommended: connect securely with GoHighLevel. Tokens are refreshed automatically.</p>
+            <a
+              href={getGHLOAuthUrl(client.id)}
+              className="ml-4 shrink-0 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Connect with GoHighLevel
+            </a>
+          </div>
+          <p className="text-xs text-gray-500 mb-4">Or paste a location access token manually (manual tokens are not refreshed):</p>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
             <div>
@@ -263,10 +570,24 @@ const GBPPostCreator: React.FC<GBPPostCreatorProps> = ({ client, onPostCreated }
         </div>
         {ghlSubAccounts.length > 0 ? (
           ghlSubAccounts.map((account) => (
-            <div key={account.id} className="flex items-center justify-between py-2">
+            <div key={account.id} className="flex items-start justify-between py-2">
               <div>
                 <span className="font-medium">{account.sub_account_name || 'Unnamed Account'}</span>
                 <span className="text-sm text-gray-600 ml-2">({account.location_id})</span>
+                <span className="text-xs text-gray-500 ml-2">
+                  {account.connected_via === 'oauth'
+                    ? `OAuth${account.token_expires_at ? ` · token refreshes ${new Date(account.token_expires_at).toLocaleString()}` : ''}`
+                    : 'Manual token'}
+                  {account.access_token_masked && ` · ${account.access_token_masked}`}
+                </span>
+                <GBPAccountSelector
+                  subAccount={account}
+                  onSaved={(updated) => setGhlSubAccounts(prev => prev.map(a => a.id === updated.id ? updated : a))}
+                />
+                <GHLLocationDetails
+                  subAccount={account}
+                  onSaved={(updated) => setGhlSubAccounts(prev => prev.map(a => a.id === updated.id ? updated : a))}
+                />
               </div>
               <span className={`px-2 py-1 rounded-full text-xs ${
                 account.is_active ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
@@ -282,29 +603,312 @@ const GBPPostCreator: React.FC<GBPPostCreatorProps> = ({ client, onPostCreated }
 
       {/* Phase 1: Simple Post Creation Form */}
       <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Post Type
+          </label>
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden w-fit">
+            {POST_TYPE_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setPostType(option.value)}
+                className={`px-4 py-2 text-sm transition-colors ${
+                  postType === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {postType !== 'update' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 bg-gray-50 rounded-lg border">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {postType === 'event' ? 'Event Title' : 'Offer Title'}
+              </label>
+              <input
+                type="text"
+                value={postTitle}
+                onChange={(e) => setPostTitle(e.target.value)}
+                maxLength={58}
+                placeholder={postType === 'event' ? 'e.g. Spring Open House' : 'e.g. 20% Off Drain Cleaning'}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {postType === 'event' ? 'Starts' : 'Valid From'}
+              </label>
+              <input
+                type="datetime-local"
+                value={startAt}
+                onChange={(e) => setStartAt(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {postType === 'event' ? 'Ends' : 'Valid Until'}
+              </label>
+              <input
+                type="datetime-local"
+                value={endAt}
+                onChange={(e) => setEndAt(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+              />
+            </div>
+            {postType === 'offer' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Coupon Code (optional)
+                  </label>
+                  <input
+                    type="text"
+                    value={couponCode}
+                    onChange={(e) => setCouponCode(e.target.value)}
+                    placeholder="SPRING20"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Redeem Online URL (optional)
+                  </label>
+                  <input
+                    type="url"
+                    value={redeemUrl}
+                    onChange={(e) => setRedeemUrl(e.target.value)}
+                    placeholder="https://"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Terms & Conditions (optional)
+                  </label>
+                  <textarea
+                    value={terms}
+                    onChange={(e) => setTerms(e.target.value)}
+                    rows={2}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Post Topic
           </label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={topic}
+              onChange={(e) => { setTopic(e.target.value); setTopicDuplicates([]); }}
+              placeholder="What would you like to post about?"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+            />
+            <button
+              onClick={handleSuggestTopics}
+              disabled={isSuggesting}
+              className="shrink-0 flex items-center px-3 py-2 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+            >
+              <LightBulbIcon className="w-5 h-5 mr-1" />
+              {isSuggesting ? 'Thinking...' : 'Suggest'}
+            </button>
+          </div>
+          {topicSuggestions.length > 0 && (
+            <ul className="mt-2 space-y-1">
+              {topicSuggestions.map(suggestion => (
+                <li key={suggestion.rank}>
+                  <button
+                    onClick={() => handlePickSuggestion(suggestion)}
+                    title={suggestion.reason || undefined}
+                    className={`w-full text-left px-3 py-2 rounded-md border text-sm transition-colors ${
+                      topic === suggestion.topic ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className={`mr-2 px-2 py-0.5 rounded-full text-xs capitalize ${ANGLE_STYLES[suggestion.angle]}`}>{suggestion.angle}</span>
+                    <span className="text-gray-900">{suggestion.topic}</span>
+                    {suggestion.reason && <span className="block mt-0.5 text-xs text-gray-500">{suggestion.reason}</span>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Schedule For (optional)
+          </label>
           <input
-            type="text"
-            value={topic}
-            onChange={(e) => setTopic(e.target.value)}
-            placeholder="What would you like to post about?"
+            type="datetime-local"
+            value={scheduledAt}
+            onChange={(e) => setScheduledAt(e.target.value)}
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
           />
+          <p className="mt-1 text-xs text-gray-500">Leave empty to publish as soon as the post is approved.</p>
         </div>
 
+        {postType !== 'offer' && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Button
+              </label>
+              <select
+                value={ctaType}
+                onChange={(e) => setCtaType(e.target.value as GBPCtaType)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+              >
+                {CTA_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {ctaType === 'CALL' ? (
+              <p className="md:col-span-2 self-end pb-2 text-sm text-gray-500">Call buttons dial the phone number on the Business Profile.</p>
+            ) : (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Landing Page
+                </label>
+                <select
+                  value={landingPage}
+                  onChange={(e) => setLandingPage(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                >
+                  <option value="">Website homepage{client.websiteUrl ? ` (${client.websiteUrl})` : ''}</option>
+                  {landingPages.filter(page => page.url !== client.websiteUrl).map(page => (
+                    <option key={page.url} value={page.url}>
+                      {page.title ? `${page.title} — ${page.url}` : page.url}
+                    </option>
+                  ))}
+                  <option value={CUSTOM_LANDING_PAGE}>Other URL...</option>
+                </select>
+                {landingPage === CUSTOM_LANDING_PAGE && (
+                  <input
+                    type="url"
+                    value={customLandingPage}
+                    onChange={(e) => setCustomLandingPage(e.target.value)}
+                    placeholder="https://"
+                    className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                  />
+                )}
+              </div>
+            )}
+
+            {ctaType !== 'CALL' && (
+              <div className="md:col-span-3 flex flex-wrap items-center gap-3 text-sm text-gray-700">
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={utmEnabled}
+                    onChange={(e) => setUtmEnabled(e.target.checked)}
+                    className="mr-2 h-4 w-4"
+                  />
+                  Add UTM tracking (utm_source=google, utm_medium=gbp)
+                </label>
+                {utmEnabled && (
+                  <input
+                    type="text"
+                    value={utmCampaign}
+                    onChange={(e) => setUtmCampaign(e.target.value)}
+                    placeholder={`utm_campaign (default gbp_${postType})`}
+                    className="px-2 py-1 border border-gray-300 rounded-md text-gray-900 bg-white"
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={generateImage}
+            onChange={(e) => setGenerateImage(e.target.checked)}
+            className="mr-2 h-4 w-4"
+          />
+          <PhotoIcon className="w-4 h-4 mr-1 text-gray-500" />
+          Generate a photorealistic image (adds ~30 seconds)
+        </label>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={allLocations}
+            onChange={(e) => setAllLocations(e.target.checked)}
+            className="mr-2 h-4 w-4"
+          />
+          Post to every active location (one localized draft per GoHighLevel sub-account)
+        </label>
+
+        {!allLocations && (
+          <div className="flex items-center text-sm text-gray-700">
+            <label htmlFor="gbp-version-count" className="mr-2">Versions to compare</label>
+            <select
+              id="gbp-version-count"
+              value={versionCount}
+              onChange={(e) => setVersionCount(Number(e.target.value))}
+              className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+            >
+              {[1, 2, 3, 4].map(n => (
+                <option key={n} value={n}>{n === 1 ? '1 (just one)' : n}</option>
+              ))}
+            </select>
+            <span className="ml-2 text-xs text-gray-500">Each extra version takes a different angle and tone</span>
+          </div>
+        )}
+
+        {topicDuplicates.length > 0 && (
+          <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+            <p className="text-yellow-800 font-medium">This topic is very close to something this client has already posted about:</p>
+            <ul className="mt-2 space-y-1 text-sm text-yellow-900">
+              {topicDuplicates.map((duplicate, i) => (
+                <li key={i}>
+                  <span className="mr-2 px-2 py-0.5 rounded-full text-xs bg-yellow-100">{Math.round(duplicate.similarity * 100)}% match</span>
+                  {duplicate.source === 'post' ? 'Post: ' : 'Topic: '}{duplicate.text}
+                  {duplicate.usedAt && <span className="text-yellow-700"> ({new Date(duplicate.usedAt).toLocaleDateString()})</span>}
+                </li>
+              ))}
+            </ul>
+            <div className="mt-3 flex space-x-2">
+              <button
+                onClick={() => handleCreatePost(true)}
+                disabled={isCreating}
+                className="px-3 py-2 bg-yellow-600 text-white text-sm rounded-md hover:bg-yellow-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                Create Anyway
+              </button>
+              <button
+                onClick={handleSuggestTopics}
+                disabled={isSuggesting}
+                className="px-3 py-2 bg-white border border-yellow-300 text-yellow-800 text-sm rounded-md hover:bg-yellow-100 disabled:cursor-not-allowed transition-colors"
+              >
+                Suggest Something New
+              </button>
+            </div>
+          </div>
+        )}
+
         <div className="flex space-x-2">
           <button
-            onClick={handleCreatePost}
+            onClick={() => handleCreatePost()}
             disabled={isCreating || !topic.trim()}
             className="flex-1 flex items-center justify-center px-4 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
           >
             {isCreating ? (
               <>
                 <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                Generating Content...
+                {allLocations ? 'Generating Location Drafts...' : generateImage ? 'Generating Content & Image...' : 'Generating Content...'}
               </>
             ) : (
               <>
@@ -345,25 +949,228 @@ const GBPPostCreator: React.FC<GBPPostCreatorProps> = ({ client, onPostCreated }
         </div>
       )}
 
-      {/* Phase 1: Content Preview */}
+      {campaign && (
+        <GBPCampaignReview
+          campaign={campaign}
+          reviewerName={reviewerName}
+          onReviewerNameChange={setReviewerName}
+          onChange={(updated, message) => {
+            localStorage.setItem(REVIEWER_STORAGE_KEY, reviewerName.trim());
+            setCampaign(updated);
+            setError(null);
+            setSuccess(message);
+            onPostCreated?.();
+          }}
+          onError={setError}
+        />
+      )}
+
+      {/* Draft Review & Approval */}
       {preview && (
         <div className="mt-6 p-4 bg-gray-50 rounded-lg border">
-          <h3 className="text-lg font-semibold text-gray-900 mb-3">Generated GBP Content</h3>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-lg font-semibold text-gray-900">Review GBP Draft</h3>
+            <span className="px-2 py-1 rounded-full text-xs bg-gray-200 text-gray-800 capitalize">
+              {preview.status.replace('_', ' ')}
+            </span>
+          </div>
           
           <div className="bg-white p-4 rounded-lg shadow-sm">
-            <p className="text-gray-800 mb-3 text-lg leading-relaxed">{preview.content}</p>
+            {preview.postType !== 'update' && (
+              <div className="mb-3">
+                <span className="px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800 capitalize">{preview.postType}</span>
+                {preview.title && <h4 className="mt-1 text-lg font-semibold text-gray-900">{preview.title}</h4>}
+                {preview.startAt && preview.endAt && (
+                  <p className="text-sm text-gray-600">
+                    {preview.startAt.toLocaleString()} – {preview.endAt.toLocaleString()}
+                  </p>
+                )}
+              </div>
+            )}
+            {preview.imageUrl && (
+              <img
+                src={preview.imageUrl}
+                alt="Generated GBP post image"
+                className="w-full aspect-[4/3] object-cover rounded-md mb-3"
+              />
+            )}
+            {isEditable ? (
+              <textarea
+                value={editedContent}
+                onChange={(e) => setEditedContent(e.target.value)}
+                rows={5}
+                className="w-full mb-3 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white leading-relaxed"
+              />
+            ) : (
+              <p className="text-gray-800 mb-3 text-lg leading-relaxed">{preview.content}</p>
+            )}
             
+            {preview.ctaText && (
+              <div className="mb-3">
+                {preview.moreInfoUrl ? (
+                  <a
+                    href={preview.moreInfoUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    title={preview.moreInfoUrl}
+                    className="inline-flex items-center px-4 py-1.5 border border-blue-600 text-blue-600 rounded-full text-sm font-medium hover:bg-blue-50"
+                  >
+                    <LinkIcon className="w-4 h-4 mr-1" />
+                    {preview.ctaText}
+                  </a>
+                ) : (
+                  <span className="inline-flex items-center px-4 py-1.5 border border-blue-600 text-blue-600 rounded-full text-sm font-medium">
+                    {preview.ctaText}
+                  </span>
+                )}
+                {preview.moreInfoUrl && <p className="mt-1 text-xs text-gray-500 break-all">{preview.moreInfoUrl}</p>}
+              </div>
+            )}
+
+            {preview.postType === 'offer' && (preview.couponCode || preview.redeemUrl || preview.terms) && (
+              <div className="mb-3 p-3 border border-dashed border-gray-300 rounded-md text-sm text-gray-700 space-y-1">
+                {preview.couponCode && <p>Coupon code: <span className="font-mono font-semibold">{preview.couponCode}</span></p>}
+                {preview.redeemUrl && (
+                  <p className="flex items-center">
+                    <LinkIcon className="w-4 h-4 mr-1" />
+                    <a href={preview.redeemUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">Redeem online</a>
+                  </p>
+                )}
+                {preview.terms && <p className="text-xs text-gray-500">{preview.terms}</p>}
+              </div>
+            )}
+
             <div className="flex items-center justify-between text-sm text-gray-600">
               <div className="flex items-center">
                 <CalendarIcon className="w-4 h-4 mr-1" />
-                Created: {preview.scheduledAt.toLocaleString()}
+                {preview.isScheduled ? 'Scheduled' : 'Created'}: {preview.scheduledAt.toLocaleString()}
               </div>
               
-              <div className="text-xs text-gray-500">
-                {preview.content.length} characters
+              <div className="text-xs text-gray-500 text-right">
+                <span className={lengthReport && (isEditable ? editedContent : preview.content).length > lengthReport.max ? 'text-orange-600' : undefined}>
+                  {(isEditable ? editedContent : preview.content).length} characters
+                  {lengthReport && ` (target ${lengthReport.min}–${lengthReport.max})`}
+                </span>
+                {lengthReport && (lengthReport.rewrites > 0 || lengthReport.trimmed) && (
+                  <span className="block">
+                    Generated at {lengthReport.originalLength}
+                    {lengthReport.rewrites > 0 && `, rewritten ${lengthReport.rewrites === 1 ? 'once' : `${lengthReport.rewrites} times`}`}
+                    {lengthReport.trimmed && ', trimmed to whole sentences'}
+                  </span>
+                )}
+                {preview.aiModel && (
+                  <span className={`block ${usedFallbackProvider ? 'text-orange-600' : ''}`}>
+                    Written by {preview.aiModel}
+                    {usedFallbackProvider && ' (fallback — the primary provider was unavailable)'}
+                  </span>
+                )}
               </div>
             </div>
+
+            <GBPLintFindings lint={lint} />
+            <GBPGenerationLog key={preview.id} postId={preview.id} />
           </div>
+
+          {isGeneratingVariants && (
+            <div className="mt-4 flex items-center text-sm text-gray-600">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-purple-600 mr-2"></div>
+              Writing alternative versions...
+            </div>
+          )}
+          {isEditable && variants.length > 0 && (
+            <GBPVariantComparison
+              postId={preview.id}
+              variants={variants}
+              reviewerName={reviewerName}
+              disabled={isReviewing || isGeneratingVariants}
+              onChosen={handleVariantChosen}
+              onError={setError}
+            />
+          )}
+          {isEditable && variants.length === 0 && !isGeneratingVariants && (
+            <button
+              onClick={() => handleGenerateVariants(preview.id, 2)}
+              className="mt-3 text-sm text-purple-700 hover:text-purple-900 underline"
+            >
+              Compare with alternative versions
+            </button>
+          )}
+
+          {isReviewable && (
+            <div className="mt-4 space-y-3">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <input
+                  type="text"
+                  value={reviewerName}
+                  onChange={(e) => setReviewerName(e.target.value)}
+                  placeholder="Your name (recorded on the review)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                />
+                {preview.status === 'pending_approval' ? (
+                  <input
+                    type="text"
+                    value={rejectionReason}
+                    onChange={(e) => setRejectionReason(e.target.value)}
+                    placeholder="Rejection reason (optional)"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    value={approverContact}
+                    onChange={(e) => setApproverContact(e.target.value)}
+                    placeholder="Client approver email (optional)"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                  />
+                )}
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                {isEditable && (
+                  <button
+                    onClick={handleSaveDraft}
+                    disabled={isReviewing || !editedContent.trim() || editedContent === preview.content}
+                    className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Save Edits
+                  </button>
+                )}
+                {(preview.status === 'draft' || preview.status === 'rejected') && (
+                  <button
+                    onClick={handleSubmitForApproval}
+                    disabled={isReviewing || editedContent !== preview.content}
+                    className="px-4 py-2 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Send for Approval
+                  </button>
+                )}
+                {preview.status !== 'rejected' && (
+                  <button
+                    onClick={handleApprove}
+                    disabled={isReviewing || editedContent !== preview.content || hasLintErrors}
+                    className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {preview.isScheduled ? 'Approve & Schedule' : 'Approve & Publish'}
+                  </button>
+                )}
+                {preview.status === 'pending_approval' && (
+                  <button
+                    onClick={handleReject}
+                    disabled={isReviewing}
+                    className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Reject
+                  </button>
+                )}
+              </div>
+              {editedContent !== preview.content && (
+                <p className="text-xs text-gray-500">Save your edits before sending or approving the post.</p>
+              )}
+              {hasLintErrors && (
+                <p className="text-xs text-red-700">Fix the content errors above before approving — Google would reject this post.</p>
+              )}
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,372 @@
+import React, { useState } from 'react';
+import { updateGBPPost, unpublishGBPPost, deleteGBPPost, getGBPPostChanges, PostVersionConflictError, GBPPost, GBPPostChange, GBPPostEdits, GBPCtaType } from '../services/geminiService';
+import GBPLintFindings from './GBPLintFindings';
+import Spinner from './Spinner';
+
+interface GBPPostEditModalProps {
+  post: GBPPost;
+  onClose: () => void;
+  onSaved: (post: GBPPost) => void;
+  onDeleted: (postId: number) => void;
+}
+
+const REVIEWER_STORAGE_KEY = 'postmonkee.reviewerName';
+
+const CTA_LABELS: Record<GBPCtaType, string> = {
+  LEARN_MORE: 'Learn More',
+  BOOK: 'Book',
+  ORDER: 'Order',
+  SHOP: 'Shop',
+  SIGN_UP: 'Sign Up',
+  CALL: 'Call',
+};
+
+// Statuses GoHighLevel still lets us change once a post has been sent there
+const REMOTE_EDITABLE_STATUSES = ['scheduled', 'published', 'failed'];
+
+const ACTION_LABELS: Record<GBPPostChange['action'], string> = {
+  update: 'Edited',
+  unpublish: 'Unpublished',
+  delete: 'Deleted',
+};
+
+const FIELD_LABELS: Record<string, string> = {
+  content: 'content',
+  cta_type: 'button',
+  cta_text: 'button label',
+  more_info_url: 'landing page',
+  image_url: 'image',
+  scheduled_at: 'schedule',
+};
+
+// <input type="datetime-local"> value in the browser's time zone
+const toLocalInput = (value?: string | null) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white';
+
+// Edit, unpublish or delete a post; posts already in GoHighLevel are changed there too
+const GBPPostEditModal: React.FC<GBPPostEditModalProps> = ({ post, onClose, onSaved, onDeleted }) => {
+  // All hooks must be called at the top level
+  const [current, setCurrent] = useState<GBPPost>(post);
+  const [content, setContent] = useState(post.content);
+  const [ctaType, setCtaType] = useState<GBPCtaType>(post.cta_type || 'LEARN_MORE');
+  const [moreInfoUrl, setMoreInfoUrl] = useState(post.more_info_url || '');
+  const [imageUrl, setImageUrl] = useState(post.image_url || '');
+  const [scheduledAt, setScheduledAt] = useState(toLocalInput(post.scheduled_at));
+  const [editorName, setEditorName] = useState(() => localStorage.getItem(REVIEWER_STORAGE_KEY) || '');
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [conflict, setConflict] = useState<GBPPost | null>(null);
+  const [history, setHistory] = useState<GBPPostChange[] | null>(null);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const isRemote = !!current.ghl_post_id;
+  const canEdit = current.status !== 'publishing' && (!isRemote || REMOTE_EDITABLE_STATUSES.includes(current.status));
+  const canReschedule = !isRemote || current.status === 'scheduled';
+  const hasButton = current.post_type !== 'offer';
+
+  const resetForm = (next: GBPPost) => {
+    setCurrent(next);
+    setContent(next.content);
+    setCtaType(next.cta_type || 'LEARN_MORE');
+    setMoreInfoUrl(next.more_info_url || '');
+    setImageUrl(next.image_url || '');
+    setScheduledAt(toLocalInput(next.scheduled_at));
+  };
+
+  const loadHistory = async () => {
+    try {
+      const res = await getGBPPostChanges(current.id);
+      setHistory(res.changes);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load history');
+    }
+  };
+
+  const handleToggleHistory = () => {
+    const opening = !showHistory;
+    setShowHistory(opening);
+    if (opening) loadHistory();
+  };
+
+  // Run an edit action, turning version conflicts into a prompt to reload the post
+  const runAction = async <T,>(action: () => Promise<T>): Promise<T | null> => {
+    setIsWorking(true);
+    setError(null);
+    setMessage(null);
+    setConflict(null);
+    localStorage.setItem(REVIEWER_STORAGE_KEY, editorName.trim());
+    try {
+      return await action();
+    } catch (err) {
+      if (err instanceof PostVersionConflictError) {
+        setConflict(err.post);
+        setError(err.message);
+      } else {
+        setError(err instanceof Error ? err.message : 'Something went wrong');
+      }
+      return null;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const edits: GBPPostEdits = {};
+    if (content.trim() !== current.content) edits.content = content.trim();
+    if (hasButton && (ctaType !== (current.cta_type || 'LEARN_MORE') || moreInfoUrl !== (current.more_info_url || ''))) {
+      edits.callToAction = { ctaType, moreInfoUrl: ctaType === 'CALL' ? undefined : moreInfoUrl || undefined };
+    }
+    if ((imageUrl.trim() || null) !== (current.image_url || null)) edits.imageUrl = imageUrl.trim() || null;
+    if (canReschedule && scheduledAt !== toLocalInput(current.scheduled_at)) {
+      edits.scheduledAt = scheduledAt ? new Date(scheduledAt).toISOString() : null;
+    }
+    if (Object.keys(edits).length === 0) {
+      setMessage('Nothing to save');
+      return;
+    }
+
+    const res = await runAction(() => updateGBPPost(current.id, current.version, edits, editorName.trim() || undefined));
+    if (res) {
+      resetForm(res.post);
+      setMessage(res.message);
+      onSaved(res.post);
+      if (showHistory) loadHistory();
+    }
+  };
+
+  const handleUnpublish = async () => {
+    if (!window.confirm('Remove this post from GoHighLevel and Google? It will be kept here as a draft.')) return;
+    const res = await runAction(() => unpublishGBPPost(current.id, current.version, editorName.trim() || undefined));
+    if (res) {
+      resetForm(res.post);
+      setMessage(res.message);
+      onSaved(res.post);
+      if (showHistory) loadHistory();
+    }
+  };
+
+  const handleDelete = async () => {
+    const where = isRemote ? ' It will also be removed from GoHighLevel and Google.' : '';
+    if (!window.confirm(`Delete this post?${where}`)) return;
+    const res = await runAction(() => deleteGBPPost(current.id, current.version, editorName.trim() || undefined));
+    if (res) {
+      onDeleted(current.id);
+      onClose();
+    }
+  };
+
+  const handleReloadLatest = () => {
+    if (!conflict) return;
+    resetForm(conflict);
+    onSaved(conflict);
+    setConflict(null);
+    setError(null);
+    setMessage('Loaded the latest version; your unsaved changes were discarded');
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50"
+      onClick={onClose}
+      aria-modal="true"
+      role="dialog"
+    >
+      <div
+        className="bg-white rounded-lg shadow-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Edit Post</h2>
+            <p className="text-xs text-gray-500">
+              <span className="capitalize">{current.status.replace('_', ' ')}</span>
+              {isRemote && ' · in GoHighLevel'}
+              {' · '}version {current.version}
+              {current.last_edited_by && ` · last edited by ${current.last_edited_by}`}
+            </p>
+          </div>
+          <button onClick={onClose} aria-label="Close" className="text-gray-500 hover:text-gray-800 text-xl leading-none">×</button>
+        </div>
+
+        {error && (
+          <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-red-800 text-sm">{error}</p>
+            {conflict && (
+              <button onClick={handleReloadLatest} className="mt-2 text-sm text-blue-600 hover:text-blue-800 underline">
+                Load the latest version
+              </button>
+            )}
+          </div>
+        )}
+        {message && <p className="mb-3 text-sm text-green-700">{message}</p>}
+
+        {!canEdit && (
+          <p className="mb-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            {current.status === 'publishing'
+              ? 'This post is being published right now and cannot be changed.'
+              : `GoHighLevel no longer accepts changes to ${current.status.replace('_', ' ')} posts.`}
+          </p>
+        )}
+        {isRemote && canEdit && (
+          <p className="mb-3 text-sm text-gray-600">Saving also updates the post in GoHighLevel. If GoHighLevel refuses, nothing is changed here.</p>
+        )}
+        {!isRemote && ['pending_approval', 'approved', 'scheduled'].includes(current.status) && (
+          <p className="mb-3 text-sm text-gray-600">Changing anything but the date sends the post back to draft for re-approval.</p>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Content</label>
+            <textarea
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              disabled={!canEdit}
+              rows={6}
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">{content.trim().length} characters</p>
+          </div>
+
+          {hasButton && (
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Button</label>
+                <select
+                  value={ctaType}
+                  onChange={(e) => setCtaType(e.target.value as GBPCtaType)}
+                  disabled={!canEdit}
+                  className={inputClass}
+                >
+                  {(Object.keys(CTA_LABELS) as GBPCtaType[]).map(type => (
+                    <option key={type} value={type}>{CTA_LABELS[type]}</option>
+                  ))}
+                </select>
+              </div>
+              {ctaType !== 'CALL' && (
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Landing Page</label>
+                  <input
+                    type="url"
+                    value={moreInfoUrl}
+                    onChange={(e) => setMoreInfoUrl(e.target.value)}
+                    disabled={!canEdit}
+                    placeholder="https://"
+                    className={inputClass}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Image URL</label>
+            <input
+              type="url"
+              value={imageUrl}
+              onChange={(e) => setImageUrl(e.target.value)}
+              disabled={!canEdit}
+              placeholder="Leave empty for no image"
+              className={inputClass}
+            />
+            {imageUrl && <img src={imageUrl} alt="" className="mt-2 max-h-32 rounded border border-gray-200" />}
+          </div>
+
+          {canReschedule && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Scheduled For</label>
+              <input
+                type="datetime-local"
+                value={scheduledAt}
+                onChange={(e) => setScheduledAt(e.target.value)}
+                disabled={!canEdit}
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Your Name</label>
+            <input
+              type="text"
+              value={editorName}
+              onChange={(e) => setEditorName(e.target.value)}
+              placeholder="Recorded in the change history"
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <GBPLintFindings lint={current.lint_findings} />
+
+        <div className="flex flex-wrap justify-between gap-2 mt-6">
+          <div className="flex gap-2">
+            <button
+              onClick={handleDelete}
+              disabled={isWorking || current.status === 'publishing'}
+              className="px-4 py-2 text-sm text-red-700 border border-red-300 rounded-md hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Delete
+            </button>
+            {isRemote && (
+              <button
+                onClick={handleUnpublish}
+                disabled={isWorking}
+                className="px-4 py-2 text-sm text-orange-700 border border-orange-300 rounded-md hover:bg-orange-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Unpublish
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100">
+              Close
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={isWorking || !canEdit}
+              className="flex items-center gap-2 px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+            >
+              {isWorking && <Spinner small />}
+              {isWorking ? 'Saving...' : 'Save Changes'}
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-4 text-xs">
+          <button onClick={handleToggleHistory} className="text-blue-600 hover:text-blue-800 underline">
+            {showHistory ? 'Hide change history' : 'Show change history'}
+          </button>
+          {showHistory && (
+            <div className="mt-2 p-3 bg-gray-50 rounded-md border border-gray-200">
+              {!history && <p className="text-gray-500">Loading...</p>}
+              {history && history.length === 0 && <p className="text-gray-500">No changes recorded yet.</p>}
+              <ul className="space-y-2">
+                {history?.map(change => (
+                  <li key={change.id} className="text-gray-700">
+                    <span className="font-medium">{ACTION_LABELS[change.action] || change.action}</span>
+                    {change.action === 'update' && ` ${Object.keys(change.changes).map(field => FIELD_LABELS[field] || field).join(', ')}`}
+                    {change.changed_by && ` by ${change.changed_by}`}
+                    {change.propagated && <span className="text-blue-700"> · synced to GoHighLevel</span>}
+                    <span className="text-gray-500"> · {new Date(change.created_at).toLocaleString()}</span>
+                    {change.changes.content && change.action === 'update' && (
+                      <p className="mt-1 text-gray-500 line-through truncate">{String(change.changes.content.from ?? '')}</p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GBPPostEditModal;
@@ -0,0 +1,280 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { Client } from '../types';
+import { getGBPPosts, duplicateGBPPost, GBPPost, GBPPostType } from '../services/geminiService';
+import { MagnifyingGlassIcon, DocumentDuplicateIcon, PencilSquareIcon } from '@heroicons/react/24/solid';
+import GBPPostEditModal from './GBPPostEditModal';
+
+interface GBPPostHistoryProps {
+  client: Client | null;
+  refreshKey?: number;
+  onPostsChanged?: () => void;
+}
+
+const PAGE_SIZE = 20;
+const REVIEWER_STORAGE_KEY = 'postmonkee.reviewerName';
+
+const STATUS_OPTIONS = ['draft', 'pending_approval', 'approved', 'rejected', 'scheduled', 'publishing', 'published', 'failed'];
+
+const STATUS_STYLES: Record<string, string> = {
+  draft: 'bg-gray-100 text-gray-800',
+  pending_approval: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-teal-100 text-teal-800',
+  rejected: 'bg-orange-100 text-orange-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  publishing: 'bg-indigo-100 text-indigo-800',
+  published: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+interface HistoryFilters {
+  q: string;
+  status: string;
+  postType: '' | GBPPostType;
+  from: string;
+  to: string;
+}
+
+const EMPTY_FILTERS: HistoryFilters = { q: '', status: '', postType: '', from: '', to: '' };
+
+// Date inputs are whole local days; the backend's `to` is exclusive, so it moves to the next midnight
+const toRangeStart = (day: string) => (day ? new Date(`${day}T00:00`).toISOString() : undefined);
+const toRangeEnd = (day: string) => {
+  if (!day) return undefined;
+  const end = new Date(`${day}T00:00`);
+  end.setDate(end.getDate() + 1);
+  return end.toISOString();
+};
+
+// Posts are dated by when they go (or went) live, falling back to when they were created
+const getPostDate = (post: GBPPost) => new Date(post.published_at || post.scheduled_at || post.created_at);
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white text-sm';
+
+const GBPPostHistory: React.FC<GBPPostHistoryProps> = ({ client, refreshKey, onPostsChanged }) => {
+  // All hooks must be called at the top level
+  const [posts, setPosts] = useState<GBPPost[]>([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [searchText, setSearchText] = useState('');
+  const [filters, setFilters] = useState<HistoryFilters>(EMPTY_FILTERS);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [editingPost, setEditingPost] = useState<GBPPost | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadPosts = useCallback(async () => {
+    if (!client) return;
+    setIsLoading(true);
+    try {
+      const res = await getGBPPosts(client.id, {
+        q: filters.q || undefined,
+        status: filters.status ? [filters.status] : undefined,
+        postType: filters.postType || undefined,
+        from: toRangeStart(filters.from),
+        to: toRangeEnd(filters.to),
+        limit: PAGE_SIZE,
+        offset,
+      });
+      setPosts(res.posts);
+      setTotal(res.total);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load post history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [client?.id, filters, offset]);
+
+  useEffect(() => {
+    loadPosts();
+  }, [loadPosts, refreshKey]);
+
+  useEffect(() => {
+    setOffset(0);
+    setSearchText('');
+    setFilters(EMPTY_FILTERS);
+    setError(null);
+    setMessage(null);
+  }, [client?.id]);
+
+  if (!client) {
+    return null;
+  }
+
+  // Any filter change starts again from the newest match
+  const updateFilters = (changes: Partial<HistoryFilters>) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+    setOffset(0);
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    updateFilters({ q: searchText.trim() });
+  };
+
+  const handleClearFilters = () => {
+    setSearchText('');
+    updateFilters(EMPTY_FILTERS);
+  };
+
+  const handleDuplicate = async (post: GBPPost) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await duplicateGBPPost(post.id, localStorage.getItem(REVIEWER_STORAGE_KEY) || undefined);
+      setMessage(`${res.message} (post #${res.post.id})`);
+      onPostsChanged?.();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to duplicate post');
+    }
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">Post History</h2>
+        <span className="text-sm text-gray-500">{total} post{total === 1 ? '' : 's'}{hasFilters && ' matching'}</span>
+      </div>
+
+      <form onSubmit={handleSearch} className="flex gap-2 mb-3">
+        <input
+          type="search"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder='Search content and topics, e.g. "spring sale" -plumbing'
+          className={`${inputClass} flex-1`}
+        />
+        <button
+          type="submit"
+          className="flex items-center px-3 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
+        >
+          <MagnifyingGlassIcon className="w-4 h-4 mr-1" />
+          Search
+        </button>
+      </form>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+        <select value={filters.status} onChange={(e) => updateFilters({ status: e.target.value })} className={inputClass}>
+          <option value="">All statuses</option>
+          {STATUS_OPTIONS.map(status => (
+            <option key={status} value={status}>{status.replace('_', ' ')}</option>
+          ))}
+        </select>
+        <select value={filters.postType} onChange={(e) => updateFilters({ postType: e.target.value as HistoryFilters['postType'] })} className={inputClass}>
+          <option value="">All post types</option>
+          <option value="update">Updates</option>
+          <option value="event">Events</option>
+          <option value="offer">Offers</option>
+        </select>
+        <label className="flex items-center gap-1">
+          From
+          <input type="date" value={filters.from} onChange={(e) => updateFilters({ from: e.target.value })} className={inputClass} />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input type="date" value={filters.to} onChange={(e) => updateFilters({ to: e.target.value })} className={inputClass} />
+        </label>
+        {hasFilters && (
+          <button onClick={handleClearFilters} className="text-blue-600 hover:text-blue-800 underline">
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+      {message && <p className="mb-4 text-sm text-green-700">{message}</p>}
+
+      {isLoading && posts.length === 0 ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : posts.length === 0 ? (
+        <p className="text-sm text-gray-500">{hasFilters ? 'No posts match these filters.' : 'No posts generated for this client yet.'}</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 text-sm">
+          {posts.map(post => (
+            <li key={post.id} className="py-3">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0 flex-1">
+                  <div className="flex flex-wrap items-center gap-2 mb-1 text-xs">
+                    <span className={`px-2 py-0.5 rounded-full font-medium ${STATUS_STYLES[post.status] || STATUS_STYLES.draft}`}>
+                      {post.status.replace('_', ' ')}
+                    </span>
+                    <span className="text-gray-500 capitalize">{post.post_type || 'update'}</span>
+                    <span className="text-gray-500">{getPostDate(post).toLocaleString()}</span>
+                    {post.topic && <span className="text-gray-700 font-medium truncate">{post.topic}</span>}
+                    {post.duplicated_from_id && <span className="text-purple-700">copy of #{post.duplicated_from_id}</span>}
+                    {post.template_id && <span className="text-purple-700">recurring</span>}
+                  </div>
+                  <p
+                    onClick={() => setExpandedId(expandedId === post.id ? null : post.id)}
+                    className={`text-gray-900 cursor-pointer ${expandedId === post.id ? 'whitespace-pre-wrap' : 'truncate'}`}
+                  >
+                    {post.content}
+                  </p>
+                  {expandedId === post.id && post.image_url && (
+                    <img src={post.image_url} alt="" className="mt-2 max-h-32 rounded border border-gray-200" />
+                  )}
+                </div>
+                <div className="flex shrink-0 gap-1">
+                  <button
+                    onClick={() => setEditingPost(post)}
+                    title="Edit"
+                    className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                  >
+                    <PencilSquareIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDuplicate(post)}
+                    title="Duplicate as a new draft"
+                    className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                  >
+                    <DocumentDuplicateIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="mt-4 flex items-center justify-between text-sm">
+          <button
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+            disabled={offset === 0}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Newer
+          </button>
+          <span className="text-gray-500">{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+          <button
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={offset + PAGE_SIZE >= total}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Older
+          </button>
+        </div>
+      )}
+
+      {editingPost && (
+        <GBPPostEditModal
+          post={editingPost}
+          onClose={() => setEditingPost(null)}
+          onSaved={(saved) => {
+            setPosts(prev => prev.map(p => p.id === saved.id ? saved : p));
+            onPostsChanged?.();
+          }}
+          onDeleted={() => onPostsChanged?.()}
+        />
+      )}
+    </div>
+  );
+};
+
+export default GBPPostHistory;
@@ -0,0 +1,545 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Client } from '../types';
+import { getGBPTemplates, previewGBPTemplate, createGBPTemplate, updateGBPTemplate, deleteGBPTemplate, GBPPostTemplate, GBPCtaType } from '../services/geminiService';
+import { ArrowPathRoundedSquareIcon, PauseIcon, PlayIcon, TrashIcon } from '@heroicons/react/24/solid';
+
+interface GBPTemplateManagerProps {
+  client: Client | null;
+  onPostsChanged?: () => void;
+}
+
+const REVIEWER_STORAGE_KEY = 'postmonkee.reviewerName';
+const PREVIEW_DEBOUNCE_MS = 500;
+// Occurrences are created in the background, so look again once the first ones are likely done
+const MATERIALIZE_REFRESH_MS = 5000;
+
+const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' },
+];
+
+const WEEKDAY_NAMES: Record<string, string> = {
+  MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday',
+};
+
+const ORDINALS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' },
+];
+
+const CTA_LABELS: Record<GBPCtaType, string> = {
+  LEARN_MORE: 'Learn More',
+  BOOK: 'Book',
+  ORDER: 'Order',
+  SHOP: 'Shop',
+  SIGN_UP: 'Sign Up',
+  CALL: 'Call',
+};
+
+type RepeatMode = 'weekly' | 'monthly_day' | 'monthly_weekday' | 'custom';
+
+interface RepeatSettings {
+  mode: RepeatMode;
+  weekdays: string[];
+  monthDay: number; // -1 is the last day of the month
+  ordinal: number;
+  weekday: string;
+  custom: string;
+}
+
+const DEFAULT_REPEAT: RepeatSettings = {
+  mode: 'weekly',
+  weekdays: ['TU'],
+  monthDay: 1,
+  ordinal: 1,
+  weekday: 'MO',
+  custom: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TH',
+};
+
+// RRULE for the picker's settings
+const buildRecurrence = (repeat: RepeatSettings) => {
+  switch (repeat.mode) {
+    case 'weekly':
+      return `FREQ=WEEKLY;BYDAY=${WEEKDAYS.filter(day => repeat.weekdays.includes(day.code)).map(day => day.code).join(',')}`;
+    case 'monthly_day':
+      return `FREQ=MONTHLY;BYMONTHDAY=${repeat.monthDay}`;
+    case 'monthly_weekday':
+      return `FREQ=MONTHLY;BYDAY=${repeat.ordinal}${repeat.weekday}`;
+    default:
+      return repeat.custom.trim();
+  }
+};
+
+const ordinalSuffix = (n: number) => {
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+};
+
+// Plain-English description of the rules the picker builds; anything else is shown as written
+const describeRecurrence = (recurrence: string) => {
+  const parts = Object.fromEntries(recurrence.split(';').map(part => part.split('=')));
+  const known = Object.keys(parts).every(key => ['FREQ', 'BYDAY', 'BYMONTHDAY'].includes(key));
+  if (!known) return recurrence;
+
+  if (parts.FREQ === 'WEEKLY' && parts.BYDAY && /^[A-Z]{2}(,[A-Z]{2})*$/.test(parts.BYDAY)) {
+    return `Every ${parts.BYDAY.split(',').map((code: string) => WEEKDAY_NAMES[code] || code).join(', ')}`;
+  }
+  if (parts.FREQ === 'MONTHLY' && /^-?\d+$/.test(parts.BYMONTHDAY || '') && !parts.BYDAY) {
+    const day = Number(parts.BYMONTHDAY);
+    return day === -1 ? 'Last day of every month' : `${ordinalSuffix(day)} of every month`;
+  }
+  const match = parts.FREQ === 'MONTHLY' && !parts.BYMONTHDAY && (parts.BYDAY || '').match(/^(-?\d)([A-Z]{2})$/);
+  if (match) {
+    const ordinal = ORDINALS.find(o => o.value === Number(match[1]));
+    return `${ordinal ? ordinal.label : match[1]} ${WEEKDAY_NAMES[match[2]] || match[2]} of every month`;
+  }
+  return recurrence;
+};
+
+const toDateInput = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return toDateInput(date);
+};
+
+// Dates are shown in the template's time zone; one still being typed falls back to the browser's
+const formatInZone = (date: string, options: Intl.DateTimeFormatOptions, timeZone?: string) => {
+  try {
+    return new Date(date).toLocaleString([], { ...options, timeZone });
+  } catch {
+    return new Date(date).toLocaleString([], options);
+  }
+};
+
+const formatOccurrence = (occurrence: string, timeZone?: string) =>
+  formatInZone(occurrence, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }, timeZone);
+
+const formatTime = (date: string, timeZone?: string) =>
+  formatInZone(date, { hour: 'numeric', minute: '2-digit' }, timeZone);
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white';
+
+const GBPTemplateManager: React.FC<GBPTemplateManagerProps> = ({ client, onPostsChanged }) => {
+  // All hooks must be called at the top level
+  const [templates, setTemplates] = useState<GBPPostTemplate[]>([]);
+  const [name, setName] = useState('');
+  const [content, setContent] = useState('');
+  const [repeat, setRepeat] = useState<RepeatSettings>(DEFAULT_REPEAT);
+  const [startDate, setStartDate] = useState(tomorrow);
+  const [startTime, setStartTime] = useState('10:00');
+  const [timeZone, setTimeZone] = useState(() => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+  const [reword, setReword] = useState(true);
+  const [autoSchedule, setAutoSchedule] = useState(false);
+  const [approverName, setApproverName] = useState(() => localStorage.getItem(REVIEWER_STORAGE_KEY) || '');
+  const [ctaType, setCtaType] = useState<GBPCtaType>('LEARN_MORE');
+  const [moreInfoUrl, setMoreInfoUrl] = useState('');
+  const [preview, setPreview] = useState<string[]>([]);
+  const [previewError, setPreviewError] = useState<string | null>(null);
+  const [pendingRefresh, setPendingRefresh] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const recurrence = buildRecurrence(repeat);
+
+  const loadTemplates = useCallback(async () => {
+    if (!client) return;
+    try {
+      const res = await getGBPTemplates(client.id);
+      setTemplates(res.templates);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load templates');
+    }
+  }, [client?.id]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  useEffect(() => {
+    setName('');
+    setContent('');
+    setError(null);
+    setMessage(null);
+  }, [client?.id]);
+
+  // Show the next dates while the schedule is being picked
+  useEffect(() => {
+    if (!client || !recurrence || !startDate || !startTime) {
+      setPreview([]);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const res = await previewGBPTemplate({ recurrence, startDate, startTime, timeZone });
+        setPreview(res.occurrences);
+        setPreviewError(null);
+      } catch (err) {
+        setPreview([]);
+        setPreviewError(err instanceof Error ? err.message : 'Invalid schedule');
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [client?.id, recurrence, startDate, startTime, timeZone]);
+
+  // Pick up the posts a saved template creates in the background
+  useEffect(() => {
+    if (pendingRefresh === 0) return;
+    const timer = setTimeout(() => {
+      setPendingRefresh(0);
+      loadTemplates();
+      onPostsChanged?.();
+    }, MATERIALIZE_REFRESH_MS);
+    return () => clearTimeout(timer);
+  }, [pendingRefresh, loadTemplates, onPostsChanged]);
+
+  if (!client) {
+    return null;
+  }
+
+  const afterChange = (text: string) => {
+    setMessage(text);
+    loadTemplates();
+    onPostsChanged?.();
+    setPendingRefresh(Date.now());
+  };
+
+  const toggleWeekday = (code: string) => {
+    setRepeat(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(code) ? prev.weekdays.filter(day => day !== code) : [...prev.weekdays, code],
+    }));
+  };
+
+  const handleCreate = async () => {
+    setIsSaving(true);
+    setError(null);
+    setMessage(null);
+    if (autoSchedule) localStorage.setItem(REVIEWER_STORAGE_KEY, approverName.trim());
+    try {
+      const res = await createGBPTemplate(client.id, {
+        name: name.trim(),
+        content: content.trim(),
+        recurrence,
+        startDate,
+        startTime,
+        timeZone,
+        reword,
+        autoSchedule,
+        approvedBy: autoSchedule ? approverName.trim() : undefined,
+        ctaType,
+        moreInfoUrl: ctaType === 'CALL' ? undefined : moreInfoUrl.trim() || undefined,
+        createdBy: localStorage.getItem(REVIEWER_STORAGE_KEY) || undefined,
+      });
+      setName('');
+      setContent('');
+      afterChange(res.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save template');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (template: GBPPostTemplate) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await updateGBPTemplate(template.id, { isActive: !template.is_active });
+      afterChange(res.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update template');
+    }
+  };
+
+  const handleDelete = async (template: GBPPostTemplate) => {
+    if (!window.confirm(`Delete the "${template.name}" template? Upcoming posts nobody has edited yet are removed too.`)) return;
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await deleteGBPTemplate(template.id);
+      afterChange(res.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete template');
+    }
+  };
+
+  const canSave = name.trim() && content.trim() && recurrence && startDate && startTime && !previewError && (!autoSchedule || approverName.trim());
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold text-gray-900 mb-4">Recurring Posts</h2>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+      {message && <p className="mb-4 text-sm text-green-700">{message}</p>}
+
+      {templates.length === 0 ? (
+        <p className="mb-6 text-sm text-gray-500">No recurring posts for this client yet.</p>
+      ) : (
+        <ul className="mb-6 divide-y divide-gray-200 text-sm">
+          {templates.map(template => (
+            <li key={template.id} className="py-3">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0 flex-1">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <span className="font-medium text-gray-900">{template.name}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${template.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                      {template.is_active ? 'active' : 'paused'}
+                    </span>
+                    {template.reword && <span className="text-xs text-purple-700">re-worded each time</span>}
+                    <span className="text-xs text-gray-500">{template.auto_schedule && template.approved_by ? `schedules automatically (approved by ${template.approved_by})` : 'drafts need approval'}</span>
+                  </div>
+                  <p className="text-gray-700">
+                    {describeRecurrence(template.recurrence)} at {formatTime(template.starts_at, template.time_zone)} ({template.time_zone})
+                    {template.post_count !== undefined && <span className="text-gray-500"> · {template.post_count} post{template.post_count === 1 ? '' : 's'} so far</span>}
+                  </p>
+                  {template.is_active && (
+                    <p className="text-xs text-gray-500">
+                      {template.nextOccurrences.length > 0
+                        ? `Next: ${template.nextOccurrences.map(occurrence => formatOccurrence(occurrence, template.time_zone)).join(' · ')}`
+                        : 'No more occurrences'}
+                    </p>
+                  )}
+                  <p className="text-gray-600 truncate">{template.content}</p>
+                  {template.last_error && <p className="mt-1 text-xs text-red-700">{template.last_error}</p>}
+                </div>
+                <div className="flex shrink-0 gap-1">
+                  <button
+                    onClick={() => handleToggleActive(template)}
+                    title={template.is_active ? 'Pause' : 'Resume'}
+                    className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                  >
+                    {template.is_active ? <PauseIcon className="w-4 h-4" /> : <PlayIcon className="w-4 h-4" />}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(template)}
+                    title="Delete"
+                    className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3 className="text-lg font-semibold text-gray-900 mb-3">New Recurring Post</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Weekly drain maintenance reminder"
+            className={inputClass}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Post Text</label>
+          <textarea
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            rows={4}
+            className={inputClass}
+          />
+          <p className="mt-1 text-xs text-gray-500">{content.length} characters</p>
+        </div>
+
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Repeat</label>
+          <select
+            value={repeat.mode}
+            onChange={(e) => setRepeat(prev => ({ ...prev, mode: e.target.value as RepeatMode }))}
+            className={inputClass}
+          >
+            <option value="weekly">Weekly on chosen days</option>
+            <option value="monthly_day">Monthly on a day of the month</option>
+            <option value="monthly_weekday">Monthly on a weekday (e.g. first Monday)</option>
+            <option value="custom">Custom rule (RRULE)</option>
+          </select>
+
+          {repeat.mode === 'weekly' && (
+            <div className="mt-2 flex flex-wrap gap-2">
+              {WEEKDAYS.map(day => (
+                <button
+                  key={day.code}
+                  onClick={() => toggleWeekday(day.code)}
+                  className={`px-3 py-1 rounded-full text-sm border transition-colors ${repeat.weekdays.includes(day.code) ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {day.label}
+                </button>
+              ))}
+            </div>
+          )}
+          {repeat.mode === 'monthly_day' && (
+            <select
+              value={repeat.monthDay}
+              onChange={(e) => setRepeat(prev => ({ ...prev, monthDay: Number(e.target.value) }))}
+              className={`${inputClass} mt-2`}
+            >
+              {Array.from({ length: 28 }, (_, i) => i + 1).map(day => (
+                <option key={day} value={day}>{ordinalSuffix(day)} of the month</option>
+              ))}
+              <option value={-1}>Last day of the month</option>
+            </select>
+          )}
+          {repeat.mode === 'monthly_weekday' && (
+            <div className="mt-2 grid grid-cols-2 gap-2">
+              <select
+                value={repeat.ordinal}
+                onChange={(e) => setRepeat(prev => ({ ...prev, ordinal: Number(e.target.value) }))}
+                className={inputClass}
+              >
+                {ORDINALS.map(ordinal => (
+                  <option key={ordinal.value} value={ordinal.value}>{ordinal.label}</option>
+                ))}
+              </select>
+              <select
+                value={repeat.weekday}
+                onChange={(e) => setRepeat(prev => ({ ...prev, weekday: e.target.value }))}
+                className={inputClass}
+              >
+                {WEEKDAYS.map(day => (
+                  <option key={day.code} value={day.code}>{WEEKDAY_NAMES[day.code]}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {repeat.mode === 'custom' && (
+            <input
+              type="text"
+              value={repeat.custom}
+              onChange={(e) => setRepeat(prev => ({ ...prev, custom: e.target.value }))}
+              placeholder="FREQ=MONTHLY;BYDAY=-1FR"
+              className={`${inputClass} mt-2 font-mono text-sm`}
+            />
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Starting</label>
+          <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Publish Time</label>
+          <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className={inputClass} />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Time Zone</label>
+          <input
+            type="text"
+            value={timeZone}
+            onChange={(e) => setTimeZone(e.target.value)}
+            placeholder="America/New_York"
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Button</label>
+          <select
+            value={ctaType}
+            onChange={(e) => setCtaType(e.target.value as GBPCtaType)}
+            className={inputClass}
+          >
+            {(Object.keys(CTA_LABELS) as GBPCtaType[]).map(type => (
+              <option key={type} value={type}>{CTA_LABELS[type]}</option>
+            ))}
+          </select>
+        </div>
+        {ctaType === 'CALL' ? (
+          <p className="self-end pb-2 text-sm text-gray-500">Call buttons dial the phone number on the Business Profile.</p>
+        ) : (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Landing Page</label>
+            <input
+              type="url"
+              value={moreInfoUrl}
+              onChange={(e) => setMoreInfoUrl(e.target.value)}
+              placeholder={client.websiteUrl || 'https://'}
+              className={inputClass}
+            />
+          </div>
+        )}
+
+        <label className="md:col-span-2 flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={reword}
+            onChange={(e) => {
+              setReword(e.target.checked);
+              if (e.target.checked) setAutoSchedule(false);
+            }}
+          />
+          Re-word the text with AI for each occurrence, so Google never sees the same post twice
+        </label>
+        <label className="md:col-span-2 flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={autoSchedule} disabled={reword} onChange={(e) => setAutoSchedule(e.target.checked)} />
+          Schedule occurrences automatically (otherwise each one is a draft that needs approval)
+        </label>
+        {reword && (
+          <p className="md:col-span-2 -mt-2 text-xs text-gray-500">
+            Re-worded occurrences are always drafts, so each new wording gets reviewed before it goes out.
+          </p>
+        )}
+        {autoSchedule && (
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Approved By</label>
+            <input
+              type="text"
+              value={approverName}
+              onChange={(e) => setApproverName(e.target.value)}
+              placeholder="Your name"
+              className={inputClass}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Approving the template approves every occurrence of it; changing its text or button needs a new approval.
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-4 text-sm">
+        {previewError ? (
+          <p className="text-red-700">{previewError}</p>
+        ) : preview.length > 0 ? (
+          <p className="text-gray-600">Next: {preview.map(occurrence => formatOccurrence(occurrence, timeZone)).join(' · ')}</p>
+        ) : (
+          recurrence && <p className="text-gray-500">No upcoming dates for this schedule.</p>
+        )}
+      </div>
+
+      <button
+        onClick={handleCreate}
+        disabled={!canSave || isSaving}
+        className="mt-4 flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+      >
+        <ArrowPathRoundedSquareIcon className="w-5 h-5 mr-2" />
+        {isSaving ? 'Saving...' : 'Save Recurring Post'}
+      </button>
+      <p className="mt-2 text-xs text-gray-500">
+        Posts are created a couple of weeks ahead and appear in the calendar, where each one can still be edited.
+      </p>
+    </div>
+  );
+};
+
+export default GBPTemplateManager;
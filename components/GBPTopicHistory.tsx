@@ -0,0 +1,161 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { Client } from '../types';
+import { getUsedTopics, deleteUsedTopic, pruneUsedTopics, GBPUsedTopic } from '../services/geminiService';
+import { TrashIcon } from '@heroicons/react/24/solid';
+
+interface GBPTopicHistoryProps {
+  client: Client | null;
+  refreshKey?: number;
+}
+
+const PAGE_SIZE = 25;
+
+const GBPTopicHistory: React.FC<GBPTopicHistoryProps> = ({ client, refreshKey }) => {
+  // All hooks must be called at the top level
+  const [topics, setTopics] = useState<GBPUsedTopic[]>([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [pruneDays, setPruneDays] = useState(180);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadTopics = useCallback(async () => {
+    if (!client) return;
+    setIsLoading(true);
+    try {
+      const res = await getUsedTopics(client.id, PAGE_SIZE, offset);
+      setTopics(res.topics);
+      setTotal(res.total);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load topic history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [client?.id, offset]);
+
+  useEffect(() => {
+    loadTopics();
+  }, [loadTopics, refreshKey]);
+
+  useEffect(() => {
+    setOffset(0);
+    setError(null);
+    setMessage(null);
+  }, [client?.id]);
+
+  if (!client) {
+    return null;
+  }
+
+  const handleDelete = async (topicId: number) => {
+    setError(null);
+    try {
+      const res = await deleteUsedTopic(client.id, topicId);
+      setMessage(res.message);
+      loadTopics();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete topic');
+    }
+  };
+
+  const handlePrune = async () => {
+    if (!window.confirm(`Remove every topic used more than ${pruneDays} days ago? They will be allowed again.`)) return;
+    setError(null);
+    try {
+      const res = await pruneUsedTopics(client.id, pruneDays);
+      setMessage(res.message);
+      setOffset(0);
+      loadTopics();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to prune topic history');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">Topic History</h2>
+        <span className="text-sm text-gray-500">{total} recorded</span>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        New posts are checked against these topics. Remove a topic to allow it again.
+      </p>
+
+      <div className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+        <span>Remove topics older than</span>
+        <input
+          type="number"
+          min={0}
+          value={pruneDays}
+          onChange={(e) => setPruneDays(Math.max(0, Number(e.target.value)))}
+          className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+        />
+        <span>days</span>
+        <button
+          onClick={handlePrune}
+          disabled={total === 0}
+          className="px-3 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          Prune
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+      {message && <p className="mb-4 text-sm text-green-700">{message}</p>}
+
+      {isLoading && topics.length === 0 ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : topics.length === 0 ? (
+        <p className="text-sm text-gray-500">No topics recorded yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 text-sm">
+          {topics.map(topic => (
+            <li key={topic.id} className="py-2 flex items-center justify-between">
+              <div>
+                <span className="font-medium text-gray-900">{topic.topic}</span>
+                <span className="ml-2 text-gray-500">
+                  {new Date(topic.created_at).toLocaleDateString()}
+                  {topic.post_status && ` · ${topic.post_status.replace('_', ' ')}`}
+                </span>
+              </div>
+              <button
+                onClick={() => handleDelete(topic.id)}
+                title="Remove from history"
+                className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+              >
+                <TrashIcon className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="mt-4 flex items-center justify-between text-sm">
+          <button
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+            disabled={offset === 0}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Newer
+          </button>
+          <span className="text-gray-500">{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+          <button
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={offset + PAGE_SIZE >= total}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GBPTopicHistory;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { chooseGBPVariant, GBPPost, GBPPostVariant } from '../services/geminiService';
+import { CheckCircleIcon } from '@heroicons/react/24/solid';
+
+interface GBPVariantComparisonProps {
+  postId: number;
+  variants: GBPPostVariant[];
+  reviewerName: string;
+  disabled?: boolean;
+  onChosen: (post: GBPPost, variants: GBPPostVariant[], message: string) => void;
+  onError: (message: string) => void;
+}
+
+// GBP posts are cut off at 1500 characters; around 400 is what shows before "More"
+const IDEAL_LENGTH = 400;
+
+const GBPVariantComparison: React.FC<GBPVariantComparisonProps> = ({ postId, variants, reviewerName, disabled, onChosen, onError }) => {
+  // All hooks must be called at the top level
+  const [mergeBaseId, setMergeBaseId] = useState<number | null>(null);
+  const [mergedContent, setMergedContent] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const choose = async (variantId: number, content?: string) => {
+    setIsSaving(true);
+    try {
+      const result = await chooseGBPVariant(postId, variantId, content, reviewerName.trim() || undefined);
+      setMergeBaseId(null);
+      setMergedContent('');
+      onChosen(result.post, result.variants, result.message);
+    } catch (err) {
+      onError(err instanceof Error ? err.message : 'Failed to choose variant');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // The first variant clicked becomes the merge base; later ones are appended for trimming
+  const handleMerge = (variant: GBPPostVariant) => {
+    if (mergeBaseId === null) {
+      setMergeBaseId(variant.id);
+      setMergedContent(variant.content);
+    } else {
+      setMergedContent(current => `${current}\n\n${variant.content}`);
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <h4 className="text-md font-semibold text-gray-900 mb-2">Compare Versions</h4>
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+        {variants.map(variant => (
+          <div
+            key={variant.id}
+            className={`flex flex-col p-3 bg-white rounded-lg border ${variant.chosen ? 'border-green-500' : 'border-gray-200'}`}
+          >
+            <div className="flex items-center justify-between mb-2">
+              <span className="px-2 py-0.5 rounded-full text-xs bg-purple-100 text-purple-800 capitalize">{variant.style}</span>
+              {variant.chosen && <CheckCircleIcon className="w-5 h-5 text-green-600" />}
+            </div>
+            <p className="flex-1 text-sm text-gray-800 leading-relaxed whitespace-pre-line">{variant.content}</p>
+            <p className={`mt-2 text-xs ${variant.content.length > IDEAL_LENGTH ? 'text-orange-600' : 'text-gray-500'}`}>
+              {variant.content.length} characters
+              {variant.ai_model && <span className="text-gray-500"> · {variant.ai_model}</span>}
+            </p>
+            <div className="mt-2 flex space-x-2">
+              <button
+                onClick={() => choose(variant.id)}
+                disabled={disabled || isSaving}
+                className="flex-1 px-3 py-1.5 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                Use This
+              </button>
+              <button
+                onClick={() => handleMerge(variant)}
+                disabled={disabled || isSaving}
+                className="px-3 py-1.5 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50 disabled:cursor-not-allowed"
+              >
+                {mergeBaseId === null ? 'Merge' : 'Add'}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {mergeBaseId !== null && (
+        <div className="mt-3 p-3 bg-white rounded-lg border border-purple-200">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Merged version — keep the best lines from each
+          </label>
+          <textarea
+            value={mergedContent}
+            onChange={(e) => setMergedContent(e.target.value)}
+            rows={6}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white leading-relaxed"
+          />
+          <div className="mt-2 flex items-center justify-between">
+            <span className={`text-xs ${mergedContent.length > IDEAL_LENGTH ? 'text-orange-600' : 'text-gray-500'}`}>
+              {mergedContent.length} characters
+            </span>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => { setMergeBaseId(null); setMergedContent(''); }}
+                className="px-3 py-1.5 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => choose(mergeBaseId, mergedContent)}
+                disabled={disabled || isSaving || !mergedContent.trim()}
+                className="px-3 py-1.5 bg-purple-600 text-white text-sm rounded-md hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                Use Merged Version
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GBPVariantComparison;
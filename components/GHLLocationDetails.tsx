@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { updateGHLLocationDetails, GHLSubAccount } from '../services/geminiService';
+
+interface GHLLocationDetailsProps {
+  subAccount: GHLSubAccount;
+  onSaved: (subAccount: GHLSubAccount) => void;
+}
+
+// City, address and service area used to localize this location's campaign posts.
+// City and address are filled in from GoHighLevel on first use; service area is manual.
+const GHLLocationDetails: React.FC<GHLLocationDetailsProps> = ({ subAccount, onSaved }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [city, setCity] = useState(subAccount.location_city || '');
+  const [address, setAddress] = useState(subAccount.location_address || '');
+  const [serviceArea, setServiceArea] = useState(subAccount.service_area || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const res = await updateGHLLocationDetails(subAccount.client_id, subAccount.location_id, {
+        city: city.trim(),
+        address: address.trim(),
+        serviceArea: serviceArea.trim()
+      });
+      onSaved(res.subAccount);
+      setIsEditing(false);
+    } catch (err) {
+      console.error('❌ Error saving location details:', err);
+      setError(err instanceof Error ? err.message : 'Failed to save location details');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isEditing) {
+    const summary = [subAccount.location_city, subAccount.service_area && `serves ${subAccount.service_area}`].filter(Boolean).join(' · ');
+    return (
+      <div className="mt-1 text-sm text-gray-700">
+        📍 {summary || <span className="text-gray-500">No location details yet</span>}
+        <button onClick={() => setIsEditing(true)} className="ml-2 text-blue-600 hover:text-blue-800 underline">
+          Edit
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-2 text-sm">
+      <input
+        type="text"
+        value={city}
+        onChange={(e) => setCity(e.target.value)}
+        placeholder="City, State"
+        className="px-2 py-1 border border-gray-300 rounded-md text-gray-900 bg-white"
+      />
+      <input
+        type="text"
+        value={address}
+        onChange={(e) => setAddress(e.target.value)}
+        placeholder="Street address"
+        className="px-2 py-1 border border-gray-300 rounded-md text-gray-900 bg-white"
+      />
+      <input
+        type="text"
+        value={serviceArea}
+        onChange={(e) => setServiceArea(e.target.value)}
+        placeholder="Service area (e.g. North Dallas, Plano)"
+        className="px-2 py-1 border border-gray-300 rounded-md text-gray-900 bg-white"
+      />
+      <div className="md:col-span-3 flex items-center gap-2">
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        <button onClick={() => setIsEditing(false)} className="text-gray-600 hover:text-gray-900">
+          Cancel
+        </button>
+        {error && <span className="text-red-700">{error}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default GHLLocationDetails;
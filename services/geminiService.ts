@@ -12,6 +12,49 @@ async function handleResponse<T>(response: Response): Promise<T> {
   return response.json() as Promise<T>;
 }
 
+// Thrown when the backend refuses a topic because the client has covered it recently
+export class DuplicateTopicError extends Error {
+  duplicates: GBPTopicDuplicate[];
+
+  constructor(message: string, duplicates: GBPTopicDuplicate[]) {
+    super(message);
+    this.name = 'DuplicateTopicError';
+    this.duplicates = duplicates;
+  }
+}
+
+async function handleTopicResponse<T>(response: Response): Promise<T> {
+  if (response.status === 409) {
+    const body = await response.json();
+    if (body.error === 'DUPLICATE_TOPIC') {
+      throw new DuplicateTopicError(body.message, body.duplicates || []);
+    }
+  }
+  return handleResponse<T>(response);
+}
+
+// Thrown when a post was changed by someone else since it was loaded; `post` is the current version
+export class PostVersionConflictError extends Error {
+  post: GBPPost;
+
+  constructor(message: string, post: GBPPost) {
+    super(message);
+    this.name = 'PostVersionConflictError';
+    this.post = post;
+  }
+}
+
+async function handlePostEditResponse<T>(response: Response): Promise<T> {
+  if (response.status === 409) {
+    const body = await response.json();
+    if (body.error === 'VERSION_CONFLICT') {
+      throw new PostVersionConflictError(body.message, body.post);
+    }
+    throw new Error(body.details ? `${body.error}: ${body.details}` : body.error);
+  }
+  return handleResponse<T>(response);
+}
+
 export const getClients = (): Promise<Client[]> => {
   return fetch(`${BASE_URL}/api/clients`)
     .then(res => handleResponse<Client[]>(res))
@@ -64,18 +107,135 @@ export const testSitemapParsing = (clientId: string, sitemapUrl: string): Promis
 
 // ===== GoHighLevel and GBP Post API Functions =====
 
+export type GBPPostType = 'update' | 'event' | 'offer';
+
+// Structured fields required by event and offer posts
+export interface GBPPostTypeDetails {
+  postType: GBPPostType;
+  title?: string;
+  startAt?: Date;
+  endAt?: Date;
+  couponCode?: string;
+  redeemUrl?: string;
+  terms?: string;
+}
+
+export type GBPCtaType = 'BOOK' | 'ORDER' | 'SHOP' | 'LEARN_MORE' | 'SIGN_UP' | 'CALL';
+
+// Button shown on update and event posts; the landing page is UTM-tagged by the backend
+export interface GBPCallToActionDetails {
+  ctaType?: GBPCtaType;
+  moreInfoUrl?: string;
+  utm?: boolean;
+  utmCampaign?: string;
+}
+
+export interface GBPLandingPage {
+  url: string;
+  title?: string | null;
+  category?: string | null;
+}
+
 export interface GBPPost {
   id: number;
   client_id: string;
   content: string;
   image_url?: string;
   more_info_url?: string;
+  cta_type?: GBPCtaType | null;
   cta_text: string;
   status: string;
   scheduled_at?: string;
   published_at?: string;
   ghl_post_id?: string;
   ghl_account_id?: string;
+  attempts?: number;
+  last_error?: string;
+  next_attempt_at?: string;
+  last_edited_by?: string;
+  last_edited_at?: string;
+  submitted_by?: string;
+  submitted_at?: string;
+  approver_contact?: string;
+  approved_by?: string;
+  approved_at?: string;
+  rejected_by?: string;
+  rejected_at?: string;
+  rejection_reason?: string;
+  // Event and offer fields; plain updates leave these empty
+  post_type?: GBPPostType;
+  title?: string | null;
+  start_at?: string | null;
+  end_at?: string | null;
+  coupon_code?: string | null;
+  redeem_url?: string | null;
+  terms?: string | null;
+  // Set on posts that belong to a multi-location campaign
+  campaign_id?: number | null;
+  location_id?: string | null;
+  // Topic the post was generated from, and the batch that generated it (if any)
+  topic?: string | null;
+  batch_id?: number | null;
+  // Which generated variant the content came from, and whether it was picked as-is or merged
+  chosen_variant_id?: number | null;
+  variant_style?: string | null;
+  variant_choice?: 'picked' | 'merged' | null;
+  // Latest content-lint result; errors block approval
+  lint_findings?: GBPLintResult | null;
+  // Text provider and model that wrote the content
+  ai_provider?: string | null;
+  ai_model?: string | null;
+  // What GoHighLevel last reported; reconciled_from is the local status it corrected
+  external_status?: string | null;
+  external_error?: string | null;
+  external_checked_at?: string | null;
+  reconciled_from?: string | null;
+  // Incremented by every change; edits must send the version they were made against
+  version: number;
+  // Post this draft was copied from in the post history
+  duplicated_from_id?: number | null;
+  // Recurring template the post was created from, and which of its occurrences it is
+  template_id?: number | null;
+  template_occurrence?: string | null;
+  created_at: string;
+}
+
+export interface GBPLintFinding {
+  rule: string;
+  severity: 'error' | 'warning';
+  message: string;
+  matches: string[];
+}
+
+export interface GBPLintResult {
+  passed: boolean;
+  errors: number;
+  warnings: number;
+  findings: GBPLintFinding[];
+}
+
+export const lintGBPContent = (clientId: string, content: string): Promise<{ success: boolean, lint: GBPLintResult }> => {
+  return fetch(`${BASE_URL}/api/gbp/lint`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ clientId, content }),
+  }).then(res => handleResponse<{ success: boolean, lint: GBPLintResult }>(res));
+};
+
+export interface GBPCampaignPost extends GBPPost {
+  sub_account_name?: string | null;
+  location_city?: string | null;
+}
+
+export interface GBPCampaign {
+  id: number;
+  client_id: string;
+  topic: string;
+  scheduled_at?: string | null;
+  status: 'draft' | 'pending_approval' | 'approved' | 'scheduled' | 'published' | 'partially_published' | 'partially_failed';
+  total: number;
+  counts: Record<string, number>;
+  posts: GBPCampaignPost[];
   created_at: string;
 }
 
@@ -84,21 +244,501 @@ export interface GHLSubAccount {
   client_id: string;
   location_id: string;
   sub_account_name?: string;
-  access_token: string;
+  // Tokens never leave the backend; only a masked hint is returned
+  access_token_masked?: string;
+  has_refresh_token?: boolean;
+  is_encrypted?: boolean;
+  token_expires_at?: string;
+  scope?: string;
+  connected_via?: 'manual' | 'oauth';
+  // Google Business Profile account posts for this location are published to
+  gbp_account_id?: string | null;
+  gbp_account_name?: string | null;
+  // Used to localize multi-location campaign posts
+  location_city?: string | null;
+  location_address?: string | null;
+  service_area?: string | null;
   is_active: boolean;
   created_at: string;
 }
 
-export const createGBPPost = (clientId: string, topic: string, scheduledAt?: Date): Promise<{ success: boolean, post: GBPPost, message: string }> => {
+// How generated content was brought within the length limits for its post type
+export interface GBPLengthReport {
+  length: number;
+  min: number;
+  max: number;
+  withinLimits: boolean;
+  originalLength: number;
+  rewrites: number;
+  trimmed: boolean;
+}
+
+// Which text provider wrote a post; fallback is true when the primary provider failed
+export interface GBPGeneration {
+  provider: string;
+  model: string;
+  fallback: boolean;
+}
+
+// Set allowDuplicate to skip the near-duplicate topic check
+export const createGBPPost = (clientId: string, topic: string, scheduledAt?: Date, generateImage?: boolean, details?: GBPPostTypeDetails & GBPCallToActionDetails & { allowDuplicate?: boolean }): Promise<{ success: boolean, post: GBPPost, lengthReport?: GBPLengthReport, lint?: GBPLintResult, generation?: GBPGeneration, message: string }> => {
   return fetch(`${BASE_URL}/api/gbp/create-post`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ clientId, topic, scheduledAt }),
+    body: JSON.stringify({ clientId, topic, scheduledAt, generateImage, ...details }),
+  }).then(res => handleTopicResponse<{ success: boolean, post: GBPPost, lengthReport?: GBPLengthReport, lint?: GBPLintResult, generation?: GBPGeneration, message: string }>(res));
+};
+
+// Post history filters; without a limit every matching post is returned
+export interface GBPPostFilters {
+  q?: string;
+  status?: string[];
+  postType?: GBPPostType;
+  from?: string;
+  to?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export const getGBPPosts = (clientId: string, filters: GBPPostFilters = {}): Promise<{ success: boolean, posts: GBPPost[], total: number }> => {
+  const params = new URLSearchParams();
+  if (filters.q) params.set('q', filters.q);
+  if (filters.status?.length) params.set('status', filters.status.join(','));
+  if (filters.postType) params.set('postType', filters.postType);
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  if (filters.limit !== undefined) params.set('limit', String(filters.limit));
+  if (filters.offset !== undefined) params.set('offset', String(filters.offset));
+  const query = params.toString();
+  return fetch(`${BASE_URL}/api/gbp/posts/${clientId}${query ? `?${query}` : ''}`)
+    .then(res => handleResponse<{ success: boolean, posts: GBPPost[], total: number }>(res));
+};
+
+export const getGBPLandingPages = (clientId: string): Promise<{ success: boolean, pages: GBPLandingPage[] }> => {
+  return fetch(`${BASE_URL}/api/gbp/landing-pages/${clientId}`).then(res => handleResponse<{ success: boolean, pages: GBPLandingPage[] }>(res));
+};
+
+export interface GBPBatch {
+  id: number;
+  client_id: string;
+  start_date: string;
+  end_date: string;
+  posts_per_week: number;
+  status: 'running' | 'completed' | 'failed' | 'cancelled';
+  total: number;
+  completed: number;
+  failed: number;
+  current_topic?: string | null;
+  last_error?: string | null;
+  created_at: string;
+  finished_at?: string | null;
+}
+
+export interface GBPBatchRequest {
+  startDate: string; // YYYY-MM-DD
+  endDate: string;
+  postsPerWeek: number;
+  postTime: string; // HH:MM, in the browser's time zone
+}
+
+export const startGBPBatch = (clientId: string, request: GBPBatchRequest & GBPCallToActionDetails): Promise<{ success: boolean, batch: GBPBatch, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/batches`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ clientId, ...request, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC' }),
+  }).then(res => handleResponse<{ success: boolean, batch: GBPBatch, message: string }>(res));
+};
+
+export const getGBPBatch = (batchId: number): Promise<{ success: boolean, batch: GBPBatch, posts: GBPPost[] }> => {
+  return fetch(`${BASE_URL}/api/gbp/batches/${batchId}`).then(res => handleResponse<{ success: boolean, batch: GBPBatch, posts: GBPPost[] }>(res));
+};
+
+export const cancelGBPBatch = (batchId: number): Promise<{ success: boolean, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/batches/${batchId}/cancel`, { method: 'POST' })
+    .then(res => handleResponse<{ success: boolean, message: string }>(res));
+};
+
+export interface GBPPostTemplate {
+  id: number;
+  client_id: string;
+  name: string;
+  content: string;
+  recurrence: string; // RRULE, e.g. FREQ=WEEKLY;BYDAY=TU
+  starts_at: string;
+  time_zone: string;
+  reword: boolean;
+  auto_schedule: boolean;
+  approved_by?: string | null; // who approved the template, so its occurrences are scheduled without review
+  approved_at?: string | null;
+  is_active: boolean;
+  cta_type?: GBPCtaType | null;
+  cta_text?: string | null;
+  more_info_url?: string | null;
+  materialized_until?: string | null;
+  last_error?: string | null;
+  created_by?: string | null;
+  created_at: string;
+  updated_at: string;
+  post_count?: number;
+  nextOccurrences: string[];
+}
+
+export interface GBPTemplateSchedule {
+  recurrence: string;
+  startDate: string; // YYYY-MM-DD in timeZone
+  startTime: string; // HH:MM in timeZone
+  timeZone: string; // IANA, e.g. America/New_York
+}
+
+export interface GBPTemplateRequest extends GBPTemplateSchedule {
+  name: string;
+  content: string;
+  reword?: boolean;
+  autoSchedule?: boolean;
+  approvedBy?: string; // required to turn autoSchedule on, and again when the text or button changes
+  isActive?: boolean;
+  createdBy?: string;
+}
+
+export const getGBPTemplates = (clientId: string): Promise<{ success: boolean, templates: GBPPostTemplate[] }> => {
+  return fetch(`${BASE_URL}/api/gbp/templates/${clientId}`).then(res => handleResponse<{ success: boolean, templates: GBPPostTemplate[] }>(res));
+};
+
+export const previewGBPTemplate = (schedule: GBPTemplateSchedule): Promise<{ success: boolean, occurrences: string[] }> => {
+  return fetch(`${BASE_URL}/api/gbp/templates/preview`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(schedule),
+  }).then(res => handleResponse<{ success: boolean, occurrences: string[] }>(res));
+};
+
+export const createGBPTemplate = (clientId: string, request: GBPTemplateRequest & GBPCallToActionDetails): Promise<{ success: boolean, template: GBPPostTemplate, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/templates`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ clientId, ...request }),
+  }).then(res => handleResponse<{ success: boolean, template: GBPPostTemplate, message: string }>(res));
+};
+
+export const updateGBPTemplate = (templateId: number, changes: Partial<GBPTemplateRequest> & GBPCallToActionDetails): Promise<{ success: boolean, template: GBPPostTemplate, removed: number, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/templates/${templateId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes),
+  }).then(res => handleResponse<{ success: boolean, template: GBPPostTemplate, removed: number, message: string }>(res));
+};
+
+export const deleteGBPTemplate = (templateId: number): Promise<{ success: boolean, removed: number, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/templates/${templateId}`, { method: 'DELETE' })
+    .then(res => handleResponse<{ success: boolean, removed: number, message: string }>(res));
+};
+
+export interface GBPTopicSuggestion {
+  rank: number;
+  topic: string;
+  angle: 'local' | 'seasonal' | 'service' | 'trending';
+  reason?: string | null;
+  landingPageUrl?: string | null;
+}
+
+export const getGBPTopicSuggestions = (clientId: string, count?: number): Promise<{ success: boolean, suggestions: GBPTopicSuggestion[], sources: { title?: string | null, url: string }[] }> => {
+  const query = count ? `?count=${count}` : '';
+  return fetch(`${BASE_URL}/api/gbp/topic-suggestions/${clientId}${query}`)
+    .then(res => handleResponse<{ success: boolean, suggestions: GBPTopicSuggestion[], sources: { title?: string | null, url: string }[] }>(res));
+};
+
+export interface GBPTopicDuplicate {
+  source: 'topic' | 'post';
+  text: string;
+  postId?: number | null;
+  similarity: number;
+  usedAt?: string;
+}
+
+export interface GBPUsedTopic {
+  id: number;
+  topic: string;
+  post_id?: number | null;
+  post_status?: string | null;
+  created_at: string;
+}
+
+export const getUsedTopics = (clientId: string, limit = 50, offset = 0): Promise<{ success: boolean, topics: GBPUsedTopic[], total: number }> => {
+  return fetch(`${BASE_URL}/api/gbp/topics/${clientId}?limit=${limit}&offset=${offset}`)
+    .then(res => handleResponse<{ success: boolean, topics: GBPUsedTopic[], total: number }>(res));
+};
+
+export const deleteUsedTopic = (clientId: string, topicId: number): Promise<{ success: boolean, deleted: number, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/topics/${clientId}/${topicId}`, {
+    method: 'DELETE',
+  }).then(res => handleResponse<{ success: boolean, deleted: number, message: string }>(res));
+};
+
+export const pruneUsedTopics = (clientId: string, olderThanDays: number): Promise<{ success: boolean, deleted: number, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/topics/${clientId}?olderThanDays=${olderThanDays}`, {
+    method: 'DELETE',
+  }).then(res => handleResponse<{ success: boolean, deleted: number, message: string }>(res));
+};
+
+export interface GBPPostVariant {
+  id: number;
+  post_id: number;
+  style: string;
+  content: string;
+  chosen: boolean;
+  ai_provider?: string | null;
+  ai_model?: string | null;
+  created_at: string;
+}
+
+export const generateGBPVariants = (postId: number, count: number, styles?: string[]): Promise<{ success: boolean, variants: GBPPostVariant[], failures: { style: string, error: string }[], message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/variants`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ count, styles }),
+  }).then(res => handleResponse<{ success: boolean, variants: GBPPostVariant[], failures: { style: string, error: string }[], message: string }>(res));
+};
+
+export const getGBPVariants = (postId: number): Promise<{ success: boolean, variants: GBPPostVariant[] }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/variants`).then(res => handleResponse<{ success: boolean, variants: GBPPostVariant[] }>(res));
+};
+
+// Pass `content` when the text was merged from several variants
+export const chooseGBPVariant = (postId: number, variantId: number, content?: string, chosenBy?: string): Promise<{ success: boolean, post: GBPPost, variants: GBPPostVariant[], message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/variants/choose`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ variantId, content, chosenBy }),
+  }).then(res => handleResponse<{ success: boolean, post: GBPPost, variants: GBPPostVariant[], message: string }>(res));
+};
+
+// One model call behind a post: the first draft or a style/length rewrite
+export interface GBPGenerationRecord {
+  id: number;
+  post_id: number;
+  variant_id: number | null;
+  purpose: 'draft' | 'style_rewrite' | 'length_rewrite' | 'reword' | 'batch_topics';
+  provider: string;
+  model: string;
+  prompt: string;
+  response: string | null;
+  latency_ms: number | null;
+  input_tokens: number | null;
+  output_tokens: number | null;
+  estimated_cost: string | null;
+  fallback: boolean;
+  fallback_reason: string | null;
+  created_at: string;
+}
+
+export interface GBPGenerationTotals {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  estimatedCost: number;
+  latencyMs: number;
+  fallbacks: number;
+}
+
+export const getGBPGenerations = (postId: number): Promise<{ success: boolean, generations: GBPGenerationRecord[], totals: GBPGenerationTotals }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/generations`).then(res => handleResponse<{ success: boolean, generations: GBPGenerationRecord[], totals: GBPGenerationTotals }>(res));
+};
+
+// Averages over published posts that have at least one metrics snapshot; null when GoHighLevel reports nothing
+export interface GBPAnalyticsGroup {
+  key: string;
+  posts: number;
+  avgViews: number | null;
+  avgEngagement: number | null;
+}
+
+export interface GBPAnalyticsPost {
+  id: number;
+  topic: string | null;
+  post_type: GBPPostType | null;
+  content: string;
+  published_at: string;
+  metrics_synced_at: string | null;
+  remote_status: string | null;
+  views: number | null;
+  clicks: number | null;
+  cta_actions: number | null;
+  captured_at: string | null;
+}
+
+export interface GBPAnalytics {
+  success: boolean;
+  days: number;
+  timeZone: string;
+  totals: {
+    published: number;
+    tracked: number;
+    views: number | null;
+    clicks: number | null;
+    ctaActions: number | null;
+  };
+  topTopics: GBPAnalyticsGroup[];
+  postTypes: GBPAnalyticsGroup[];
+  weekdays: GBPAnalyticsGroup[];
+  posts: GBPAnalyticsPost[];
+}
+
+export const getGBPAnalytics = (clientId: string, days?: number): Promise<GBPAnalytics> => {
+  const params = new URLSearchParams({ timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC' });
+  if (days) params.set('days', String(days));
+  return fetch(`${BASE_URL}/api/gbp/analytics/${clientId}?${params}`).then(res => handleResponse<GBPAnalytics>(res));
+};
+
+export const syncGBPAnalytics = (clientId: string): Promise<{ success: boolean, synced: number, failed: number, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/analytics/${clientId}/sync`, {
+    method: 'POST',
+  }).then(res => handleResponse<{ success: boolean, synced: number, failed: number, message: string }>(res));
+};
+
+export interface GBPStatusCheck {
+  postId: number;
+  previousStatus: string;
+  status: string;
+  externalStatus: string;
+  error: string | null;
+  changed: boolean;
+  stale: boolean; // the post changed while GoHighLevel was being asked, so nothing was stored
+}
+
+export const refreshGBPPostStatus = (postId: number): Promise<{ success: boolean, post: GBPPost, result: GBPStatusCheck, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/refresh-status`, {
+    method: 'POST',
+  }).then(res => handleResponse<{ success: boolean, post: GBPPost, result: GBPStatusCheck, message: string }>(res));
+};
+
+export const refreshGBPClientStatuses = (clientId: string): Promise<{ success: boolean, checked: number, changed: number, failed: number, results: GBPStatusCheck[], message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/status/${clientId}/refresh`, {
+    method: 'POST',
+  }).then(res => handleResponse<{ success: boolean, checked: number, changed: number, failed: number, results: GBPStatusCheck[], message: string }>(res));
+};
+
+export const dismissGBPStatusMismatch = (postId: number): Promise<{ success: boolean, post: GBPPost }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/status-mismatch`, {
+    method: 'DELETE',
+  }).then(res => handleResponse<{ success: boolean, post: GBPPost }>(res));
+};
+
+export const rescheduleGBPPost = (postId: number, scheduledAt: Date, version: number): Promise<{ success: boolean, post: GBPPost, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/schedule`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ scheduledAt, version }),
+  }).then(res => handlePostEditResponse<{ success: boolean, post: GBPPost, message: string }>(res));
+};
+
+export const updateGBPPostContent = (postId: number, version: number, content: string, editedBy?: string): Promise<{ success: boolean, post: GBPPost, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/content`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content, version, editedBy }),
+  }).then(res => handlePostEditResponse<{ success: boolean, post: GBPPost, message: string }>(res));
+};
+
+// Fields of a post that can be edited; omitted fields are left as they are
+export interface GBPPostEdits {
+  content?: string;
+  callToAction?: GBPCallToActionDetails;
+  imageUrl?: string | null;
+  scheduledAt?: string | null;
+}
+
+export interface GBPPostChange {
+  id: number;
+  post_id: number;
+  client_id: string;
+  action: 'update' | 'unpublish' | 'delete';
+  changes: Record<string, { from: unknown, to: unknown }>;
+  version: number | null;
+  changed_by: string | null;
+  // Whether the change was also made in GoHighLevel
+  propagated: boolean;
+  created_at: string;
+}
+
+export const updateGBPPost = (postId: number, version: number, edits: GBPPostEdits, editedBy?: string): Promise<{ success: boolean, post: GBPPost, changes: GBPPostChange['changes'], lint?: GBPLintResult, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...edits, version, editedBy }),
+  }).then(res => handlePostEditResponse<{ success: boolean, post: GBPPost, changes: GBPPostChange['changes'], lint?: GBPLintResult, message: string }>(res));
+};
+
+export const unpublishGBPPost = (postId: number, version: number, unpublishedBy?: string): Promise<{ success: boolean, post: GBPPost, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/unpublish`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ version, unpublishedBy }),
+  }).then(res => handlePostEditResponse<{ success: boolean, post: GBPPost, message: string }>(res));
+};
+
+export const deleteGBPPost = (postId: number, version: number, deletedBy?: string): Promise<{ success: boolean, postId: number, message: string }> => {
+  const params = new URLSearchParams({ version: String(version) });
+  if (deletedBy) params.set('deletedBy', deletedBy);
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}?${params}`, {
+    method: 'DELETE',
+  }).then(res => handlePostEditResponse<{ success: boolean, postId: number, message: string }>(res));
+};
+
+export const duplicateGBPPost = (postId: number, duplicatedBy?: string): Promise<{ success: boolean, post: GBPPost, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/duplicate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ duplicatedBy }),
+  }).then(res => handleResponse<{ success: boolean, post: GBPPost, message: string }>(res));
+};
+
+export const getGBPPostChanges = (postId: number): Promise<{ success: boolean, changes: GBPPostChange[] }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/changes`)
+    .then(res => handleResponse<{ success: boolean, changes: GBPPostChange[] }>(res));
+};
+
+export const submitGBPPostForApproval = (postId: number, submittedBy: string, approver?: string): Promise<{ success: boolean, post: GBPPost, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/submit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ submittedBy, approver }),
+  }).then(res => handleResponse<{ success: boolean, post: GBPPost, message: string }>(res));
+};
+
+export const approveGBPPost = (postId: number, approvedBy: string): Promise<{ success: boolean, posted: boolean, post: GBPPost, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/approve`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ approvedBy }),
+  }).then(res => handleResponse<{ success: boolean, posted: boolean, post: GBPPost, message: string }>(res));
+};
+
+export const rejectGBPPost = (postId: number, rejectedBy: string, reason?: string): Promise<{ success: boolean, post: GBPPost, message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/posts/${postId}/reject`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ rejectedBy, reason }),
   }).then(res => handleResponse<{ success: boolean, post: GBPPost, message: string }>(res));
 };
 
-export const getGBPPosts = (clientId: string): Promise<{ success: boolean, posts: GBPPost[] }> => {
-  return fetch(`${BASE_URL}/api/gbp/posts/${clientId}`).then(res => handleResponse<{ success: boolean, posts: GBPPost[] }>(res));
+export const createGBPCampaign = (clientId: string, topic: string, scheduledAt?: Date, generateImage?: boolean, locationIds?: string[], details?: GBPPostTypeDetails & GBPCallToActionDetails & { allowDuplicate?: boolean }): Promise<{ success: boolean, campaign: GBPCampaign, failures: { locationId: string, name?: string, error: string }[], message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/campaigns`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ clientId, topic, scheduledAt, generateImage, locationIds, ...details }),
+  }).then(res => handleTopicResponse<{ success: boolean, campaign: GBPCampaign, failures: { locationId: string, name?: string, error: string }[], message: string }>(res));
+};
+
+export const getGBPCampaigns = (clientId: string): Promise<{ success: boolean, campaigns: GBPCampaign[] }> => {
+  return fetch(`${BASE_URL}/api/gbp/campaigns/${clientId}`).then(res => handleResponse<{ success: boolean, campaigns: GBPCampaign[] }>(res));
+};
+
+export const approveGBPCampaign = (campaignId: number, approvedBy: string): Promise<{ success: boolean, campaign: GBPCampaign, results: { postId: number, locationId: string, approved: boolean, posted: boolean, message: string }[], message: string }> => {
+  return fetch(`${BASE_URL}/api/gbp/campaigns/${campaignId}/approve`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ approvedBy }),
+  }).then(res => handleResponse<{ success: boolean, campaign: GBPCampaign, results: { postId: number, locationId: string, approved: boolean, posted: boolean, message: string }[], message: string }>(res));
 };
 
 export const saveGHLSubAccount = (clientId: string, locationId: string, subAccountName: string, accessToken: string): Promise<{ success: boolean, subAccount: GHLSubAccount, message: string }> => {
@@ -109,16 +749,65 @@ export const saveGHLSubAccount = (clientId: string, locationId: string, subAccou
   }).then(res => handleResponse<{ success: boolean, subAccount: GHLSubAccount, message: string }>(res));
 };
 
+// Browser navigates here to start the GoHighLevel OAuth flow; the backend redirects back when done
+export const getGHLOAuthUrl = (clientId: string): string => {
+  return `${BASE_URL}/api/ghl/oauth/authorize?clientId=${encodeURIComponent(clientId)}`;
+};
+
 export const getGHLSubAccounts = (clientId: string): Promise<{ success: boolean, subAccounts: GHLSubAccount[] }> => {
   return fetch(`${BASE_URL}/api/ghl/sub-accounts/${clientId}`).then(res => handleResponse<{ success: boolean, subAccounts: GHLSubAccount[] }>(res));
 };
 
-export const testGoHighLevelConnection = (clientId: string, locationId: string): Promise<{ success: boolean, location?: any, connectedAccounts?: any[], error?: string }> => {
+export interface GHLConnectedAccount {
+  id: string;
+  name?: string;
+  platform?: string;
+  isGoogleBusinessProfile: boolean;
+}
+
+export const getGHLConnectedAccounts = (clientId: string, locationId: string): Promise<{ success: boolean, selectedAccountId: string | null, accounts: GHLConnectedAccount[] }> => {
+  return fetch(`${BASE_URL}/api/ghl/sub-accounts/${clientId}/${encodeURIComponent(locationId)}/accounts`)
+    .then(res => handleResponse<{ success: boolean, selectedAccountId: string | null, accounts: GHLConnectedAccount[] }>(res));
+};
+
+export const selectGBPAccount = (clientId: string, locationId: string, accountId: string | null): Promise<{ success: boolean, subAccount: GHLSubAccount, message: string }> => {
+  return fetch(`${BASE_URL}/api/ghl/sub-accounts/${clientId}/${encodeURIComponent(locationId)}/gbp-account`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ accountId }),
+  }).then(res => handleResponse<{ success: boolean, subAccount: GHLSubAccount, message: string }>(res));
+};
+
+export const updateGHLLocationDetails = (clientId: string, locationId: string, details: { city?: string, address?: string, serviceArea?: string }): Promise<{ success: boolean, subAccount: GHLSubAccount, message: string }> => {
+  return fetch(`${BASE_URL}/api/ghl/sub-accounts/${clientId}/${encodeURIComponent(locationId)}/details`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(details),
+  }).then(res => handleResponse<{ success: boolean, subAccount: GHLSubAccount, message: string }>(res));
+};
+
+export interface GHLConnectionDiagnostic {
+  success: boolean;
+  location?: { id: string, name?: string };
+  token?: { valid: boolean, source?: 'manual' | 'oauth', expiresAt?: string, masked?: string };
+  scopes?: string[] | null;
+  missingScopes?: string[];
+  connectedAccounts?: GHLConnectedAccount[];
+  googleBusinessProfileAccounts?: GHLConnectedAccount[];
+  checks?: { name: string, status: 'pass' | 'warn' | 'fail', code?: string, message: string }[];
+  errors?: { code: string, message: string, suggestion?: string }[];
+  suggestions?: string[];
+  message?: string;
+  error?: string;
+  details?: string;
+}
+
+export const testGoHighLevelConnection = (clientId: string, locationId: string): Promise<GHLConnectionDiagnostic> => {
   return fetch(`${BASE_URL}/api/ghl/test-connection`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ clientId, locationId }),
-  }).then(res => handleResponse<{ success: boolean, location?: any, connectedAccounts?: any[], error?: string }>(res));
+  }).then(res => handleResponse<GHLConnectionDiagnostic>(res));
 };
 
 // Test endpoint to isolate the error
@@ -11,6 +11,18 @@ export interface Client {
   sitemapUrls?: string[];
   usedTopics?: string[];
   ghlLocationId?: string;
+  // One per line; posts containing any of them can't be approved
+  bannedPhrases?: string;
+  styleRules?: ClientStyleRules;
+}
+
+// Writing rules applied to every generated GBP post for a client
+export interface ClientStyleRules {
+  requiredPhrases: string[];
+  preferredSpellings: { from: string; to: string }[];
+  emojiPolicy: 'none' | 'few' | 'any';
+  hashtagPolicy: 'none' | 'optional' | 'required';
+  hashtags: string[];
 }
 
 